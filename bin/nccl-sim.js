@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Command-line front end to the simulation engine, for batch runs without a browser:
+//
+//   npm run simulate -- -o AllReduce -a Ring -t 2x8 -s 64M
+//   npm run simulate -- -o AllGather -t 8 -b 8K -e 1G -f 2 --format json
+//
+// One size prints latency, algbw/busbw, the per-phase breakdown and link utilization;
+// a sweep prints one row per size, nccl-tests style. Bad arguments exit with status 1.
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  simulate, Operation, Algorithm, Protocol, ReduceOp, DataType, makeTopology, getTopologyLabel,
+  parseTopologyJson, parseNcclTopologyXml, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE, MIN_NODE_COUNT,
+  MAX_NODE_COUNT, MIN_MESSAGE_SIZE, MAX_MESSAGE_SIZE, DEFAULT_MESSAGE_SIZE, getGpuCount, formatBytes, formatDuration
+} from '../src/engine/index.js';
+
+const USAGE = `Usage: nccl-sim [options]
+
+  -o, --operation <name>    ${Object.keys(Operation).join(', ')} (default AllReduce)
+  -a, --algorithm <name>    ${Object.keys(Algorithm).join(', ')} (default: first one the topology supports)
+  -t, --topology <shape>    GPUs per node (8), nodes x GPUs (2x8), or a topology .json / NCCL .xml file
+  -p, --protocol <name>     ${Object.keys(Protocol).join(', ')} (default Simple)
+  -s, --size <bytes>        message size, e.g. 4096, 64K, 256M, 1G; repeat for several sizes
+  -b, --minbytes <bytes>    sweep from this size...
+  -e, --maxbytes <bytes>    ...up to this size
+  -f, --stepfactor <n>      ...multiplying the size by this factor (default 2)
+  -c, --channels <n>        parallel channels
+  -r, --root <rank>         root rank of Broadcast and Reduce
+      --redop <name>        ${Object.keys(ReduceOp).join(', ')}
+      --datatype <name>     ${Object.keys(DataType).join(', ')}
+      --format <kind>       table or json (default table)
+  -h, --help                show this help`;
+
+const OPTIONS = {
+  operation: { type: 'string', short: 'o', default: Operation.AllReduce },
+  algorithm: { type: 'string', short: 'a' },
+  topology: { type: 'string', short: 't', default: '8' },
+  protocol: { type: 'string', short: 'p', default: Protocol.Simple },
+  size: { type: 'string', short: 's', multiple: true },
+  minbytes: { type: 'string', short: 'b' },
+  maxbytes: { type: 'string', short: 'e' },
+  stepfactor: { type: 'string', short: 'f', default: '2' },
+  channels: { type: 'string', short: 'c' },
+  root: { type: 'string', short: 'r' },
+  redop: { type: 'string' },
+  datatype: { type: 'string' },
+  format: { type: 'string', default: 'table' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// === ARGUMENTS ===
+// Names match either the enum key or its display value, ignoring case and punctuation,
+// so "nvls-tree" and "NVLS-Tree (Multi-Node)" both pick Algorithm.NVLSTree
+const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+const parseName = (kind, values, input) => {
+  const match = Object.entries(values)
+    .find(([key, value]) => normalize(key) === normalize(input) || normalize(value) === normalize(input));
+  if (!match) throw new Error(`Unknown ${kind} "${input}" (expected one of ${Object.keys(values).join(', ')})`);
+  return match[1];
+};
+
+// nccl-tests units: K, M, G and T are powers of 1024
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+const parseSize = (input) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i.exec(input.trim());
+  if (!match) throw new Error(`Invalid size "${input}" (expected bytes, optionally with K, M or G)`);
+  const bytes = Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+  if (bytes < MIN_MESSAGE_SIZE || bytes > MAX_MESSAGE_SIZE) {
+    throw new Error(`Size "${input}" is outside ${formatBytes(MIN_MESSAGE_SIZE)} - ${formatBytes(MAX_MESSAGE_SIZE)}`);
+  }
+  return bytes;
+};
+
+const parseInteger = (name, input, min, max) => {
+  const value = Number(input);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`--${name} must be an integer from ${min} to ${max}, got "${input}"`);
+  }
+  return value;
+};
+
+const parseTopology = (input) => {
+  const shape = /^(?:(\d+)\s*x\s*)?(\d+)$/i.exec(input.trim());
+  if (shape) {
+    const nodeCount = shape[1] === undefined ? 1 : parseInteger('topology nodes', shape[1], MIN_NODE_COUNT, MAX_NODE_COUNT);
+    return makeTopology(parseInteger('topology GPUs per node', shape[2], MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE), nodeCount);
+  }
+  let text;
+  try {
+    text = readFileSync(input, 'utf8');
+  } catch (err) {
+    throw new Error(`Topology "${input}" is neither a shape like 2x8 nor a readable file (${err.code || err.message})`);
+  }
+  // NCCL dumps are XML; anything else is read as a JSON description
+  const isXml = /\.xml$/i.test(input) || text.trimStart().startsWith('<');
+  const { topology, errors } = isXml
+    ? parseNcclTopologyXml(text, { name: input.replace(/^.*[\\/]/, '').replace(/\.xml$/i, '') })
+    : parseTopologyJson(text);
+  if (!topology) throw new Error(`${input}: ${errors.join('; ')}`);
+  return topology;
+};
+
+// Explicit sizes first, then the -b/-e/-f sweep (nccl-tests' flags), else the UI default
+const getSizes = (values) => {
+  const sizes = (values.size || []).map(parseSize);
+  if (values.minbytes !== undefined || values.maxbytes !== undefined) {
+    const min = parseSize(values.minbytes ?? values.maxbytes);
+    const max = parseSize(values.maxbytes ?? values.minbytes);
+    const factor = Number(values.stepfactor);
+    if (!(factor > 1)) throw new Error(`--stepfactor must be greater than 1, got "${values.stepfactor}"`);
+    if (min > max) throw new Error(`--minbytes ${formatBytes(min)} is larger than --maxbytes ${formatBytes(max)}`);
+    for (let size = min; size <= max; size = Math.round(size * factor)) sizes.push(size);
+  }
+  return sizes.length ? sizes : [DEFAULT_MESSAGE_SIZE];
+};
+
+const parseCommandLine = (args) => {
+  const { values } = parseArgs({ args, options: OPTIONS });
+  if (values.help) return null;
+  if (!['table', 'json'].includes(values.format)) throw new Error(`--format must be table or json, got "${values.format}"`);
+  const topology = parseTopology(values.topology);
+  const spec = {
+    operation: parseName('operation', Operation, values.operation),
+    protocol: parseName('protocol', Protocol, values.protocol)
+  };
+  if (values.algorithm !== undefined) spec.algorithm = parseName('algorithm', Algorithm, values.algorithm);
+  if (values.channels !== undefined) spec.channels = parseInteger('channels', values.channels, 1, Infinity);
+  // The engine quietly runs an out-of-range root from GPU 0; the CLI refuses it instead
+  if (values.root !== undefined) spec.root = parseInteger('root', values.root, 0, getGpuCount(topology) - 1);
+  if (values.redop !== undefined) spec.redop = parseName('reduction operator', ReduceOp, values.redop);
+  if (values.datatype !== undefined) spec.dataType = parseName('datatype', DataType, values.datatype);
+  return { spec, topology, sizes: getSizes(values), format: values.format };
+};
+
+// === OUTPUT ===
+const formatPort = (port) => (port === 'switch' ? 'NVSwitch' : `G${port}`);
+const formatLink = (link) => `${formatPort(link.from)}→${formatPort(link.to)}`;
+const formatPercent = (share) => `${(share * 100).toFixed(1)}%`;
+
+// Columns are right-aligned except the first, which holds names
+const formatTable = (header, rows) => {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => String(row[i]).length)));
+  const pad = (cells) => cells.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ');
+  return [pad(header), ...rows.map(pad)].join('\n');
+};
+
+const formatRun = ({ spec, topology }, results) => {
+  const { algorithm, timeline } = results[0];
+  const lines = [`${spec.operation} · ${algorithm} · ${getTopologyLabel(topology)} · ${timeline.protocol}`];
+  if (timeline.fallback) lines.push(`note: NVSwitch SHARP cannot run this reduction, so ${timeline.fallback.from} ran as ${timeline.fallback.to}`);
+  if (timeline.protocol !== spec.protocol) lines.push(`note: ${algorithm} does not implement ${spec.protocol}, so it ran as ${timeline.protocol}`);
+  lines.push('');
+
+  if (results.length === 1) {
+    const { messageSize, metrics } = results[0];
+    lines.push(formatTable(['size', formatBytes(messageSize)], [
+      ['latency', formatDuration(metrics.latency)],
+      ['algbw', `${metrics.algbw.toFixed(2)} GB/s`],
+      ['busbw', `${metrics.busbw.toFixed(2)} GB/s`]
+    ]), '');
+    lines.push(formatTable(['phase', 'steps', 'time', 'share'], metrics.phases.map(phase => [
+      phase.phase || '-', phase.steps, formatDuration(phase.duration), formatPercent(metrics.latency > 0 ? phase.duration / metrics.latency : 0)
+    ])), '');
+    lines.push(formatTable(['link', 'busy', 'utilization'], metrics.links.map(link => [
+      formatLink(link), formatDuration(link.busyTime), formatPercent(link.utilization)
+    ])));
+    return lines.join('\n');
+  }
+
+  // Sweeps: one row per size, a time column per phase and the busiest link
+  const phases = [...new Set(results.flatMap(({ metrics }) => metrics.phases.map(phase => phase.phase)))];
+  lines.push(formatTable(
+    ['size', 'time(us)', 'algbw(GB/s)', 'busbw(GB/s)', ...phases.map(phase => `${phase || '-'}(us)`), 'busiest link'],
+    results.map(({ messageSize, metrics }) => [
+      messageSize, metrics.latency.toFixed(2), metrics.algbw.toFixed(2), metrics.busbw.toFixed(2),
+      ...phases.map(name => (metrics.phases.find(phase => phase.phase === name)?.duration ?? 0).toFixed(2)),
+      metrics.links.length ? `${formatLink(metrics.links[0])} ${formatPercent(metrics.links[0].utilization)}` : '-'
+    ])
+  ));
+  return lines.join('\n');
+};
+
+// JSON carries the metrics only; timelines are for the app's scenario files
+const formatJson = ({ spec, topology }, results) => JSON.stringify({
+  operation: spec.operation,
+  topology: getTopologyLabel(topology),
+  results: results.map(({ algorithm, messageSize, timeline, metrics }) => ({
+    algorithm,
+    protocol: timeline.protocol,
+    messageSize,
+    ...(timeline.fallback && { fallback: timeline.fallback }),
+    ...metrics
+  }))
+}, null, 2);
+
+// === MAIN ===
+const main = (args) => {
+  let run;
+  try {
+    run = parseCommandLine(args);
+  } catch (err) {
+    console.error(`nccl-sim: ${err.message}\nRun nccl-sim --help for the options.`);
+    return 1;
+  }
+  if (!run) {
+    console.log(USAGE);
+    return 0;
+  }
+  let results;
+  try {
+    results = run.sizes.map(messageSize => ({ messageSize, ...simulate({ ...run.spec, messageSize }, run.topology) }));
+  } catch (err) {
+    console.error(`nccl-sim: ${err.message}`);
+    return 1;
+  }
+  console.log(run.format === 'json' ? formatJson(run, results) : formatRun(run, results));
+  return 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,798 +1,81 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { Play, Pause, RotateCcw, Repeat, ChevronRight, ChevronLeft, Eye, EyeOff, BarChart3, Zap, Cpu, AlertTriangle, BookOpen, ChevronDown, ChevronUp } from 'lucide-react';
-
-// === TYPES & CONSTANTS ===
-const Operation = {
-  AllReduce: 'AllReduce',
-  Reduce: 'Reduce',
-  Broadcast: 'Broadcast',
-  AllGather: 'AllGather',
-  ReduceScatter: 'ReduceScatter'
-};
-
-const Algorithm = {
-  NVLS: 'NVLS (NVLink SHARP)',
-  MultiShot: 'MultiShot (2-Shot)'
-};
-
-const Topology = {
-  FourGPU: '4-GPU Example',
-  SingleNode: 'Single Node (8x H100)',
-  MultiNode: 'Multi Node (2x8 H100)'
-};
-
-// Algorithm compatibility matrix based on NCCL documentation
-// NVLS uses SHARP ALUs for reduction OR multicast replication
-// MultiShot = ReduceScatter + AllGather decomposition (only for symmetric ops)
-const ALGORITHM_COMPATIBILITY = {
-  [Operation.AllReduce]: [Algorithm.NVLS, Algorithm.MultiShot],
-  [Operation.Reduce]: [Algorithm.NVLS],
-  [Operation.Broadcast]: [Algorithm.NVLS],
-  [Operation.AllGather]: [Algorithm.NVLS, Algorithm.MultiShot],
-  [Operation.ReduceScatter]: [Algorithm.NVLS, Algorithm.MultiShot]
-};
-
-// Distinct colors for chunks
-const CHUNK_COLORS = [
-  '#ef4444', '#f97316', '#eab308', '#22c55e',
-  '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4889',
-  '#f43f5e', '#84cc16', '#14b8a6', '#6366f1',
-  '#a855f7', '#f59e0b', '#10b981', '#0ea5e9'
-];
-
-// === KNOWLEDGE DATA ===
-// Mathematical and logical operation details for each operation/algorithm combination
-const KNOWLEDGE_DATA = {
-  operations: {
-    [Operation.AllReduce]: {
-      objective: 'Sum an array of size N across P GPUs so every GPU ends up with the full result.',
-      math: {
-        nvls: {
-          phases: [
-            { name: 'Push to Switch', operation: 'GPUs output data via multimem::red (Load Reduce) instruction' },
-            { name: 'Switch Math', operation: 'NVSwitch v3 ALUs perform summation (Σ) as packets fly through crossbar' },
-            { name: 'Broadcast', operation: 'Switch multicasts result to all GPUs via multimem::st' }
-          ],
-          complexity: 'O(1) latency (constant), 2 steps (Send + Receive)',
-          advantage: 'GPUs don\'t waste SM cycles - "fire and forget"'
-        }
-      }
-    },
-    [Operation.Reduce]: {
-      objective: 'Sum data from all GPUs onto a single root GPU.',
-      math: {
-        nvls: {
-          phases: [
-            { name: 'Push to Switch', operation: 'All GPUs send to multicast address' },
-            { name: 'In-Fabric Reduce', operation: 'SHARP ALUs perform reduction' },
-            { name: 'Unicast to Root', operation: 'Result delivered only to root GPU' }
-          ],
-          complexity: 'O(1) latency, native single-shot operation'
-        }
-      }
-    },
-    [Operation.Broadcast]: {
-      objective: 'Distribute data from root GPU to all other GPUs.',
-      math: {
-        nvls: {
-          phases: [
-            { name: 'Root to Switch', operation: 'Root writes to multicast address' },
-            { name: 'Physical Multicast', operation: 'Switch copies 1 input to N ports electrically' }
-          ],
-          complexity: 'L × 1 (Switch Latency) - instant replication'
-        }
-      }
-    },
-    [Operation.AllGather]: {
-      objective: 'Gather N data from all GPUs onto every GPU (Output size: P × N).',
-      math: {
-        nvls: {
-          phases: [
-            { name: 'Send to Switch', operation: 'Each GPU writes chunk to multicast address' },
-            { name: 'Multicast Amplify', operation: 'NVSwitch replicates all chunks to all GPUs' }
-          ],
-          note: 'NVLS wins on latency vs ring algorithms.'
-        }
-      }
-    },
-    [Operation.ReduceScatter]: {
-      objective: 'Reduce data and scatter results so each GPU owns a unique reduced portion.',
-      math: {
-        nvls: {
-          phases: [
-            { name: 'Send to Switch', operation: 'GPUs issue multimem.ld_reduce' },
-            { name: 'Per-Chunk Reduce', operation: 'SHARP ALUs perform reduction per chunk' },
-            { name: 'Scatter Addressing', operation: 'Switch routes reduced chunk i to GPU i' }
-          ],
-          note: 'Critical for Tensor Parallelism workloads.'
-        }
-      }
-    }
-  },
-  algorithms: {
-    [Algorithm.NVLS]: {
-      name: 'NVLink SHARP',
-      description: 'In-network computing via NVSwitch v3 hardware.',
-      hardware: 'SHARP ALUs: 400 GFlops FP32 compute inside switch',
-      advantage: 'Offloads reduction to switch. GPUs do zero math.',
-      bandwidth: '~480 GB/s AllReduce',
-      complexity: 'O(1) latency - constant regardless of GPU count'
-    },
-    [Algorithm.MultiShot]: {
-      name: '2-Shot Algorithm',
-      description: 'Decomposes operation: ReduceScatter (Shot 1) + AllGather (Shot 2)',
-      advantage: 'Both phases leverage NVLS primitives.',
-      applicability: 'Only for symmetric operations (AllReduce, AllGather, ReduceScatter)',
-      complexity: 'O(2) latency'
-    }
-  },
-  hardware: {
-    h100: {
-      topology: {
-        nodes: '8× H100 GPUs per node',
-        interconnect: '4× NVSwitch v3 chips',
-        bandwidth: '900 GB/s bidirectional per GPU (18 NVLinks)',
-        connectivity: 'Fully Connected (Any-to-Any) - non-blocking fabric'
-      },
-      nvswitch: {
-        feature: 'In-Network Computing',
-        technology: 'SHARP (Scalable Hierarchical Aggregation and Reduction Protocol)',
-        capability: 'FP32 ALUs perform reduction mid-flight',
-        benefit: 'Eliminates O(P) dependency → O(1) for GPUs'
-      }
-    },
-    comparison: {
-      headers: ['Feature', 'Legacy Ring', 'Hopper NVLS'],
-      rows: [
-        ['Steps', '2(P-1)', '2'],
-        ['Latency', 'O(P) - Linear', 'O(1) - Constant'],
-        ['Compute', 'GPU Cores', 'Switch ALUs (SHARP)'],
-        ['Memory', 'Intermediate buffers', 'One-Shot (Direct Switch R/W)']
-      ]
-    }
-  }
-};
+import { flushSync } from 'react-dom';
+import { Play, Pause, RotateCcw, Repeat, ChevronRight, ChevronLeft, Eye, EyeOff, BarChart3, Zap, Cpu, AlertTriangle, BookOpen, ChevronDown, ChevronUp, Upload, Download, Film, CheckCircle2, XCircle, ShieldCheck } from 'lucide-react';
+import {
+  Operation, Algorithm, ReduceOp, DataType, DATATYPE_BYTES, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE, MIN_NODE_COUNT,
+  MAX_NODE_COUNT, makeTopology, TOPOLOGY_PRESETS, DEFAULT_TOPOLOGY, getGpuCount, isSameTopology, isDocExample,
+  hasNVSwitches, getTopologyLabel, Protocol, ROOTED_OPERATIONS, REDUCING_OPERATIONS, getCompatibleProtocols,
+  isNVLSAlgorithm, isSharpReducible, getCompatibleAlgorithms, SWITCH_EVENT_TYPES, CHUNK_COLORS, TREE_COLORS,
+  PROTOCOL_PACKETS, MIN_MESSAGE_SIZE, MAX_MESSAGE_SIZE, DEFAULT_MESSAGE_SIZE, MAX_CHANNELS, getPlaybackSeconds,
+  getPlaybackDuration, MAX_REPORTED_PROBLEMS, describeTopology, parseTopologyJson, parseNcclTopologyXml,
+  parseNcclLog, UNDERPERFORM_RATIO, parseNcclTests, predictBusBandwidth, loadChromeTraces, buildTraceTimeline,
+  timelineToChromeTrace, serializeScenario, parseScenarioJson, formatBytes, formatDuration, CHANNEL_ALGORITHMS,
+  getChannelCount, getChannelColor, DEFAULT_NUMERIC_ELEMENTS, MAX_NUMERIC_ELEMENTS, NumericSource,
+  createRandomInputs, parseInputValues, formatValues, generateTimeline, getLinkSamples, VIEW_WIDTH, VIEW_HEIGHT,
+  DEVICE_STYLES, WIRE_STYLES, getNodes, checkTimeline, KNOWLEDGE_DATA
+} from './engine';
+import {
+  RecordingFormat, RECORDING_FRAME_RATES, DEFAULT_RECORDING_FPS, getRecordingFrameCount, recordAnimation, composeFrameSvg, svgToPng
+} from './export';
 
 // clsx utility
 const clsx = (...classes) => classes.filter(Boolean).join(' ');
 
-// === SIMULATION ENGINE ===
-const generateTimeline = (op, algo, topo) => {
-  const NODE_COUNT = topo === Topology.FourGPU ? 4 : (topo === Topology.MultiNode ? 16 : 8);
-  const CHUNK_COUNT = NODE_COUNT;
-
-  // Use D0, D1, D2, D3 style labels for 4-GPU mode to match documentation
-  const getDataLabel = (id) => topo === Topology.FourGPU ? `D${id}` : `C${id}`;
-  const getGPULabel = (id) => topo === Topology.FourGPU ? `G${id}` : `G${id}`;
-
-  const events = [];
-  const steps = [];
-  const bandwidthSamples = [];
-  let currentTime = 0;
-
-  const TRANSFER_TIME = 400;
-  const INTER_NODE_MULTIPLIER = 1.5;
-  const COMPUTE_TIME = 120;
-  const SWITCH_COMPUTE_TIME = 80; // NVSwitch in-fabric reduction is fast
-  const MULTICAST_TIME = 150; // Multicast is faster than sequential sends
-
-  const bufferSnapshots = [];
-
-  const initBufferState = () => {
-    const state = {};
-    for (let i = 0; i < NODE_COUNT; i++) {
-      state[i] = Array.from({ length: CHUNK_COUNT }, (_, c) => ({
-        chunkId: c,
-        state: 'local',
-        reductionCount: 1
-      }));
-    }
-    return state;
-  };
-
-  let bufferState = initBufferState();
-
-  const saveBufferSnapshot = () => {
-    bufferSnapshots.push({
-      time: currentTime,
-      state: JSON.parse(JSON.stringify(bufferState))
-    });
-  };
-
-  const isInterNode = (from, to) => {
-    if (topo !== Topology.MultiNode) return false;
-    return Math.floor(from / 8) !== Math.floor(to / 8);
-  };
-
-  const getTransferTime = (from, to) => {
-    return isInterNode(from, to) ? TRANSFER_TIME * INTER_NODE_MULTIPLIER : TRANSFER_TIME;
-  };
-
-  const addStep = (desc, phase = '') => {
-    saveBufferSnapshot();
-    steps.push({ time: currentTime, description: desc, phase });
-  };
-
-  const addTransfer = (from, to, chunkId, label = '', direction = 'cw') => {
-    const duration = getTransferTime(from, to);
-    events.push({
-      type: 'transfer',
-      id: `t-${events.length}`,
-      from,
-      to,
-      chunkId,
-      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
-      startTime: currentTime,
-      duration,
-      label: label || `C${chunkId}`,
-      direction
-    });
-
-    const linkId = `${Math.min(from, to)}-${Math.max(from, to)}`;
-    bandwidthSamples.push({
-      time: currentTime,
-      endTime: currentTime + duration,
-      linkId,
-      from,
-      to,
-      direction,
-      utilization: 1.0
-    });
-
-    return duration;
-  };
-
-  const addCompute = (nodeId, label, duration = COMPUTE_TIME) => {
-    events.push({
-      type: 'compute',
-      nodeId,
-      label,
-      startTime: currentTime,
-      duration
-    });
-    return duration;
-  };
-
-  const addLinkActive = (from, to, duration, direction = 'cw') => {
-    events.push({
-      type: 'link',
-      from,
-      to,
-      startTime: currentTime,
-      duration,
-      direction
-    });
-  };
-
-  // In-switch reduction event
-  const addSwitchReduce = (sources, chunkId, label = '') => {
-    const duration = SWITCH_COMPUTE_TIME;
-    events.push({
-      type: 'switch-reduce',
-      id: `sr-${events.length}`,
-      sources,
-      chunkId,
-      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
-      startTime: currentTime,
-      duration,
-      label: label || 'Σ'
-    });
-    return duration;
-  };
-
-  // === ALGORITHM IMPLEMENTATIONS ===
-
-
-  // === NVLS (NVLink SHARP) ===
-  if (algo === Algorithm.NVLS) {
-    if (op === Operation.AllReduce) {
-      addStep('NVLS AllReduce: Leverages NVSwitch in-network reduction via multicast objects', 'init');
-      currentTime += 300;
-
-      addStep('Step 1: All GPUs issue multimem.ld_reduce - sends local data TO switch for reduction', 'scatter');
-
-      // All GPUs send to "switch" (multicast object) at once
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('Step 2: NVSwitch performs IN-FABRIC reduction (SHARP ALUs: 400 GFlops FP32)', 'switch-reduce');
-
-      // Switch reduction event
-      addSwitchReduce(Array.from({ length: NODE_COUNT }, (_, i) => i), 0, 'Σ');
-      currentTime += SWITCH_COMPUTE_TIME;
-
-      // Mark switch has reduced result
-      for (let i = 0; i < NODE_COUNT; i++) {
-        bufferState[i] = [{ chunkId: 'pending', state: 'in-switch', reductionCount: NODE_COUNT }];
-      }
-      saveBufferSnapshot();
-
-      addStep('Step 3: Result available via multicast address - switch broadcasts to all GPUs', 'gather');
-
-      // Switch multicasts result back to all GPUs
-      events.push({
-        type: 'from-switch',
-        id: `fs-${events.length}`,
-        destinations: Array.from({ length: NODE_COUNT }, (_, i) => i),
-        chunkId: 0,
-        color: '#22c55e',
-        startTime: currentTime,
-        duration: MULTICAST_TIME,
-        label: 'Σ'
-      });
-      currentTime += MULTICAST_TIME;
-
-      for (let i = 0; i < NODE_COUNT; i++) {
-        bufferState[i] = [{ chunkId: 'all', state: 'final', reductionCount: NODE_COUNT }];
-      }
-
-      addStep('Complete! NVLS achieves ~480 GB/s AllReduce BW (vs ~370 GB/s Ring). SM offload!', 'done');
-    }
-    else if (op === Operation.ReduceScatter) {
-      addStep('NVLS ReduceScatter: In-switch reduction with scattered output', 'init');
-      currentTime += 300;
-
-      addStep('All GPUs issue multimem.ld_reduce to send chunks to switch', 'scatter');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch SHARP ALUs perform reduction per chunk', 'switch-reduce');
-      for (let c = 0; c < NODE_COUNT; c++) {
-        addSwitchReduce(Array.from({ length: NODE_COUNT }, (_, i) => i), c, `Σ${c}`);
-      }
-      currentTime += SWITCH_COMPUTE_TIME;
-
-      addStep('Switch routes reduced chunk i to GPU i (scatter addressing)', 'gather');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'from-switch-single',
-          id: `fss-${events.length}`,
-          destination: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME * 0.3,
-          label: `Σ${gpu}`
-        });
-        bufferState[gpu] = [{ chunkId: gpu, state: 'reduced', reductionCount: NODE_COUNT }];
-      }
-      currentTime += MULTICAST_TIME * 0.3;
-
-      addStep('Complete! Each GPU owns fully reduced chunk i. Critical for Tensor Parallelism.', 'done');
-    }
-    else if (op === Operation.AllGather) {
-      addStep('NVLS AllGather: NVSwitch multicast amplifies data to all GPUs', 'init');
-      currentTime += 300;
-
-      addStep('Each GPU issues multimem.st_multicast to write chunk to multicast address', 'scatter');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch replicates all chunks to all GPUs via multicast', 'broadcast');
-      events.push({
-        type: 'switch-broadcast',
-        id: `sb-${events.length}`,
-        destinations: Array.from({ length: NODE_COUNT }, (_, i) => i),
-        startTime: currentTime,
-        duration: MULTICAST_TIME,
-        label: 'ALL'
-      });
-      currentTime += MULTICAST_TIME;
-
-      for (let i = 0; i < NODE_COUNT; i++) {
-        bufferState[i] = Array.from({ length: NODE_COUNT }, (_, c) => ({
-          chunkId: c, state: 'final', reductionCount: 1
-        }));
-      }
-
-      addStep('Complete! NOTE: Ring may achieve higher BW (~350 vs ~300 GB/s) due to TX/RX saturation. NVLS wins on latency.', 'done');
-    }
-    else if (op === Operation.Broadcast) {
-      addStep('NVLS Broadcast: Single multimem.st_multicast from root → all GPUs receive', 'init');
-      bufferState[0] = [{ chunkId: 0, state: 'source', reductionCount: 1 }];
-      currentTime += 300;
-
-      addStep('Root issues multimem.st_multicast (single NVLink transaction)', 'send');
-      events.push({
-        type: 'to-switch',
-        id: `ts-${events.length}`,
-        from: 0,
-        chunkId: 0,
-        color: CHUNK_COLORS[0],
-        startTime: currentTime,
-        duration: MULTICAST_TIME,
-        label: 'Data'
-      });
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch multicast replicates packet to all output ports simultaneously', 'multicast');
-      events.push({
-        type: 'from-switch',
-        id: `fs-${events.length}`,
-        destinations: Array.from({ length: NODE_COUNT }, (_, i) => i),
-        chunkId: 0,
-        color: CHUNK_COLORS[0],
-        startTime: currentTime,
-        duration: MULTICAST_TIME,
-        label: 'Data'
-      });
-      currentTime += MULTICAST_TIME;
-
-      for (let i = 0; i < NODE_COUNT; i++) {
-        bufferState[i] = [{ chunkId: 0, state: 'final', reductionCount: 1 }];
-      }
-
-      addStep('Complete! True O(1) complexity broadcast via hardware multicast', 'done');
-    }
-    else if (op === Operation.Reduce) {
-      addStep('NVLS Reduce: Native SHARP reduction - solves incast problem', 'init');
-      currentTime += 300;
-
-      addStep('All GPUs issue multimem.ld_reduce to send data to switch', 'scatter');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch SHARP ALUs perform in-fabric reduction', 'switch-reduce');
-      addSwitchReduce(Array.from({ length: NODE_COUNT }, (_, i) => i), 0, 'Σ');
-      currentTime += SWITCH_COMPUTE_TIME;
-
-      addStep('Only root receives the single reduced result (no incast!)', 'gather');
-      events.push({
-        type: 'from-switch-single',
-        id: `fss-${events.length}`,
-        destination: 0,
-        chunkId: 0,
-        color: '#22c55e',
-        startTime: currentTime,
-        duration: MULTICAST_TIME * 0.3,
-        label: 'Σ'
-      });
-      currentTime += MULTICAST_TIME * 0.3;
-
-      bufferState[0] = [{ chunkId: 'all', state: 'reduced', reductionCount: NODE_COUNT }];
-      for (let i = 1; i < NODE_COUNT; i++) {
-        bufferState[i] = [{ chunkId: i, state: 'sent', reductionCount: 1 }];
-      }
-
-      addStep('Complete! Incast eliminated - root receives 1 stream, not N-1. No MultiShot needed (already optimal).', 'done');
-    }
-    // NOTE: AllToAll with NVLS is NOT supported - NVLS is for reduction/replication, not routing
-  }
-  // === MULTISHOT (2-Shot AllReduce) ===
-  else if (algo === Algorithm.MultiShot) {
-    if (op === Operation.AllReduce) {
-      addStep('MultiShot AllReduce: O(2) latency via NVLS primitives. Decomposed into ReduceScatter + AllGather.', 'init');
-      currentTime += 300;
-
-      addStep('SHOT 1 (ReduceScatter via NVLS): All GPUs issue multimem.ld_reduce for their chunks', 'shot1');
-
-      // All GPUs send their data to switch - switch does the reduction!
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch SHARP ALUs perform IN-SWITCH reduction (not on GPUs!)', 'switch-reduce');
-
-      // Switch performs reduction - THIS IS THE KEY DIFFERENCE
-      for (let c = 0; c < NODE_COUNT; c++) {
-        addSwitchReduce(Array.from({ length: NODE_COUNT }, (_, i) => i), c, `Σ${c}`);
-      }
-      currentTime += SWITCH_COMPUTE_TIME;
-
-      // Reduced chunks scattered to owners
-      addStep('Switch routes reduced chunk i to GPU i (ReduceScatter complete)', 'scatter-result');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'from-switch-single',
-          id: `fss-${events.length}`,
-          destination: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME * 0.5,
-          label: `Σ${gpu}`
-        });
-        bufferState[gpu] = [{ chunkId: gpu, state: 'reduced', reductionCount: NODE_COUNT }];
-      }
-      currentTime += MULTICAST_TIME * 0.5;
-      saveBufferSnapshot();
-
-      addStep('SHOT 2 (AllGather via NVLS): Each GPU issues multimem.st_multicast for its reduced chunk', 'shot2');
-
-      // Each GPU multicasts its reduced chunk via switch
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts2-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME * 0.5,
-          label: `Σ${gpu}`
-        });
-      }
-      currentTime += MULTICAST_TIME * 0.5;
-
-      addStep('NVSwitch multicasts all reduced chunks to all GPUs', 'broadcast');
-      events.push({
-        type: 'switch-broadcast',
-        id: `sb-${events.length}`,
-        destinations: Array.from({ length: NODE_COUNT }, (_, i) => i),
-        startTime: currentTime,
-        duration: MULTICAST_TIME,
-        label: 'ALL'
-      });
-      currentTime += MULTICAST_TIME;
-
-      // All GPUs now have all reduced chunks
-      for (let i = 0; i < NODE_COUNT; i++) {
-        bufferState[i] = Array.from({ length: NODE_COUNT }, (_, c) => ({
-          chunkId: c, state: 'final', reductionCount: NODE_COUNT
-        }));
-      }
-
-      addStep('Complete! 2 shots total. ~3× faster than Ring for small messages. SM offload achieved!', 'done');
-    }
-    else if (op === Operation.ReduceScatter) {
-      addStep('MultiShot ReduceScatter: Single shot via NVLS (Phase 1 of MultiShot AllReduce)', 'init');
-      currentTime += 300;
-
-      addStep('All GPUs issue multimem.ld_reduce to send data to switch', 'scatter');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch SHARP ALUs perform in-switch reduction', 'switch-reduce');
-      for (let c = 0; c < NODE_COUNT; c++) {
-        addSwitchReduce(Array.from({ length: NODE_COUNT }, (_, i) => i), c, `Σ${c}`);
-      }
-      currentTime += SWITCH_COMPUTE_TIME;
-
-      addStep('Switch routes reduced chunk i to GPU i', 'scatter-result');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'from-switch-single',
-          id: `fss-${events.length}`,
-          destination: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME * 0.3,
-          label: `Σ${gpu}`
-        });
-        bufferState[gpu] = [{ chunkId: gpu, state: 'reduced', reductionCount: NODE_COUNT }];
-      }
-      currentTime += MULTICAST_TIME * 0.3;
-
-      addStep('Complete! Single communication step via NVLS. Critical for TP efficiency.', 'done');
-    }
-    else if (op === Operation.AllGather) {
-      addStep('MultiShot AllGather: Single shot via NVLS multicast (Phase 2 of MultiShot AllReduce)', 'init');
-      currentTime += 300;
-
-      addStep('All GPUs issue multimem.st_multicast for their chunks', 'multicast');
-      for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
-        events.push({
-          type: 'to-switch',
-          id: `ts-${events.length}`,
-          from: gpu,
-          chunkId: gpu,
-          color: CHUNK_COLORS[gpu % CHUNK_COLORS.length],
-          startTime: currentTime,
-          duration: MULTICAST_TIME,
-          label: getDataLabel(gpu)
-        });
-      }
-      currentTime += MULTICAST_TIME;
-
-      addStep('NVSwitch multicasts all chunks to all GPUs simultaneously', 'broadcast');
-      events.push({
-        type: 'switch-broadcast',
-        id: `sb-${events.length}`,
-        destinations: Array.from({ length: NODE_COUNT }, (_, i) => i),
-        startTime: currentTime,
-        duration: MULTICAST_TIME,
-        label: 'ALL'
-      });
-      currentTime += MULTICAST_TIME;
-
-      for (let i = 0; i < NODE_COUNT; i++) {
-        bufferState[i] = Array.from({ length: NODE_COUNT }, (_, c) => ({
-          chunkId: c, state: 'final', reductionCount: 1
-        }));
-      }
+// Hands generated text or a Blob to the browser as a file download
+const downloadFile = (filename, data, type = 'application/json') => {
+  const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
-      addStep('Complete! Single step via switch multicast amplification', 'done');
-    }
-    // NOTE: MultiShot Reduce is NOT a thing - NVLS Reduce is already single-shot optimal
-    // NOTE: MultiShot AllToAll is NOT a thing - cannot be decomposed into RS+AG
+// === TIMELINE LOOKUP ===
+// Index of the last time-sorted entry (step or buffer snapshot) at or before `time`
+const findLastAtOrBefore = (items, time) => {
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid].time <= time) lo = mid + 1;
+    else hi = mid;
   }
-  // === RING ALGORITHMS ===
-
-
-  saveBufferSnapshot();
-
-  return {
-    duration: currentTime + 500,
-    events,
-    steps,
-    bufferSnapshots,
-    bandwidthSamples,
-    nodeCount: NODE_COUNT
-  };
+  return Math.max(0, lo - 1);
 };
 
-// === NODE LAYOUT ===
-const getNodes = (topo) => {
-  const nodes = [];
-  const links = [];
-
-  if (topo === Topology.FourGPU) {
-    // 4-GPU layout matching documentation examples
-    const radius = 160;
-    const cx = 400, cy = 300;
-
-    for (let i = 0; i < 4; i++) {
-      const angle = (i / 4) * Math.PI * 2 - Math.PI / 2;
-      nodes.push({
-        id: i,
-        label: `GPU ${i}`,
-        dataLabel: `D${i}`,  // Documentation-style data label
-        x: cx + Math.cos(angle) * radius,
-        y: cy + Math.sin(angle) * radius
-      });
-
-      // Ring connections for educational visualization
-      links.push({ from: i, to: (i + 1) % 4, type: 'ring' });
-
-      // Mesh connections (all-to-all via NVSwitch)
-      for (let j = i + 2; j < 4; j++) {
-        if (j !== (i + 3) % 4) {
-          links.push({ from: i, to: j, type: 'mesh' });
-        }
-      }
-    }
-  } else if (topo === Topology.SingleNode) {
-    const radius = 180;
-    const cx = 400, cy = 300;
-
-    for (let i = 0; i < 8; i++) {
-      const angle = (i / 8) * Math.PI * 2 - Math.PI / 2;
-      nodes.push({
-        id: i,
-        label: `GPU ${i}`,
-        x: cx + Math.cos(angle) * radius,
-        y: cy + Math.sin(angle) * radius
-      });
-
-      links.push({ from: i, to: (i + 1) % 8, type: 'ring' });
-
-      for (let j = i + 2; j < 8; j++) {
-        if (j !== (i + 7) % 8) {
-          links.push({ from: i, to: j, type: 'mesh' });
-        }
-      }
-    }
-  } else {
-    const radius = 110;
-    const cx1 = 200, cy1 = 300;
-    const cx2 = 600, cy2 = 300;
-
-    for (let i = 0; i < 8; i++) {
-      const angle = (i / 8) * Math.PI * 2 - Math.PI / 2;
-      nodes.push({
-        id: i,
-        label: `N0:G${i}`,
-        x: cx1 + Math.cos(angle) * radius,
-        y: cy1 + Math.sin(angle) * radius,
-        nodeId: 0
-      });
-
-      links.push({ from: i, to: (i + 1) % 8, type: 'ring' });
-      for (let j = i + 2; j < 8; j++) {
-        if (j !== (i + 7) % 8) {
-          links.push({ from: i, to: j, type: 'mesh' });
-        }
-      }
-    }
-
-    for (let i = 0; i < 8; i++) {
-      const angle = (i / 8) * Math.PI * 2 - Math.PI / 2;
-      const gpuId = i + 8;
-      nodes.push({
-        id: gpuId,
-        label: `N1:G${i}`,
-        x: cx2 + Math.cos(angle) * radius,
-        y: cy2 + Math.sin(angle) * radius,
-        nodeId: 1
-      });
-
-      links.push({ from: gpuId, to: 8 + (i + 1) % 8, type: 'ring' });
-      for (let j = i + 2; j < 8; j++) {
-        if (j !== (i + 7) % 8) {
-          links.push({ from: gpuId, to: 8 + j, type: 'mesh' });
-        }
-      }
-    }
-
-    links.push({ from: 7, to: 8, type: 'inter' });
-    links.push({ from: 15, to: 0, type: 'inter' });
+// Events sorted by start time plus the longest duration let the renderer find what is
+// active with a binary search instead of scanning every event on every frame
+const buildEventIndex = (events) => ({
+  sorted: [...events].sort((a, b) => a.startTime - b.startTime),
+  maxDuration: events.reduce((max, e) => Math.max(max, e.duration), 0)
+});
+
+// Progress whose time (progress × duration) is not rounded below `time`, so jumping to a
+// step shows that step rather than the one before it
+const getProgressAt = (time, duration) => {
+  let progress = time / duration;
+  while (progress * duration < time) progress += Number.EPSILON;
+  return Math.min(1, progress);
+};
 
-    for (let i = 1; i < 7; i++) {
-      links.push({ from: i, to: i + 8, type: 'inter-mesh' });
-    }
+const getActiveEvents = ({ sorted, maxDuration }, time) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid].startTime <= time) lo = mid + 1;
+    else hi = mid;
   }
-
-  return { nodes, links };
+  const active = [];
+  for (let i = lo - 1; i >= 0 && sorted[i].startTime >= time - maxDuration; i--) {
+    if (time <= sorted[i].startTime + sorted[i].duration) active.push(sorted[i]);
+  }
+  return active.reverse();
 };
 
 // === BANDWIDTH CHART COMPONENT ===
-const BandwidthChart = ({ timeline, currentTime, topology }) => {
+const BandwidthChart = ({ timeline, currentTime, topology, operation, messageSize, benchmark, comparison }) => {
   if (!timeline) return null;
 
   const width = 280;
@@ -807,69 +90,18 @@ const BandwidthChart = ({ timeline, currentTime, topology }) => {
 
   const utilizationData = useMemo(() => {
     const buckets = Array(bucketCount).fill(0);
-    const maxLinks = topology === Topology.MultiNode
-      ? 16
-      : (topology === Topology.FourGPU ? 4 : 8);
-    const samples = [...(timeline.bandwidthSamples || [])];
-
-    // NVLS/MultiShot switch traffic doesn't populate bandwidthSamples; derive from events.
-    if (timeline.events && timeline.events.length) {
-      timeline.events.forEach((evt) => {
-        const endTime = evt.startTime + evt.duration;
-        if (evt.type === 'to-switch') {
-          samples.push({
-            time: evt.startTime,
-            endTime,
-            linkId: `sw-in-${evt.from}`,
-            from: evt.from,
-            to: 'switch',
-            direction: 'in',
-            utilization: 1.0
-          });
-        } else if (evt.type === 'from-switch' && Array.isArray(evt.destinations)) {
-          evt.destinations.forEach((dest) => {
-            samples.push({
-              time: evt.startTime,
-              endTime,
-              linkId: `sw-out-${dest}`,
-              from: 'switch',
-              to: dest,
-              direction: 'out',
-              utilization: 1.0
-            });
-          });
-        } else if (evt.type === 'from-switch-single' && evt.destination !== undefined) {
-          samples.push({
-            time: evt.startTime,
-            endTime,
-            linkId: `sw-out-${evt.destination}`,
-            from: 'switch',
-            to: evt.destination,
-            direction: 'out',
-            utilization: 1.0
-          });
-        } else if (evt.type === 'switch-broadcast' && Array.isArray(evt.destinations)) {
-          evt.destinations.forEach((dest) => {
-            samples.push({
-              time: evt.startTime,
-              endTime,
-              linkId: `sw-bc-${dest}`,
-              from: 'switch',
-              to: dest,
-              direction: 'out',
-              utilization: 1.0
-            });
-          });
-        }
-      });
-    }
+    const maxLinks = timeline.nodeCount;
+    const samples = getLinkSamples(timeline);
 
+    // Weight every sample by how much of each bucket it covers, so thousands of short
+    // slices add up to the same utilization as one long transfer
     samples.forEach(sample => {
       const startBucket = Math.max(0, Math.min(bucketCount - 1, Math.floor(sample.time / bucketDuration)));
       const endBucket = Math.max(0, Math.min(bucketCount - 1, Math.floor(sample.endTime / bucketDuration)));
 
       for (let b = startBucket; b <= endBucket; b++) {
-        buckets[b] += 1 / maxLinks;
+        const overlap = Math.min(sample.endTime, (b + 1) * bucketDuration) - Math.max(sample.time, b * bucketDuration);
+        buckets[b] += (Math.max(0, overlap) / bucketDuration) * (sample.utilization ?? 1) / maxLinks;
       }
     });
 
@@ -889,6 +121,28 @@ const BandwidthChart = ({ timeline, currentTime, topology }) => {
   const linePath = `M ${points.join(' L ')} L ${chartWidth} ${lastY}`;
   const progressX = Math.max(0, Math.min(chartWidth, (currentTime / safeDuration) * chartWidth));
 
+  // Measured vs model busbw over message size (log2 axis), when nccl-tests output is loaded.
+  // The model curve grows as App finishes simulating each measured size.
+  const sweepHeight = 110;
+  const sweepChartHeight = sweepHeight - padding.top - padding.bottom;
+  const measured = benchmark ? benchmark.points : [];
+  const predicted = comparison || [];
+  // Sizes the model failed to simulate keep their place with predicted: null and an error
+  const modelled = predicted.filter(p => p.predicted !== null);
+  const failed = predicted.filter(p => p.error);
+  const comparable = benchmark && (!benchmark.operation || benchmark.operation === operation);
+  const smallest = measured[0];
+  const largest = measured[measured.length - 1];
+  const minLog = smallest ? Math.log2(smallest.bytes) : 0;
+  const maxLog = largest ? Math.log2(largest.bytes) : 1;
+  const xForBytes = (bytes) => (maxLog > minLog ? ((Math.log2(bytes) - minLog) / (maxLog - minLog)) * chartWidth : chartWidth / 2);
+  const maxBusbw = Math.max(1, ...measured.map(p => p.busbw), ...modelled.map(p => p.predicted));
+  const yForBusbw = (busbw) => sweepChartHeight * (1 - busbw / maxBusbw);
+  const toPath = (points, key) => points.map((p, i) => `${i ? 'L' : 'M'} ${xForBytes(p.bytes)} ${yForBusbw(p[key])}`).join(' ');
+  const finished = measured.length > 0 && predicted.length === measured.length;
+  const largestPredicted = finished && !predicted[predicted.length - 1].error ? predicted[predicted.length - 1] : null;
+  const underperforming = predicted.filter(p => p.underperforms).length;
+
   return (
     <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
       <div className="text-xs text-slate-400 mb-2 flex items-center gap-2">
@@ -946,9 +200,108 @@ const BandwidthChart = ({ timeline, currentTime, topology }) => {
 
         <text x={padding.left} y={height - 5} className="fill-slate-500 text-[8px]">0</text>
         <text x={width - padding.right} y={height - 5} className="fill-slate-500 text-[8px]" textAnchor="end">
-          {(timeline.duration / 1000).toFixed(1)}s
+          {formatDuration(timeline.duration)}
         </text>
       </svg>
+
+      {benchmark && (
+        <div className="mt-2 pt-2 border-t border-slate-700">
+          <div className="text-xs text-slate-400 flex items-center justify-between">
+            <span>Bus Bandwidth vs nccl-tests</span>
+            <span className="flex items-center gap-2 text-[9px]">
+              <span className="text-green-400">— model</span>
+              <span className="text-amber-400">● measured</span>
+            </span>
+          </div>
+          {comparable ? (
+            <>
+              <svg width={width} height={sweepHeight} className="overflow-visible">
+                <g transform={`translate(${padding.left}, ${padding.top})`}>
+                  {[0, 0.5, 1].map(v => (
+                    <g key={v}>
+                      <line
+                        x1={0} y1={sweepChartHeight * (1 - v)}
+                        x2={chartWidth} y2={sweepChartHeight * (1 - v)}
+                        className="stroke-slate-700"
+                        strokeDasharray="2 2"
+                      />
+                      <text
+                        x={-5} y={sweepChartHeight * (1 - v) + 3}
+                        className="fill-slate-500 text-[8px]"
+                        textAnchor="end"
+                      >
+                        {(v * maxBusbw).toFixed(maxBusbw < 10 ? 1 : 0)}
+                      </text>
+                    </g>
+                  ))}
+
+                  {messageSize >= smallest.bytes && messageSize <= largest.bytes && (
+                    <line
+                      x1={xForBytes(messageSize)} y1={0}
+                      x2={xForBytes(messageSize)} y2={sweepChartHeight}
+                      className="stroke-slate-500"
+                      strokeDasharray="3 2"
+                    />
+                  )}
+
+                  {modelled.length > 0 && (
+                    <path d={toPath(modelled, 'predicted')} fill="none" className="stroke-green-400" strokeWidth={1.5} />
+                  )}
+                  <path d={toPath(measured, 'busbw')} fill="none" className="stroke-amber-400/60" strokeWidth={1} />
+                  {measured.map((p, i) => (
+                    <circle
+                      key={p.bytes}
+                      cx={xForBytes(p.bytes)}
+                      cy={yForBusbw(p.busbw)}
+                      r={2}
+                      className={predicted[i]?.underperforms ? "fill-red-400" : "fill-amber-400"}
+                    >
+                      <title>
+                        {`${formatBytes(p.bytes)}: measured ${p.busbw.toFixed(2)} GB/s`}
+                        {predicted[i] && (predicted[i].error
+                          ? `, model failed: ${predicted[i].error}`
+                          : `, model ${predicted[i].predicted.toFixed(2)} GB/s`)}
+                      </title>
+                    </circle>
+                  ))}
+                </g>
+
+                <text x={padding.left - 5} y={padding.top - 8} className="fill-slate-500 text-[8px]" textAnchor="end">GB/s</text>
+                <text x={padding.left} y={sweepHeight - 5} className="fill-slate-500 text-[8px]">{formatBytes(smallest.bytes)}</text>
+                <text x={width - padding.right} y={sweepHeight - 5} className="fill-slate-500 text-[8px]" textAnchor="end">
+                  {formatBytes(largest.bytes)}
+                </text>
+              </svg>
+              <div className="text-[9px] text-slate-500">
+                {largestPredicted ? (
+                  <>
+                    At {formatBytes(largest.bytes)}: measured {largest.busbw.toFixed(1)} GB/s, model {largestPredicted.predicted.toFixed(1)} GB/s
+                    {largestPredicted.predicted > 0 && ` (${((largest.busbw / largestPredicted.predicted) * 100).toFixed(0)}%)`}
+                  </>
+                ) : finished ? (
+                  `At ${formatBytes(largest.bytes)}: measured ${largest.busbw.toFixed(1)} GB/s, model failed`
+                ) : (
+                  `Simulating ${predicted.length}/${measured.length} sizes…`
+                )}
+                {failed.length > 0 && (
+                  <span className="text-red-400">
+                    {` · ${failed.length} size${failed.length === 1 ? '' : 's'} could not be simulated (${failed[0].error})`}
+                  </span>
+                )}
+                {underperforming > 0 && (
+                  <span className="text-red-400">
+                    {` · ${underperforming} size${underperforming === 1 ? '' : 's'} below ${(UNDERPERFORM_RATIO * 100).toFixed(0)}% of the model`}
+                  </span>
+                )}
+              </div>
+            </>
+          ) : (
+            <div className="text-[9px] text-slate-500 mt-1">
+              These results are for {benchmark.operation}: select it to compare with the model
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -957,17 +310,44 @@ const BandwidthChart = ({ timeline, currentTime, topology }) => {
 const BufferStateView = ({ timeline, currentTime, nodeCount }) => {
   if (!timeline || !timeline.bufferSnapshots.length) return null;
 
-  let currentSnapshot = timeline.bufferSnapshots[0];
-  for (const snapshot of timeline.bufferSnapshots) {
-    if (snapshot.time <= currentTime) {
-      currentSnapshot = snapshot;
-    } else {
-      break;
-    }
-  }
+  const currentSnapshot = timeline.bufferSnapshots[findLastAtOrBefore(timeline.bufferSnapshots, currentTime)];
 
   const state = currentSnapshot.state;
   const gpuIds = Object.keys(state).map(Number).sort((a, b) => a - b);
+  // Numeric mode: ranks with an output to check, shown once the final buffers are
+  const checkedRanks = (timeline.verification || []).filter(rank => rank.passed !== null);
+  const failedRanks = checkedRanks.filter(rank => !rank.passed);
+
+  const renderChunk = (chunk, i) => {
+    const isReduced = chunk.state === 'reduced' || chunk.state === 'final';
+    const isPartial = chunk.state === 'partial';
+    const isSent = chunk.state === 'sent';
+    const isInSwitch = chunk.state === 'in-switch';
+    const isEmpty = chunk.state === 'empty';
+    const color = typeof chunk.chunkId === 'number'
+      ? CHUNK_COLORS[chunk.chunkId % CHUNK_COLORS.length]
+      : '#22c55e';
+
+    return (
+      <div
+        key={i}
+        className={clsx(
+          "w-4 h-4 rounded-sm flex items-center justify-center text-[7px] font-bold",
+          isReduced ? "ring-1 ring-white/50" : "",
+          isPartial ? "opacity-60" : "",
+          isSent ? "opacity-30" : "",
+          isInSwitch ? "animate-pulse" : "",
+          isEmpty ? "border border-dashed border-slate-600 text-slate-600" : ""
+        )}
+        style={{ backgroundColor: isEmpty ? 'transparent' : (isInSwitch ? '#8b5cf6' : color) }}
+        title={`${chunk.label
+          ? `Block ${chunk.label}: ${chunk.state}`
+          : `Chunk ${chunk.chunkId}: ${chunk.state} (${chunk.reductionCount || 1}/${nodeCount} reduced)`}${chunk.values ? `\n${formatValues(chunk.values)}` : ''}`}
+      >
+        {typeof chunk.chunkId === 'number' ? chunk.chunkId : 'Σ'}
+      </div>
+    );
+  };
 
   return (
     <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
@@ -978,41 +358,33 @@ const BufferStateView = ({ timeline, currentTime, nodeCount }) => {
       <div className="space-y-1 max-h-48 overflow-y-auto">
         {gpuIds.slice(0, 8).map(gpuId => {
           const chunks = state[gpuId] || [];
+          // P2P operations keep separate send and receive buffers
+          const groups = chunks.some(chunk => chunk.buffer)
+            ? [
+              { key: 'send', tag: 'S', chunks: chunks.filter(chunk => chunk.buffer === 'send') },
+              { key: 'recv', tag: 'R', chunks: chunks.filter(chunk => chunk.buffer === 'recv') }
+            ]
+            : [{ key: 'all', tag: null, chunks }];
+
           return (
             <div key={gpuId} className="flex items-center gap-2">
               <span className="text-[10px] text-slate-500 w-10 flex-shrink-0">
                 GPU{gpuId}
               </span>
-              <div className="flex gap-0.5 flex-wrap">
-                {chunks.slice(0, 8).map((chunk, i) => {
-                  const isReduced = chunk.state === 'reduced' || chunk.state === 'final';
-                  const isPartial = chunk.state === 'partial';
-                  const isSent = chunk.state === 'sent';
-                  const isInSwitch = chunk.state === 'in-switch';
-                  const color = typeof chunk.chunkId === 'number'
-                    ? CHUNK_COLORS[chunk.chunkId % CHUNK_COLORS.length]
-                    : '#22c55e';
-
-                  return (
-                    <div
-                      key={i}
-                      className={clsx(
-                        "w-4 h-4 rounded-sm flex items-center justify-center text-[7px] font-bold",
-                        isReduced ? "ring-1 ring-white/50" : "",
-                        isPartial ? "opacity-60" : "",
-                        isSent ? "opacity-30" : "",
-                        isInSwitch ? "animate-pulse" : ""
-                      )}
-                      style={{ backgroundColor: isInSwitch ? '#8b5cf6' : color }}
-                      title={`Chunk ${chunk.chunkId}: ${chunk.state} (${chunk.reductionCount || 1}/${nodeCount} reduced)`}
-                    >
-                      {typeof chunk.chunkId === 'number' ? chunk.chunkId : 'Σ'}
-                    </div>
-                  );
-                })}
-                {chunks.length > 8 && (
-                  <span className="text-[8px] text-slate-500">+{chunks.length - 8}</span>
-                )}
+              <div className="flex gap-1.5 flex-wrap">
+                {groups.map(group => (
+                  <div key={group.key} className="flex gap-0.5 items-center">
+                    {group.tag && (
+                      <span className="text-[7px] text-slate-600 w-2" title={group.key === 'send' ? 'Send buffer' : 'Receive buffer'}>
+                        {group.tag}
+                      </span>
+                    )}
+                    {group.chunks.slice(0, 8).map((chunk, i) => renderChunk(chunk, i))}
+                    {group.chunks.length > 8 && (
+                      <span className="text-[8px] text-slate-500">+{group.chunks.length - 8}</span>
+                    )}
+                  </div>
+                ))}
               </div>
             </div>
           );
@@ -1041,22 +413,62 @@ const BufferStateView = ({ timeline, currentTime, nodeCount }) => {
           <span>Final</span>
         </div>
       </div>
+      {timeline.verification && (
+        <div className="mt-2 pt-2 border-t border-slate-700 space-y-1">
+          {currentTime < timeline.bufferSnapshots[timeline.bufferSnapshots.length - 1].time ? (
+            <div className="text-[9px] text-slate-500">When the timeline finishes, the output of every rank is checked against the reference</div>
+          ) : !checkedRanks.length ? (
+            <div className="text-[9px] text-slate-500">No rank ends with a collective result to check</div>
+          ) : (
+            <>
+              <div className={clsx("text-[9px] flex items-center gap-1", failedRanks.length ? "text-red-400" : "text-green-400")}>
+                {failedRanks.length ? <XCircle size={10} /> : <CheckCircle2 size={10} />}
+                {failedRanks.length
+                  ? `${failedRanks.length} of ${checkedRanks.length} rank${checkedRanks.length === 1 ? '' : 's'} differ from the reference`
+                  : `${checkedRanks.length === 1 ? 'The checked rank matches' : `All ${checkedRanks.length} checked ranks match`} the reference`}
+              </div>
+              <div className="flex gap-0.5 flex-wrap max-h-16 overflow-y-auto">
+                {checkedRanks.map(rank => (
+                  <span
+                    key={rank.gpu}
+                    className={clsx(
+                      "px-1 text-[8px] rounded border",
+                      rank.passed ? "border-green-700 text-green-400" : "border-red-700 bg-red-900/30 text-red-300"
+                    )}
+                    title={`GPU${rank.gpu}: ${rank.passed ? 'pass' : 'FAIL'}, largest error ${rank.maxError}\nexpected ${formatValues(rank.expected)}\nactual ${formatValues(rank.actual)}`}
+                  >
+                    G{rank.gpu} {rank.passed ? '✓' : '✗'}
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
 // === KNOWLEDGE PANEL COMPONENT ===
-const KnowledgePanel = ({ operation, algorithm }) => {
+const KnowledgePanel = ({ operation, algorithm, protocol }) => {
   const [expandedSection, setExpandedSection] = useState('operation');
 
   const opData = KNOWLEDGE_DATA.operations[operation];
   const algoData = KNOWLEDGE_DATA.algorithms[algorithm];
-  const isNVLS = algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot;
+  const protoData = KNOWLEDGE_DATA.protocols.types[protocol];
+  const isNVLS = isNVLSAlgorithm(algorithm);
 
   const getMathData = () => {
     if (!opData?.math) return null;
-    if (operation === Operation.AllToAll) return opData.math;
+    if (operation === Operation.AllToAll) {
+      // logic/dataMovement/complexity/note are rendered by the AllToAll block itself
+      const { phases, formula, totalData } = opData.math;
+      return { phases, formula, totalData };
+    }
+    if (algorithm === Algorithm.NVLSTree && opData.math.nvlsTree) return opData.math.nvlsTree;
     if (isNVLS && opData.math.nvls) return opData.math.nvls;
+    if (algorithm === Algorithm.Tree && opData.math.tree) return opData.math.tree;
+    if (algorithm === Algorithm.P2P && opData.math.p2p) return opData.math.p2p;
     if (opData.math.ring) return opData.math.ring;
     return null;
   };
@@ -1247,6 +659,39 @@ const KnowledgePanel = ({ operation, algorithm }) => {
           )}
         </div>
 
+        {/* Protocol Section */}
+        <div className="border-b border-slate-700/50">
+          <button
+            onClick={() => toggleSection('protocol')}
+            className="w-full p-2.5 flex items-center justify-between text-left hover:bg-slate-700/30 transition-colors"
+          >
+            <span className="text-[10px] font-semibold text-amber-400 uppercase tracking-wider">
+              Protocol: {protoData?.name || protocol}
+            </span>
+            {expandedSection === 'protocol' ? <ChevronUp size={12} className="text-slate-500" /> : <ChevronDown size={12} className="text-slate-500" />}
+          </button>
+
+          {expandedSection === 'protocol' && protoData && (
+            <div className="px-3 pb-3 space-y-2">
+              <div className="text-[10px] text-slate-300 leading-relaxed">
+                {protoData.mechanism}
+              </div>
+              <div className="text-[9px] text-cyan-400/80">
+                <span className="text-slate-500">Efficiency:</span> {protoData.efficiency}
+              </div>
+              <div className="text-[9px] text-slate-400">
+                <span className="text-slate-500">Latency:</span> {protoData.latency}
+              </div>
+              <div className="text-[9px] text-green-400/80">
+                <span className="text-slate-500">Best for:</span> {protoData.bestFor}
+              </div>
+              <div className="text-[8px] text-amber-300/70 bg-amber-900/20 p-1.5 rounded border border-amber-700/30">
+                {KNOWLEDGE_DATA.protocols.tradeoff}
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Hardware Comparison Section */}
         <div>
           <button
@@ -1338,49 +783,397 @@ const KnowledgePanel = ({ operation, algorithm }) => {
 const App = () => {
   const [operation, setOperation] = useState(Operation.AllReduce);
   const [algorithm, setAlgorithm] = useState(Algorithm.NVLS);
-  const [topology, setTopology] = useState(Topology.SingleNode);
+  const [topology, setTopology] = useState(DEFAULT_TOPOLOGY);
+  const [messageSize, setMessageSize] = useState(DEFAULT_MESSAGE_SIZE);
+  const [protocol, setProtocol] = useState(Protocol.Simple);
+  const [channels, setChannels] = useState(1);
+  const [root, setRoot] = useState(0);
+  const [redop, setRedop] = useState(ReduceOp.Sum);
+  const [dataType, setDataType] = useState(DataType.Float32);
+  const [numericMode, setNumericMode] = useState(false);
+  const [numericSource, setNumericSource] = useState(NumericSource.Random);
+  const [numericSeed, setNumericSeed] = useState(1);
+  const [numericElements, setNumericElements] = useState(DEFAULT_NUMERIC_ELEMENTS);
+  const [numericText, setNumericText] = useState('');
+  const [channelFilter, setChannelFilter] = useState(null);
+  const [colorByChannel, setColorByChannel] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isLooping, setIsLooping] = useState(false);
   const [progress, setProgress] = useState(0);
   const [speed, setSpeed] = useState(1);
   const [timeline, setTimeline] = useState(null);
+  const [timelineProblems, setTimelineProblems] = useState([]);
+  // Developer check of the engine invariants: off by default, since on large clusters it
+  // takes longer than generating the timeline
+  const [checkInvariants, setCheckInvariants] = useState(false);
   const [showBuffers, setShowBuffers] = useState(true);
   const [showBandwidth, setShowBandwidth] = useState(true);
   const [showKnowledge, setShowKnowledge] = useState(true);
+  const [topologyErrors, setTopologyErrors] = useState([]);
+  const [replay, setReplay] = useState(null);
+  const [replayMessages, setReplayMessages] = useState({ errors: [], warnings: [] });
+  const [replayedCollective, setReplayedCollective] = useState(null);
+  const [benchmark, setBenchmark] = useState(null);
+  const [benchmarkMessages, setBenchmarkMessages] = useState({ errors: [], warnings: [] });
+  const [pastedBenchmark, setPastedBenchmark] = useState('');
+  const [benchmarkComparison, setBenchmarkComparison] = useState(null);
+  const [trace, setTrace] = useState(null);
+  const [traceMessages, setTraceMessages] = useState({ errors: [], warnings: [] });
+  const [savedScenario, setSavedScenario] = useState(null);
+  const [scenarioErrors, setScenarioErrors] = useState([]);
+  const [recordingFormat, setRecordingFormat] = useState(RecordingFormat.WebM);
+  const [recordingFps, setRecordingFps] = useState(DEFAULT_RECORDING_FPS);
+  const [recordPngFrames, setRecordPngFrames] = useState(false);
+  const [recordingProgress, setRecordingProgress] = useState(null);
+  const [recordingError, setRecordingError] = useState(null);
+  const [snapshotBandwidth, setSnapshotBandwidth] = useState(true);
+  const [snapshotBuffers, setSnapshotBuffers] = useState(true);
+  const [snapshotError, setSnapshotError] = useState(null);
 
   const lastTimeRef = useRef(0);
+  const topologyFileRef = useRef(null);
+  const logFileRef = useRef(null);
+  const benchmarkFileRef = useRef(null);
+  const traceFileRef = useRef(null);
+  const scenarioFileRef = useRef(null);
+  const mainViewRef = useRef(null);
+  const statusRef = useRef(null);
+  const panelsRef = useRef(null);
+  const bandwidthRef = useRef(null);
+  const buffersRef = useRef(null);
+  const recordingRef = useRef(null);
+
+  const importTopology = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      // NCCL dumps are XML; anything else is read as a JSON description
+      const isXml = /\.xml$/i.test(file.name) || text.trimStart().startsWith('<');
+      const { topology: imported, errors } = isXml
+        ? parseNcclTopologyXml(text, { name: file.name.replace(/\.xml$/i, '') })
+        : parseTopologyJson(text);
+      setTopologyErrors(errors.map(error => `${file.name}: ${error}`));
+      if (imported) setTopology(imported);
+    });
+  };
 
-  // Get compatible algorithms for current operation
-  const compatibleAlgorithms = ALGORITHM_COMPATIBILITY[operation] || [];
+  // The current topology as an editable starting point for a custom file
+  const exportTopology = () => {
+    const desc = topology.custom ? topology.custom.description : describeTopology(topology);
+    downloadFile('topology.json', JSON.stringify(desc, null, 2));
+  };
 
-  // Auto-select compatible algorithm when operation changes
-  useEffect(() => {
-    if (!compatibleAlgorithms.includes(algorithm)) {
-      setAlgorithm(compatibleAlgorithms[0] || Algorithm.NVLS);
+  // What the shown timeline was generated for; null when it replays a profiler trace
+  const getTimelineSettings = () => {
+    if (savedActive) return savedScenario.settings;
+    return traceReplay ? null : { operation, algorithm, protocol, messageSize, channels, root, redop, dataType };
+  };
+
+  const getTimelineFileName = (settings) => (settings
+    ? `${settings.operation}-${settings.algorithm}-${formatBytes(settings.messageSize)}${settings.channels > 1 ? `-${settings.channels}ch` : ''}${ROOTED_OPERATIONS.includes(settings.operation) && settings.root > 0 ? `-root${settings.root}` : ''}${settings.dataType && settings.dataType !== DataType.Float32 ? `-${settings.dataType}` : ''}${settings.redop && settings.redop !== ReduceOp.Sum && REDUCING_OPERATIONS.includes(settings.operation) ? `-${settings.redop}` : ''}`
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-$/, '')
+    : 'trace-replay');
+
+  // The shown timeline as Chrome trace JSON, to open in Perfetto beside a real profile
+  const exportTimeline = () => {
+    if (!timeline) return;
+    const settings = getTimelineSettings();
+    const metadata = { ...(settings || { source: 'profiler trace replay' }), topology: getTopologyLabel(topology) };
+    downloadFile(`${getTimelineFileName(settings)}.trace.json`, JSON.stringify(timelineToChromeTrace(timeline, topology, metadata)));
+  };
+
+  const saveScenario = () => {
+    if (!timeline) return;
+    const settings = getTimelineSettings();
+    downloadFile(`${getTimelineFileName(settings)}.scenario.json`, JSON.stringify(serializeScenario(timeline, topology, settings)));
+  };
+
+  // Renders every frame before capturing it, so the recording is smooth however slow the
+  // capture runs. Playback returns to where it was unless the recording is cancelled.
+  const record = async () => {
+    if (!timeline || recordingProgress) return;
+    const frameCount = getRecordingFrameCount(getPlaybackDuration(timeline), speed, recordingFps);
+    const session = { cancelled: false };
+    recordingRef.current = session;
+    const resumeAt = progress;
+    setIsPlaying(false);
+    setRecordingError(null);
+    setRecordingProgress({ frame: 0, frameCount });
+    try {
+      const result = await recordAnimation({
+        frameCount,
+        fps: recordingFps,
+        format: recordingFormat,
+        pngFrames: recordPngFrames,
+        showFrame: (p) => flushSync(() => setProgress(p)),
+        getElements: () => [mainViewRef.current, ...[statusRef.current, panelsRef.current].filter(panel => panel?.offsetHeight > 0)],
+        onFrame: (frame) => setRecordingProgress({ frame, frameCount }),
+        isCancelled: () => session.cancelled
+      });
+      if (result) {
+        const name = getTimelineFileName(getTimelineSettings());
+        downloadFile(`${name}.${recordingFormat === RecordingFormat.WebM ? 'webm' : 'gif'}`, result.video);
+        if (result.frames) downloadFile(`${name}-frames.zip`, result.frames);
+      }
+    } catch (err) {
+      setRecordingError(err.message);
+    } finally {
+      recordingRef.current = null;
+      setRecordingProgress(null);
+      if (!session.cancelled) setProgress(resumeAt);
     }
-  }, [operation, compatibleAlgorithms, algorithm]);
+  };
 
-  useEffect(() => {
-    // Only generate timeline if algorithm is compatible
-    if (compatibleAlgorithms.includes(algorithm)) {
-      const tl = generateTimeline(operation, algorithm, topology);
-      setTimeline(tl);
-      setProgress(0);
-      setIsPlaying(false);
+  // The frame on screen with its step caption and, when shown and picked, the bandwidth
+  // and buffer panels
+  const exportSnapshot = async (format) => {
+    if (!timeline) return;
+    const panels = [statusRef.current, snapshotBandwidth && bandwidthRef.current, snapshotBuffers && buffersRef.current]
+      .filter(panel => panel?.offsetHeight > 0);
+    const title = `${traceReplay && !savedActive ? 'Profiler trace replay' : `${operation} · ${algorithm}`} on ${getTopologyLabel(topology)} at ${formatDuration(currentTime)}`;
+    const { svg, width, height } = composeFrameSvg(mainViewRef.current, panels, title);
+    const name = `${getTimelineFileName(getTimelineSettings())}-${Math.round(currentTime)}us`;
+    setSnapshotError(null);
+    if (format === 'svg') {
+      downloadFile(`${name}.svg`, svg, 'image/svg+xml');
+      return;
+    }
+    try {
+      downloadFile(`${name}.png`, await svgToPng(svg, width, height));
+    } catch (err) {
+      setSnapshotError(err.message);
     }
-  }, [operation, algorithm, topology, compatibleAlgorithms]);
+  };
 
-  useEffect(() => {
-    let animationFrameId;
+  // Restores the cluster and settings a scenario was saved with; its timeline is then shown
+  // instead of a generated one for as long as they stay selected
+  const loadScenario = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const { scenario, errors } = parseScenarioJson(text);
+      setScenarioErrors(errors.map(error => `${file.name}: ${error}`));
+      if (!scenario) return;
+      setSavedScenario({ ...scenario, fileName: file.name });
+      setTrace(null);
+      selectTopology(scenario.topology);
+      if (scenario.settings) {
+        setOperation(scenario.settings.operation);
+        setAlgorithm(scenario.settings.algorithm);
+        setProtocol(scenario.settings.protocol);
+        setMessageSize(scenario.settings.messageSize);
+        setChannels(scenario.settings.channels ?? 1);
+        setRoot(scenario.settings.root ?? 0);
+        setRedop(scenario.settings.redop ?? ReduceOp.Sum);
+        setDataType(scenario.settings.dataType ?? DataType.Float32);
+      }
+    });
+  };
 
-    const animate = (time) => {
-      if (isPlaying && timeline) {
-        if (!lastTimeRef.current) lastTimeRef.current = time;
-        const delta = time - lastTimeRef.current;
-        lastTimeRef.current = time;
+  // The element count stays put, so the bytes moved scale with the element size
+  const selectDataType = (next) => {
+    setMessageSize(size => Math.min(MAX_MESSAGE_SIZE, Math.max(MIN_MESSAGE_SIZE, (size / DATATYPE_BYTES[dataType]) * DATATYPE_BYTES[next])));
+    setDataType(next);
+  };
+
+  const selectTopology = (next) => {
+    setTopologyErrors([]);
+    setTopology(next);
+  };
+
+  const importLog = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const { replay: parsed, errors, warnings } = parseNcclLog(text);
+      setReplayMessages({ errors, warnings });
+      setReplayedCollective(null);
+      setReplay(parsed ? { ...parsed, fileName: file.name } : null);
+      if (parsed) selectTopology(parsed.topology);
+    });
+  };
+
+  // Puts the app in the state NCCL logged for one call: shape, op, size, algorithm, protocol
+  const replayCollective = (entry) => {
+    selectTopology(replay.topology);
+    setOperation(entry.operation);
+    if (entry.algorithm) setAlgorithm(entry.algorithm);
+    if (entry.protocol) setProtocol(entry.protocol);
+    setMessageSize(Math.min(MAX_MESSAGE_SIZE, Math.max(1, entry.bytes)));
+    if (replay.rings.length) setChannels(Math.min(MAX_CHANNELS, replay.rings.length));
+    if (ROOTED_OPERATIONS.includes(entry.operation)) setRoot(entry.root);
+    setRedop(entry.redop);
+    setDataType(entry.dataType);
+    setReplayedCollective(entry);
+  };
+
+  // Measured nccl-tests output: switch to the test's operation and, when the rank count
+  // differs from the shown cluster, to the shape the test ran on
+  const importBenchmark = (text, name) => {
+    if (!text.trim()) {
+      setBenchmark(null);
+      setBenchmarkMessages({ errors: [], warnings: [] });
+      return;
+    }
+    const { benchmark: parsed, errors, warnings } = parseNcclTests(text, name);
+    setBenchmarkMessages({ errors, warnings });
+    setBenchmark(parsed ? { ...parsed, fileName: name } : null);
+    if (!parsed) return;
+    if (parsed.operation) setOperation(parsed.operation);
+    if (parsed.topology && parsed.ranks !== getGpuCount(topology)) selectTopology(parsed.topology);
+  };
+
+  // One torch.profiler export per rank; switches to a cluster big enough for every rank
+  const importTrace = (fileList) => {
+    const files = [...fileList];
+    if (!files.length) return;
+    Promise.all(files.map(file => file.text().then(text => ({ name: file.name, text })))).then(loaded => {
+      const { trace: parsed, errors, warnings } = loadChromeTraces(loaded);
+      setTraceMessages({ errors, warnings });
+      setTrace(parsed || null);
+      if (parsed) setSavedScenario(null);
+      if (parsed && getGpuCount(topology) < parsed.worldSize) selectTopology(parsed.topology);
+    });
+  };
+
+  // The logged rings and trees only apply while the logged communicator's shape is shown
+  const replayActive = replay !== null && topology === replay.topology;
+
+  // Get compatible algorithms for current operation and topology; a replayed log without
+  // NVLS multicast support rules out the NVLS family
+  const replayNvls = replayActive ? replay.nvls : null;
+  const compatibleAlgorithms = useMemo(
+    () => getCompatibleAlgorithms(operation, topology, { redop, dataType, nvls: replayNvls }),
+    [operation, topology, redop, dataType, replayNvls]
+  );
+
+  // Auto-select compatible algorithm when operation changes
+  useEffect(() => {
+    if (!compatibleAlgorithms.includes(algorithm)) {
+      setAlgorithm(compatibleAlgorithms[0] || Algorithm.NVLS);
+    }
+  }, [operation, compatibleAlgorithms, algorithm]);
+
+  const compatibleProtocols = useMemo(() => getCompatibleProtocols(algorithm), [algorithm]);
+
+  // NVLS-family algorithms only run Simple: fall back when switching to one of them
+  useEffect(() => {
+    if (!compatibleProtocols.includes(protocol)) {
+      setProtocol(Protocol.Simple);
+    }
+  }, [compatibleProtocols, protocol]);
+
+  const savedActive = savedScenario !== null && isSameTopology(topology, savedScenario.topology) && (savedScenario.settings === null || (
+    operation === savedScenario.settings.operation && algorithm === savedScenario.settings.algorithm
+    && protocol === savedScenario.settings.protocol && messageSize === savedScenario.settings.messageSize
+    && channels === (savedScenario.settings.channels ?? 1) && root === (savedScenario.settings.root ?? 0)
+    && redop === (savedScenario.settings.redop ?? ReduceOp.Sum) && dataType === (savedScenario.settings.dataType ?? DataType.Float32)));
+
+  // A loaded trace is played instead of the selected collective while every rank has a GPU
+  const traceReplay = useMemo(
+    () => (trace && getGpuCount(topology) >= trace.worldSize ? buildTraceTimeline(trace, topology) : null),
+    [trace, topology]
+  );
+
+  // Input vectors of numeric mode, seeded or entered, or why the entered ones can't be read
+  const numericInputs = useMemo(() => {
+    if (!numericMode) return { inputs: null, error: null };
+    const gpuCount = getGpuCount(topology);
+    if (numericSource === NumericSource.Random) {
+      return { inputs: createRandomInputs(gpuCount, { seed: numericSeed, elements: numericElements, dataType }), error: null };
+    }
+    try {
+      return { inputs: parseInputValues(numericText, gpuCount), error: null };
+    } catch (err) {
+      return { inputs: null, error: err.message };
+    }
+  }, [numericMode, numericSource, numericSeed, numericElements, numericText, topology, dataType]);
+
+  useEffect(() => {
+    const fixed = savedActive ? savedScenario.timeline : traceReplay?.timeline;
+    if (fixed) {
+      setTimeline(fixed);
+      setTimelineProblems([]);
+      setProgress(0);
+      setIsPlaying(false);
+      return;
+    }
+    // Only generate timeline if algorithm and protocol are compatible
+    if (compatibleAlgorithms.includes(algorithm) && compatibleProtocols.includes(protocol)) {
+      const tl = generateTimeline(operation, algorithm, topology, {
+        messageSize,
+        protocol,
+        channels,
+        root,
+        redop,
+        dataType,
+        inputs: numericInputs.inputs,
+        rings: replayActive ? replay.rings : undefined,
+        trees: replayActive ? replay.trees : undefined
+      });
+      setTimeline(tl);
+      setTimelineProblems(checkInvariants ? checkTimeline(tl, operation, topology) : []);
+      setProgress(0);
+      setIsPlaying(false);
+    }
+  }, [operation, algorithm, topology, messageSize, protocol, channels, root, redop, dataType, numericInputs, compatibleAlgorithms, compatibleProtocols, replay, replayActive, traceReplay, savedScenario, savedActive, checkInvariants]);
+
+  // Model busbw at the measured sizes, only for the operation that was measured. Every size
+  // is a full timeline, so one is simulated per task and the curve fills in as they finish.
+  useEffect(() => {
+    setBenchmarkComparison(null);
+    if (!benchmark || (benchmark.operation && benchmark.operation !== operation)) return;
+    if (!compatibleAlgorithms.includes(algorithm) || !compatibleProtocols.includes(protocol)) return;
+
+    const options = {
+      protocol,
+      channels,
+      root,
+      redop,
+      dataType,
+      rings: replayActive ? replay.rings : undefined,
+      trees: replayActive ? replay.trees : undefined
+    };
+    const predicted = [];
+    let timeoutId;
+    // A size that throws is recorded as failed, so the remaining sizes still get simulated
+    const predictNext = () => {
+      const point = benchmark.points[predicted.length];
+      try {
+        predicted.push(predictBusBandwidth(point, operation, algorithm, topology, options));
+      } catch (err) {
+        predicted.push({ ...point, predicted: null, underperforms: false, error: err.message });
+      }
+      setBenchmarkComparison([...predicted]);
+      if (predicted.length < benchmark.points.length) timeoutId = setTimeout(predictNext, 0);
+    };
+    timeoutId = setTimeout(predictNext, 0);
+    return () => clearTimeout(timeoutId);
+  }, [benchmark, operation, algorithm, topology, protocol, channels, root, redop, dataType, compatibleAlgorithms, compatibleProtocols, replay, replayActive]);
+
+  // A smaller cluster may no longer have the root GPU
+  useEffect(() => {
+    if (root >= getGpuCount(topology)) setRoot(0);
+  }, [topology, root]);
+
+  // A picked channel that the new timeline does not draw would hide every event
+  useEffect(() => {
+    setChannelFilter(picked => (picked !== null && picked < (timeline?.channels?.drawn ?? 1) ? picked : null));
+  }, [timeline]);
+
+  // A recording that outlives its timeline would mix frames of two runs
+  useEffect(() => () => {
+    if (recordingRef.current) recordingRef.current.cancelled = true;
+  }, [timeline]);
+
+  useEffect(() => {
+    let animationFrameId;
+
+    const animate = (time) => {
+      if (isPlaying && timeline) {
+        if (!lastTimeRef.current) lastTimeRef.current = time;
+        const delta = time - lastTimeRef.current;
+        lastTimeRef.current = time;
 
         const deltaSeconds = delta / 1000;
-        const totalDurationSeconds = timeline.duration / 1000;
+        const totalDurationSeconds = getPlaybackSeconds(getPlaybackDuration(timeline));
 
         setProgress(p => {
           const newP = p + (deltaSeconds * speed) / totalDurationSeconds;
@@ -1404,98 +1197,105 @@ const App = () => {
     return () => cancelAnimationFrame(animationFrameId);
   }, [isPlaying, timeline, speed, isLooping]);
 
-  const currentTime = timeline ? progress * timeline.duration : 0;
-  const { nodes, links } = useMemo(() => getNodes(topology), [topology]);
+  const currentTime = timeline ? progress * getPlaybackDuration(timeline) : 0;
+  const { nodes, links, switches, groups, devices, wires, gpuSize } = useMemo(() => getNodes(topology), [topology]);
 
   // Active events calculation
+  const eventIndex = useMemo(() => (timeline ? buildEventIndex(timeline.events) : null), [timeline]);
+  // Only the picked channel's events, recoloured per channel when asked
+  const activeEvents = useMemo(
+    () => (eventIndex ? getActiveEvents(eventIndex, currentTime) : [])
+      .filter(e => channelFilter === null || (e.channel ?? 0) === channelFilter)
+      .map(e => (colorByChannel && e.color ? { ...e, color: getChannelColor(e.channel ?? 0) } : e)),
+    [eventIndex, currentTime, channelFilter, colorByChannel]
+  );
+
   const activePackets = useMemo(() => {
-    if (!timeline) return [];
-    return timeline.events
+    return activeEvents
       .filter(e => e.type === 'transfer' || e.type === 'parallel-transfer')
-      .filter(e => currentTime >= e.startTime && currentTime <= e.startTime + e.duration)
       .map(e => {
         const t = Math.min(1, Math.max(0, (currentTime - e.startTime) / e.duration));
         return { ...e, t };
       });
-  }, [timeline, currentTime]);
+  }, [activeEvents, currentTime]);
 
   const activeSwitchEvents = useMemo(() => {
-    if (!timeline) return [];
-    return timeline.events
-      .filter(e => ['to-switch', 'from-switch', 'from-switch-single', 'switch-reduce',
-        'switch-broadcast', 'multicast', 'multicast-out', 'to-switch-multi',
-        'switch-route', 'from-switch-gather'].includes(e.type))
-      .filter(e => currentTime >= e.startTime && currentTime <= e.startTime + e.duration)
+    return activeEvents
+      .filter(e => SWITCH_EVENT_TYPES.includes(e.type))
       .map(e => {
         const t = Math.min(1, Math.max(0, (currentTime - e.startTime) / e.duration));
         return { ...e, t };
       });
-  }, [timeline, currentTime]);
+  }, [activeEvents, currentTime]);
 
-  const activeComputes = useMemo(() => {
-    if (!timeline) return [];
-    return timeline.events
-      .filter(e => e.type === 'compute')
-      .filter(e => currentTime >= e.startTime && currentTime <= e.startTime + e.duration);
-  }, [timeline, currentTime]);
+  const activeComputes = useMemo(
+    () => activeEvents.filter(e => e.type === 'compute'),
+    [activeEvents]
+  );
 
   const activeLinks = useMemo(() => {
-    if (!timeline) return new Map();
     const active = new Map();
-    timeline.events
+    activeEvents
       .filter(e => e.type === 'link')
-      .filter(e => currentTime >= e.startTime && currentTime <= e.startTime + e.duration)
       .forEach(e => {
         const key = `${e.from}-${e.to}`;
-        active.set(key, e.direction || 'cw');
+        active.set(key, e.channel ?? 0);
       });
     return active;
-  }, [timeline, currentTime]);
+  }, [activeEvents]);
 
   const currentStep = useMemo(() => {
     if (!timeline || !timeline.steps.length) return null;
-    let step = timeline.steps[0];
-    for (const s of timeline.steps) {
-      if (s.time <= currentTime) step = s;
-      else break;
-    }
-    return step;
+    return timeline.steps[findLastAtOrBefore(timeline.steps, currentTime)];
   }, [timeline, currentTime]);
 
+  // Long pipelines produce hundreds of steps; keep phase boundaries plus an even sample
+  const scrubberMarkers = useMemo(() => {
+    if (!timeline) return [];
+    const stride = Math.ceil(timeline.steps.length / 120);
+    return timeline.steps.filter((step, i) =>
+      i % stride === 0 || step.phase !== timeline.steps[i - 1].phase);
+  }, [timeline]);
+
   const togglePlay = () => setIsPlaying(!isPlaying);
   const toggleLoop = () => setIsLooping(!isLooping);
   const reset = () => { setIsPlaying(false); setProgress(0); };
 
   const stepForward = () => {
     if (!timeline) return;
-    const idx = timeline.steps.findIndex((s, i) =>
-      i === timeline.steps.length - 1 || timeline.steps[i + 1].time > currentTime
-    );
+    const idx = findLastAtOrBefore(timeline.steps, currentTime);
     if (idx < timeline.steps.length - 1) {
-      setProgress(timeline.steps[idx + 1].time / timeline.duration);
+      setProgress(getProgressAt(timeline.steps[idx + 1].time, getPlaybackDuration(timeline)));
     }
   };
 
   const stepBackward = () => {
     if (!timeline) return;
-    const idx = timeline.steps.findIndex((s, i) =>
-      i === timeline.steps.length - 1 || timeline.steps[i + 1].time > currentTime
-    );
+    const idx = findLastAtOrBefore(timeline.steps, currentTime);
     if (idx > 0) {
-      setProgress(timeline.steps[idx - 1].time / timeline.duration);
+      setProgress(getProgressAt(timeline.steps[idx - 1].time, getPlaybackDuration(timeline)));
     }
   };
 
-  const width = 800;
-  const height = 550;
+  const width = VIEW_WIDTH;
+  const height = VIEW_HEIGHT;
 
-  // NVSwitch position
-  const switchX = topology === Topology.MultiNode ? 400 : 400;
-  const switchY = 300;
+  // Check if an NVLS-family algorithm is active
+  const isNVLSAlgo = isNVLSAlgorithm(algorithm);
 
-  // Check if NVLS/MultiShot algorithm is active
-  const isNVLSAlgo = algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot;
-  const hasSwitchActivity = activeSwitchEvents.length > 0;
+  // Which NVSwitch an event talks to: its explicit switchId, else the switch of the GPU's node
+  const switchOfGpu = (gpuId) => {
+    const gpu = nodes.find(n => n.id === gpuId);
+    return switches.find(sw => sw.nodeId === (gpu?.nodeId ?? 0)) || switches[0];
+  };
+  const getEventSwitch = (evt, gpuId) => (evt.switchId !== undefined
+    ? switches.find(sw => sw.id === evt.switchId)
+    : switchOfGpu(gpuId));
+  const getSwitchEvents = (sw) => activeSwitchEvents.filter(e => {
+    if (e.switchId !== undefined) return e.switchId === sw.id;
+    const gpus = [e.from, e.destination, ...(e.destinations || []), ...(e.sources || [])];
+    return gpus.some(g => g !== undefined && switchOfGpu(g) === sw);
+  });
 
   return (
     <div className="flex h-screen bg-slate-950 text-white font-sans overflow-hidden">
@@ -1508,15 +1308,335 @@ const App = () => {
         </div>
 
         {/* Config */}
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Scenario</h3>
+          <div className="flex gap-1">
+            <button
+              onClick={saveScenario}
+              title="Save the shown timeline and its cluster as a versioned JSON file"
+              className="flex-1 flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+            >
+              <Download size={10} /> Save
+            </button>
+            <button
+              onClick={() => scenarioFileRef.current?.click()}
+              title="Reopen a saved scenario file"
+              className="flex-1 flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+            >
+              <Upload size={10} /> Load
+            </button>
+            {savedScenario && (
+              <button
+                onClick={() => {
+                  setSavedScenario(null);
+                  setScenarioErrors([]);
+                }}
+                className="px-2 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+              >
+                Close
+              </button>
+            )}
+          </div>
+          <input
+            ref={scenarioFileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={e => {
+              loadScenario(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {savedScenario && (
+            <div className="text-[9px] text-slate-500">
+              {savedScenario.fileName}: {savedScenario.settings
+                ? `${savedScenario.settings.operation} · ${savedScenario.settings.algorithm} · ${formatBytes(savedScenario.settings.messageSize)}`
+                : 'profiler trace replay'}
+              {savedActive ? ' · showing the saved timeline' : ' · select its cluster and settings again to reopen it'}
+            </div>
+          )}
+          {scenarioErrors.length > 0 && (
+            <div className="p-2 bg-red-900/20 border border-red-700/30 rounded text-[9px] text-red-300/80">
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <ul className="space-y-0.5">
+                  {scenarioErrors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+
         <div className="space-y-1.5">
           <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Topology</h3>
           <select
             className="w-full bg-slate-800 border border-slate-700 rounded p-1.5 text-sm focus:ring-2 focus:ring-green-500 outline-none"
-            value={topology}
-            onChange={(e) => setTopology(e.target.value)}
+            value={TOPOLOGY_PRESETS.findIndex(preset => isSameTopology(preset.topology, topology))}
+            onChange={(e) => selectTopology(TOPOLOGY_PRESETS[e.target.value].topology)}
           >
-            {Object.values(Topology).map(t => <option key={t} value={t}>{t}</option>)}
+            {TOPOLOGY_PRESETS.map((preset, i) => <option key={preset.label} value={i}>{preset.label}</option>)}
+            <option value={-1} disabled>
+              {topology.custom ? `Imported: ${getTopologyLabel(topology)}` : `Custom (${topology.nodeCount}×${topology.gpusPerNode})`}
+            </option>
           </select>
+          {topology.custom ? (
+            <div className="text-[9px] text-slate-500">
+              {topology.custom.nodes.length} node{topology.custom.nodes.length > 1 ? 's' : ''}, {topology.custom.description.links.length} links
+              {!hasNVSwitches(topology) && ' · no NVSwitch in every node, NVLS unavailable'}
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-[9px] text-slate-500 space-y-1">
+                <span className="flex justify-between">GPUs / node <span className="text-slate-300">{topology.gpusPerNode}</span></span>
+                <input
+                  type="range"
+                  min={MIN_GPUS_PER_NODE} max={MAX_GPUS_PER_NODE} step="1"
+                  value={topology.gpusPerNode}
+                  onChange={e => selectTopology(makeTopology(parseInt(e.target.value, 10), topology.nodeCount))}
+                  className="w-full h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-green-500"
+                />
+              </label>
+              <label className="text-[9px] text-slate-500 space-y-1">
+                <span className="flex justify-between">Nodes <span className="text-slate-300">{topology.nodeCount}</span></span>
+                <input
+                  type="range"
+                  min={MIN_NODE_COUNT} max={MAX_NODE_COUNT} step="1"
+                  value={topology.nodeCount}
+                  onChange={e => selectTopology(makeTopology(topology.gpusPerNode, parseInt(e.target.value, 10)))}
+                  className="w-full h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-green-500"
+                />
+              </label>
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-1.5">
+            <button
+              onClick={() => topologyFileRef.current?.click()}
+              title="Load a JSON topology description or an NCCL_TOPO_DUMP_FILE XML dump"
+              className="flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+            >
+              <Upload size={10} /> Import
+            </button>
+            <button
+              onClick={exportTopology}
+              title="Save the current topology as a JSON file to edit and import"
+              className="flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+            >
+              <Download size={10} /> Export JSON
+            </button>
+          </div>
+          <input
+            ref={topologyFileRef}
+            type="file"
+            accept=".json,.xml,application/json,text/xml"
+            className="hidden"
+            onChange={e => {
+              importTopology(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {topologyErrors.length > 0 && (
+            <div className="p-2 bg-red-900/20 border border-red-700/30 rounded text-[9px] text-red-300/80">
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <ul className="space-y-0.5">
+                  {topologyErrors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">NCCL Log Replay</h3>
+          <button
+            onClick={() => logFileRef.current?.click()}
+            title="Load NCCL_DEBUG=INFO output to replay the rings, trees, algorithms and protocols NCCL chose"
+            className="w-full flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+          >
+            <Upload size={10} /> Import NCCL_DEBUG log
+          </button>
+          <input
+            ref={logFileRef}
+            type="file"
+            accept=".log,.txt,text/plain"
+            className="hidden"
+            onChange={e => {
+              importLog(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {replay && (
+            <div className="text-[9px] text-slate-500 space-y-1">
+              <div>
+                {replay.fileName}: comm {replay.comm}, {getTopologyLabel(replay.topology)}
+                {replay.rings.length > 0 && `, ${replay.rings.length} channel${replay.rings.length === 1 ? '' : 's'}`}
+                {replay.trees && ', trees logged'}
+                {replay.nvls !== null && ` · NVLS multicast ${replay.nvls ? 'available' : 'unavailable'}`}
+                {!replayActive && ' · pick a logged call to replay it'}
+              </div>
+              <div className="max-h-32 overflow-y-auto space-y-0.5">
+                {replay.collectives.map(entry => (
+                  <button
+                    key={`${entry.name}-${entry.opCount}`}
+                    onClick={() => replayCollective(entry)}
+                    className={clsx(
+                      "w-full text-left px-1.5 py-0.5 rounded border transition-all",
+                      replayActive && replayedCollective === entry
+                        ? "bg-green-500/20 border-green-500 text-green-400"
+                        : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                    )}
+                  >
+                    #{entry.opCount} {entry.name} {formatBytes(entry.bytes)}
+                    {entry.ncclAlgorithm && ` → ${entry.ncclAlgorithm}`}{entry.protocol && `/${entry.protocol}`}
+                    {entry.ncclAlgorithm && !entry.algorithm && ' (not modelled here)'}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          {replayMessages.errors.length + replayMessages.warnings.length > 0 && (
+            <div className={clsx(
+              "p-2 rounded border text-[9px]",
+              replayMessages.errors.length
+                ? "bg-red-900/20 border-red-700/30 text-red-300/80"
+                : "bg-amber-900/20 border-amber-700/30 text-amber-300/80"
+            )}>
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <ul className="space-y-0.5">
+                  {[...replayMessages.errors, ...replayMessages.warnings].map((message, i) => <li key={i}>{message}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">nccl-tests Results</h3>
+          <div className="flex gap-1">
+            <button
+              onClick={() => benchmarkFileRef.current?.click()}
+              title="Load all_reduce_perf (or any *_perf) output to plot measured busbw against the model"
+              className="flex-1 flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+            >
+              <Upload size={10} /> Import nccl-tests output
+            </button>
+            {benchmark && (
+              <button
+                onClick={() => {
+                  setPastedBenchmark('');
+                  importBenchmark('', '');
+                }}
+                className="px-2 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <input
+            ref={benchmarkFileRef}
+            type="file"
+            accept=".txt,.log,.out,text/plain"
+            className="hidden"
+            onChange={e => {
+              const file = e.target.files[0];
+              if (file) file.text().then(text => {
+                setPastedBenchmark('');
+                importBenchmark(text, file.name);
+              });
+              e.target.value = '';
+            }}
+          />
+          <textarea
+            rows={2}
+            placeholder="…or paste the output here"
+            value={pastedBenchmark}
+            onChange={e => {
+              setPastedBenchmark(e.target.value);
+              importBenchmark(e.target.value, 'pasted output');
+            }}
+            className="w-full p-1 text-[9px] font-mono rounded border bg-slate-800 border-slate-700 text-slate-400 placeholder:text-slate-600 resize-y"
+          />
+          {benchmark && (
+            <div className="text-[9px] text-slate-500">
+              {benchmark.fileName}: {benchmark.test}, {benchmark.points.length} sizes
+              {benchmark.ranks && ` on ${benchmark.ranks} ranks`}
+              {benchmark.ranks && benchmark.ranks !== getGpuCount(topology) && ` · model has ${getGpuCount(topology)} GPUs`}
+            </div>
+          )}
+          {benchmarkMessages.errors.length + benchmarkMessages.warnings.length > 0 && (
+            <div className={clsx(
+              "p-2 rounded border text-[9px]",
+              benchmarkMessages.errors.length
+                ? "bg-red-900/20 border-red-700/30 text-red-300/80"
+                : "bg-amber-900/20 border-amber-700/30 text-amber-300/80"
+            )}>
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <ul className="space-y-0.5">
+                  {[...benchmarkMessages.errors, ...benchmarkMessages.warnings].map((message, i) => <li key={i}>{message}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Profiler Trace</h3>
+          <div className="flex gap-1">
+            <button
+              onClick={() => traceFileRef.current?.click()}
+              title="Load torch.profiler Chrome-trace JSON (one file per rank) and play its NCCL kernels"
+              className="flex-1 flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+            >
+              <Upload size={10} /> Import Chrome trace
+            </button>
+            {trace && (
+              <button
+                onClick={() => {
+                  setTrace(null);
+                  setTraceMessages({ errors: [], warnings: [] });
+                }}
+                className="px-2 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+              >
+                Close
+              </button>
+            )}
+          </div>
+          <input
+            ref={traceFileRef}
+            type="file"
+            multiple
+            accept=".json,application/json"
+            className="hidden"
+            onChange={e => {
+              importTrace(e.target.files);
+              e.target.value = '';
+            }}
+          />
+          {trace && (
+            <div className="text-[9px] text-slate-500">
+              {trace.fileCount} file{trace.fileCount === 1 ? '' : 's'}: {trace.kernels.length} NCCL kernels on {trace.worldSize} rank{trace.worldSize === 1 ? '' : 's'}
+              {traceReplay
+                ? `, ${traceReplay.summary.modelled} of ${traceReplay.summary.collectives} collectives with modelled transfers · playing instead of the selected operation`
+                : ` · pick a cluster with at least ${trace.worldSize} GPUs to play it`}
+            </div>
+          )}
+          {traceMessages.errors.length + traceMessages.warnings.length + (traceReplay?.warnings.length || 0) > 0 && (
+            <div className={clsx(
+              "p-2 rounded border text-[9px]",
+              traceMessages.errors.length
+                ? "bg-red-900/20 border-red-700/30 text-red-300/80"
+                : "bg-amber-900/20 border-amber-700/30 text-amber-300/80"
+            )}>
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <ul className="space-y-0.5">
+                  {[...traceMessages.errors, ...traceMessages.warnings, ...(traceReplay?.warnings || [])].map((message, i) => <li key={i}>{message}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="space-y-1.5">
@@ -1537,6 +1657,139 @@ const App = () => {
               </button>
             ))}
           </div>
+          {ROOTED_OPERATIONS.includes(operation) && (
+            <label className="flex items-center gap-2 text-[10px] text-slate-400">
+              Root
+              <select
+                className="flex-1 bg-slate-800 border border-slate-700 rounded p-1 text-xs focus:ring-2 focus:ring-green-500 outline-none"
+                value={root}
+                onChange={(e) => setRoot(Number(e.target.value))}
+              >
+                {nodes.map(node => <option key={node.id} value={node.id}>{node.label}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider flex items-center justify-between">
+            Message Size
+            <span className="text-slate-300 normal-case tracking-normal">{formatBytes(messageSize)}</span>
+          </h3>
+          <input
+            type="range"
+            min={Math.log2(MIN_MESSAGE_SIZE)} max={Math.log2(MAX_MESSAGE_SIZE)} step="1"
+            value={Math.log2(messageSize)}
+            onChange={e => setMessageSize(2 ** parseInt(e.target.value, 10))}
+            className="w-full h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-green-500"
+          />
+          {timeline?.chunking && (
+            <div className="text-[9px] text-slate-500">
+              {timeline.chunking.loops} loop{timeline.chunking.loops === 1 ? '' : 's'} × {timeline.chunking.chunksPerLoop} chunk{timeline.chunking.chunksPerLoop === 1 ? '' : 's'} of {formatBytes(timeline.chunking.chunkBytes)}
+              {timeline.chunking.slices > 1 && `, ${timeline.chunking.slices} slices each`}
+              {timeline.chunking.waves < timeline.chunking.loops && ` - drawn as ${timeline.chunking.waves} waves`}
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-1.5">
+            <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+              Type
+              <select
+                className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded p-1 text-xs focus:ring-2 focus:ring-green-500 outline-none"
+                value={dataType}
+                onChange={(e) => selectDataType(e.target.value)}
+              >
+                {Object.values(DataType).map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+              Op
+              <select
+                className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded p-1 text-xs focus:ring-2 focus:ring-green-500 outline-none disabled:opacity-40"
+                value={redop}
+                disabled={!REDUCING_OPERATIONS.includes(operation)}
+                title={REDUCING_OPERATIONS.includes(operation) ? undefined : `${operation} does not reduce`}
+                onChange={(e) => setRedop(e.target.value)}
+              >
+                {Object.values(ReduceOp).map(op => <option key={op} value={op}>{op}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="text-[9px] text-slate-500">
+            {(messageSize / DATATYPE_BYTES[dataType]).toLocaleString('en-US')} × {dataType} ({DATATYPE_BYTES[dataType]} byte{DATATYPE_BYTES[dataType] === 1 ? '' : 's'} each)
+          </div>
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Numeric Data</h3>
+          <label className="flex items-center gap-1.5 text-[10px] text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={numericMode}
+              onChange={e => setNumericMode(e.target.checked)}
+              className="accent-green-500"
+            />
+            Carry real values and check the result
+          </label>
+          {numericMode && (
+            <>
+              <div className="grid grid-cols-2 gap-1.5">
+                {[[NumericSource.Random, 'Seeded random'], [NumericSource.Custom, 'Entered']].map(([source, label]) => (
+                  <button
+                    key={source}
+                    onClick={() => setNumericSource(source)}
+                    className={clsx(
+                      "p-1.5 text-xs rounded border transition-all",
+                      numericSource === source
+                        ? "bg-green-500/20 border-green-500 text-green-300"
+                        : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {numericSource === NumericSource.Random ? (
+                <div className="grid grid-cols-2 gap-1.5">
+                  <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+                    Seed
+                    <input
+                      type="number"
+                      min="0"
+                      value={numericSeed}
+                      onChange={e => setNumericSeed(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                      className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded p-1 text-xs focus:ring-2 focus:ring-green-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1.5 text-[10px] text-slate-400">
+                    Values
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_NUMERIC_ELEMENTS}
+                      value={numericElements}
+                      onChange={e => setNumericElements(Math.min(MAX_NUMERIC_ELEMENTS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                      className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded p-1 text-xs focus:ring-2 focus:ring-green-500 outline-none"
+                    />
+                  </label>
+                </div>
+              ) : (
+                <textarea
+                  rows={3}
+                  placeholder={'1, 2, 3, 4\n0.5 -1 2 8\n(one line per GPU; lines repeat for the rest)'}
+                  value={numericText}
+                  onChange={e => setNumericText(e.target.value)}
+                  className="w-full p-1 text-[9px] font-mono rounded border bg-slate-800 border-slate-700 text-slate-400 placeholder:text-slate-600 resize-y"
+                />
+              )}
+              {numericInputs.error ? (
+                <div className="text-[9px] text-red-400">{numericInputs.error}</div>
+              ) : numericInputs.inputs && (
+                <div className="text-[9px] text-slate-500">
+                  {numericInputs.inputs[0].length} {dataType} value{numericInputs.inputs[0].length === 1 ? '' : 's'} per GPU stand in for the buffer · hover a chunk under GPU Buffer State for its values
+                </div>
+              )}
+            </>
+          )}
         </div>
 
         <div className="space-y-1.5">
@@ -1572,6 +1825,30 @@ const App = () => {
             })}
           </div>
 
+          {operation === Operation.AllToAll && (
+            <div className="mt-2 p-2 bg-amber-900/20 border border-amber-700/30 rounded text-[9px] text-amber-300/80">
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <span>
+                  <strong>AllToAll</strong> has no NVLS variant: there is nothing to reduce or replicate,
+                  only personalised blocks routed peer to peer.
+                </span>
+              </div>
+            </div>
+          )}
+
+          {REDUCING_OPERATIONS.includes(operation) && !isSharpReducible(redop, dataType) && hasNVSwitches(topology) && (
+            <div className="mt-2 p-2 bg-amber-900/20 border border-amber-700/30 rounded text-[9px] text-amber-300/80">
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <span>
+                  NVSwitch SHARP cannot reduce <strong>{redop}</strong> on <strong>{dataType}</strong> in-fabric,
+                  so the NVLS algorithms are off and NCCL falls back to {compatibleAlgorithms.join(' or ')}.
+                </span>
+              </div>
+            </div>
+          )}
+
           {operation === Operation.Reduce && (
             <div className="mt-2 p-2 bg-violet-900/20 border border-violet-700/30 rounded text-[9px] text-violet-300/80">
               <div className="flex items-start gap-1.5">
@@ -1585,11 +1862,115 @@ const App = () => {
           )}
         </div>
 
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Protocol</h3>
+          <div className="grid grid-cols-3 gap-1.5">
+            {Object.values(Protocol).map(proto => {
+              const isCompatible = compatibleProtocols.includes(proto);
+              return (
+                <button
+                  key={proto}
+                  onClick={() => setProtocol(proto)}
+                  disabled={!isCompatible}
+                  title={isCompatible ? undefined : `${algorithm} only runs the ${compatibleProtocols.join('/')} protocol`}
+                  className={clsx(
+                    "p-1.5 text-xs rounded border transition-all",
+                    protocol === proto
+                      ? "bg-amber-500/20 border-amber-500 text-amber-300 font-medium"
+                      : isCompatible
+                        ? "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                        : "bg-slate-900 border-slate-800 text-slate-600 cursor-not-allowed"
+                  )}
+                >
+                  {proto}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider flex items-center justify-between">
+            Channels
+            <span className="text-slate-300 normal-case tracking-normal">{getChannelCount(algorithm, channels)}</span>
+          </h3>
+          <input
+            type="range"
+            min="1" max={MAX_CHANNELS} step="1"
+            value={channels}
+            onChange={e => setChannels(parseInt(e.target.value, 10))}
+            disabled={!CHANNEL_ALGORITHMS.includes(algorithm)}
+            className="w-full h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-green-500 disabled:opacity-40 disabled:cursor-not-allowed"
+          />
+          {!CHANNEL_ALGORITHMS.includes(algorithm) ? (
+            <div className="text-[9px] text-slate-500">{algorithm} runs on a single channel here</div>
+          ) : timeline?.channels && timeline.channels.drawn < timeline.channels.count && (
+            <div className="text-[9px] text-slate-500">
+              {timeline.channels.count} channels drawn as {timeline.channels.drawn}, each carrying 1/{timeline.channels.drawn} of the buffer
+            </div>
+          )}
+          {timeline?.channels?.drawn > 1 && (
+            <>
+              <div className="flex flex-wrap gap-1">
+                <button
+                  onClick={() => setChannelFilter(null)}
+                  className={clsx(
+                    "px-1.5 py-0.5 text-[9px] rounded border transition-all",
+                    channelFilter === null
+                      ? "bg-green-500/20 border-green-500 text-green-300"
+                      : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                  )}
+                >
+                  All
+                </button>
+                {Array.from({ length: timeline.channels.drawn }, (_, c) => (
+                  <button
+                    key={c}
+                    onClick={() => setChannelFilter(channelFilter === c ? null : c)}
+                    title={`Show only channel ${c}`}
+                    className={clsx(
+                      "px-1.5 py-0.5 text-[9px] rounded border transition-all flex items-center gap-1",
+                      channelFilter === c
+                        ? "bg-green-500/20 border-green-500 text-green-300"
+                        : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                    )}
+                  >
+                    {colorByChannel && <span className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: getChannelColor(c) }} />}
+                    {c}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-1.5 text-[10px] text-slate-400 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={colorByChannel}
+                  onChange={e => setColorByChannel(e.target.checked)}
+                  className="accent-green-500"
+                />
+                Colour by channel
+              </label>
+            </>
+          )}
+        </div>
+
+        {timelineProblems.length > 0 && (
+          <div className="p-2 bg-red-900/20 border border-red-700/30 rounded text-[9px] text-red-300/80">
+            <div className="flex items-start gap-1.5">
+              <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+              <ul className="space-y-0.5">
+                <li className="font-semibold">The generated timeline breaks {timelineProblems.length} invariant{timelineProblems.length === 1 ? '' : 's'}:</li>
+                {timelineProblems.slice(0, MAX_REPORTED_PROBLEMS).map((problem, i) => <li key={i}>{problem}</li>)}
+                {timelineProblems.length > MAX_REPORTED_PROBLEMS && <li>…and {timelineProblems.length - MAX_REPORTED_PROBLEMS} more</li>}
+              </ul>
+            </div>
+          </div>
+        )}
+
         {/* Current Step */}
         {currentStep && (
-          <div className={clsx(
+          <div ref={statusRef} className={clsx(
             "rounded-lg p-2.5 border",
-            (algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot)
+            isNVLSAlgo
               ? "bg-violet-900/30 border-violet-700"
               : "bg-slate-800/50 border-slate-700"
           )}>
@@ -1603,6 +1984,13 @@ const App = () => {
           <div className="flex items-center justify-between">
             <span className="text-[10px] font-semibold text-slate-500 uppercase">Analysis</span>
             <div className="flex gap-1">
+              <button
+                onClick={exportTimeline}
+                className="p-1 rounded text-slate-500 hover:text-slate-300"
+                title="Export as Chrome trace JSON (open in Perfetto)"
+              >
+                <Download size={14} />
+              </button>
               <button
                 onClick={() => setShowBandwidth(!showBandwidth)}
                 className={clsx("p-1 rounded", showBandwidth ? "text-green-400" : "text-slate-600")}
@@ -1615,6 +2003,13 @@ const App = () => {
               >
                 {showBuffers ? <Eye size={14} /> : <EyeOff size={14} />}
               </button>
+              <button
+                onClick={() => setCheckInvariants(!checkInvariants)}
+                className={clsx("p-1 rounded", checkInvariants ? "text-amber-400" : "text-slate-600")}
+                title="Check every generated timeline against the engine invariants (slow on large clusters)"
+              >
+                <ShieldCheck size={14} />
+              </button>
               <button
                 onClick={() => setShowKnowledge(!showKnowledge)}
                 className={clsx("p-1 rounded", showKnowledge ? "text-violet-400" : "text-slate-600")}
@@ -1625,27 +2020,168 @@ const App = () => {
             </div>
           </div>
 
-          {showBandwidth && (
-            <BandwidthChart
-              timeline={timeline}
-              currentTime={currentTime}
-              topology={topology}
-            />
-          )}
+          <div ref={panelsRef} className="space-y-2">
+            {showBandwidth && (
+              <div ref={bandwidthRef}>
+                <BandwidthChart
+                  timeline={timeline}
+                  currentTime={currentTime}
+                  topology={topology}
+                  operation={operation}
+                  messageSize={messageSize}
+                  benchmark={benchmark}
+                  comparison={benchmarkComparison}
+                />
+              </div>
+            )}
 
-          {showBuffers && (
-            <BufferStateView
-              timeline={timeline}
-              currentTime={currentTime}
-              nodeCount={timeline?.nodeCount || 8}
-            />
+            {showBuffers && (
+              <div ref={buffersRef}>
+                <BufferStateView
+                  timeline={timeline}
+                  currentTime={currentTime}
+                  nodeCount={timeline?.nodeCount || 8}
+                />
+              </div>
+            )}
+
+            {showKnowledge && (
+              <KnowledgePanel
+                operation={operation}
+                algorithm={algorithm}
+                protocol={protocol}
+              />
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Recording</h3>
+          <div className="grid grid-cols-2 gap-1.5">
+            {Object.values(RecordingFormat).map(format => (
+              <button
+                key={format}
+                onClick={() => setRecordingFormat(format)}
+                disabled={recordingProgress !== null}
+                className={clsx(
+                  "p-1 text-[10px] rounded border transition-all",
+                  recordingFormat === format
+                    ? "bg-amber-500/20 border-amber-500 text-amber-300 font-medium"
+                    : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                )}
+              >
+                {format === RecordingFormat.WebM ? 'WebM video' : 'Animated GIF'}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex gap-1">
+              {RECORDING_FRAME_RATES.map(fps => (
+                <button
+                  key={fps}
+                  onClick={() => setRecordingFps(fps)}
+                  disabled={recordingProgress !== null}
+                  className={clsx(
+                    "px-1.5 py-0.5 text-[10px] rounded border",
+                    recordingFps === fps
+                      ? "bg-amber-500/20 border-amber-500 text-amber-300"
+                      : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+                  )}
+                >
+                  {fps} fps
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center gap-1 text-[10px] text-slate-400 cursor-pointer" title="Also save every frame as a PNG, zipped">
+              <input
+                type="checkbox"
+                checked={recordPngFrames}
+                disabled={recordingProgress !== null}
+                onChange={e => setRecordPngFrames(e.target.checked)}
+                className="accent-amber-500"
+              />
+              PNG frames
+            </label>
+          </div>
+          <div className="flex gap-1">
+            <button
+              onClick={record}
+              disabled={!timeline || recordingProgress !== null}
+              title="Render the animation frame by frame with the side panels and save it"
+              className="flex-1 flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700 disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              <Film size={10} />
+              {recordingProgress ? `Frame ${recordingProgress.frame} of ${recordingProgress.frameCount}` : 'Record'}
+            </button>
+            {recordingProgress && (
+              <button
+                onClick={() => { recordingRef.current.cancelled = true; }}
+                className="px-2 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          {timeline && !recordingProgress && (
+            <div className="text-[9px] text-slate-500">
+              {getRecordingFrameCount(getPlaybackDuration(timeline), speed, recordingFps)} frames, {(getPlaybackSeconds(getPlaybackDuration(timeline)) / speed).toFixed(1)} s at {speed}x speed
+            </div>
+          )}
+          {recordingError && (
+            <div className="p-2 bg-red-900/20 border border-red-700/30 rounded text-[9px] text-red-300/80">
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <span>{recordingError}</span>
+              </div>
+            </div>
           )}
+        </div>
 
-          {showKnowledge && (
-            <KnowledgePanel
-              operation={operation}
-              algorithm={algorithm}
-            />
+        <div className="space-y-1.5">
+          <h3 className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Snapshot</h3>
+          <div className="flex items-center gap-3 text-[10px] text-slate-400">
+            {[
+              ['Bandwidth', snapshotBandwidth, setSnapshotBandwidth, showBandwidth],
+              ['Buffers', snapshotBuffers, setSnapshotBuffers, showBuffers]
+            ].map(([label, checked, setChecked, shown]) => (
+              <label
+                key={label}
+                title={shown ? `Include the ${label.toLowerCase()} panel` : `Show the ${label.toLowerCase()} panel to include it`}
+                className={clsx("flex items-center gap-1", shown ? "cursor-pointer" : "text-slate-600")}
+              >
+                <input
+                  type="checkbox"
+                  checked={checked && shown}
+                  disabled={!shown}
+                  onChange={e => setChecked(e.target.checked)}
+                  className="accent-amber-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-1.5">
+            {['svg', 'png'].map(format => (
+              <button
+                key={format}
+                onClick={() => exportSnapshot(format)}
+                disabled={!timeline}
+                title={format === 'svg'
+                  ? 'Save the current frame as a standalone SVG with inlined styles'
+                  : 'Save the current frame as a PNG at screen resolution'}
+                className="flex items-center justify-center gap-1 p-1 text-[10px] rounded border bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700"
+              >
+                <Download size={10} /> {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+          {snapshotError && (
+            <div className="p-2 bg-red-900/20 border border-red-700/30 rounded text-[9px] text-red-300/80">
+              <div className="flex items-start gap-1.5">
+                <AlertTriangle size={10} className="mt-0.5 flex-shrink-0" />
+                <span>{snapshotError}</span>
+              </div>
+            </div>
           )}
         </div>
 
@@ -1653,7 +2189,10 @@ const App = () => {
         <div className="mt-auto border-t border-slate-800 pt-3 space-y-2">
           <div className="flex items-center justify-between text-slate-400 text-[10px] uppercase tracking-wider font-semibold">
             <span>Playback</span>
-            <span>{(progress * 100).toFixed(0)}%</span>
+            <span>
+              {timeline ? `${formatDuration(currentTime)} / ${formatDuration(getPlaybackDuration(timeline))} · ` : ''}
+              {(progress * 100).toFixed(0)}%
+            </span>
           </div>
 
           <div
@@ -1666,17 +2205,17 @@ const App = () => {
             <div
               className={clsx(
                 "absolute top-0 left-0 h-full",
-                (algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot)
+                isNVLSAlgo
                   ? "bg-gradient-to-r from-violet-500 to-purple-400"
                   : "bg-gradient-to-r from-green-500 to-emerald-400"
               )}
               style={{ width: `${progress * 100}%` }}
             />
-            {timeline?.steps.map((step, i) => (
+            {scrubberMarkers.map((step, i) => (
               <div
                 key={i}
                 className="absolute top-0 w-px h-full bg-slate-600/50"
-                style={{ left: `${(step.time / timeline.duration) * 100}%` }}
+                style={{ left: `${(step.time / getPlaybackDuration(timeline)) * 100}%` }}
               />
             ))}
           </div>
@@ -1692,7 +2231,7 @@ const App = () => {
               onClick={togglePlay}
               className={clsx(
                 "p-2.5 text-slate-900 rounded-full shadow-lg",
-                (algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot)
+                isNVLSAlgo
                   ? "bg-violet-500 hover:bg-violet-400"
                   : "bg-green-500 hover:bg-green-400"
               )}
@@ -1704,7 +2243,7 @@ const App = () => {
               className={clsx(
                 "p-1.5 rounded-full",
                 isLooping
-                  ? (algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot)
+                  ? isNVLSAlgo
                     ? "text-violet-400 bg-violet-900/30"
                     : "text-green-400 bg-green-900/30"
                   : "text-slate-400 hover:bg-slate-800"
@@ -1724,7 +2263,7 @@ const App = () => {
               value={speed} onChange={e => setSpeed(parseFloat(e.target.value))}
               className={clsx(
                 "w-20 h-1 bg-slate-800 rounded-lg appearance-none cursor-pointer",
-                (algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot)
+                isNVLSAlgo
                   ? "accent-violet-500"
                   : "accent-green-500"
               )}
@@ -1735,13 +2274,13 @@ const App = () => {
       </div>
 
       {/* Main Visualization */}
-      <div className="flex-1 relative bg-slate-950 flex flex-col">
+      <div ref={mainViewRef} className="flex-1 relative bg-slate-950 flex flex-col">
         <div className="absolute top-3 left-3 right-3 flex justify-between items-start pointer-events-none z-10">
           <div>
             <h2 className="text-lg font-light text-slate-200">{operation}</h2>
             <p className={clsx(
               "text-sm",
-              (algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot)
+              isNVLSAlgo
                 ? "text-violet-400"
                 : "text-slate-500"
             )}>{algorithm}</p>
@@ -1749,8 +2288,7 @@ const App = () => {
           <div className="bg-slate-900/80 backdrop-blur border border-slate-800 p-2 rounded-lg text-right shadow-lg">
             <div className="text-[10px] text-slate-500 uppercase tracking-wider">Topology</div>
             <div className="text-sm font-semibold text-slate-300">
-              {topology === Topology.FourGPU ? "4× H100 (Example)" :
-                topology === Topology.SingleNode ? "8× H100 NVLink" : "2×8 H100 + IB"}
+              {isDocExample(topology) ? "4× H100 (Example)" : getTopologyLabel(topology)}
             </div>
             {isNVLSAlgo && (
               <div className="text-[9px] text-violet-400 mt-1 flex items-center justify-end gap-1">
@@ -1791,49 +2329,78 @@ const App = () => {
             </defs>
 
             {/* Node backgrounds */}
-            {topology === Topology.MultiNode && (
-              <>
-                <rect x="50" y="130" width="300" height="340" rx="14" className="fill-slate-900/30 stroke-slate-800" strokeWidth="1" />
-                <text x="200" y="122" textAnchor="middle" className="fill-slate-600 text-[9px] font-bold uppercase tracking-widest">Node 0 (NVSwitch)</text>
+            {groups.map(group => (
+              <g key={`node-${group.id}`}>
+                <rect x={group.x} y={group.y} width={group.width} height={group.height} rx="14" className="fill-slate-900/30 stroke-slate-800" strokeWidth="1" />
+                <text x={group.x + group.width / 2} y={group.y - 8} textAnchor="middle" className="fill-slate-600 text-[9px] font-bold uppercase tracking-widest">{group.label}</text>
+              </g>
+            ))}
 
-                <rect x="450" y="130" width="300" height="340" rx="14" className="fill-slate-900/30 stroke-slate-800" strokeWidth="1" />
-                <text x="600" y="122" textAnchor="middle" className="fill-slate-600 text-[9px] font-bold uppercase tracking-widest">Node 1 (NVSwitch)</text>
-              </>
-            )}
+            {/* NVSwitch visualization (one per node, for NVLS-family algorithms) */}
+            {isNVLSAlgo && switches.map(sw => {
+              const swEvents = getSwitchEvents(sw);
+              const hasSwitchActivity = swEvents.length > 0;
+              return (
+                <g key={`sw-${sw.id}`} transform={`translate(${sw.x}, ${sw.y}) scale(${sw.scale})`}>
+                  {/* Switch glow when active */}
+                  {hasSwitchActivity && (
+                    <circle r={60} fill="url(#switchGradient)" filter="url(#glow-purple)" className="animate-pulse" />
+                  )}
 
-            {/* NVSwitch visualization (for NVLS/MultiShot) */}
-            {isNVLSAlgo && (topology === Topology.SingleNode || topology === Topology.FourGPU) && (
-              <g transform={`translate(${switchX}, ${switchY})`}>
-                {/* Switch glow when active */}
-                {hasSwitchActivity && (
-                  <circle r={60} fill="url(#switchGradient)" filter="url(#glow-purple)" className="animate-pulse" />
-                )}
+                  {/* Switch body */}
+                  <rect x={-40} y={-25} width={80} height={50} rx={8}
+                    className={clsx(
+                      "fill-slate-800 stroke-2 transition-all duration-300",
+                      hasSwitchActivity ? "stroke-violet-400" : "stroke-slate-700"
+                    )}
+                  />
 
-                {/* Switch body */}
-                <rect x={-40} y={-25} width={80} height={50} rx={8}
-                  className={clsx(
-                    "fill-slate-800 stroke-2 transition-all duration-300",
-                    hasSwitchActivity ? "stroke-violet-400" : "stroke-slate-700"
-                  )}
-                />
+                  {/* Switch label */}
+                  <text y={-32} textAnchor="middle" className="fill-violet-400 text-[9px] font-bold uppercase tracking-wider">
+                    {sw.label}
+                  </text>
+                  <text y={4} textAnchor="middle" className={clsx(
+                    "text-[10px] font-semibold",
+                    hasSwitchActivity ? "fill-violet-300" : "fill-slate-500"
+                  )}>
+                    {swEvents.some(e => e.type === 'switch-reduce') ? 'REDUCING' :
+                      swEvents.some(e => e.type === 'switch-route') ? 'ROUTING' :
+                        swEvents.some(e => e.type.includes('switch') || e.type.includes('multicast')) ? 'ACTIVE' : 'SHARP 3.0'}
+                  </text>
+                  <text y={18} textAnchor="middle" className="fill-slate-600 text-[8px]">
+                    400 GFlops FP32
+                  </text>
+                </g>
+              );
+            })}
 
-                {/* Switch label */}
-                <text y={-32} textAnchor="middle" className="fill-violet-400 text-[9px] font-bold uppercase tracking-wider">
-                  NVSwitch
-                </text>
-                <text y={4} textAnchor="middle" className={clsx(
-                  "text-[10px] font-semibold",
-                  hasSwitchActivity ? "fill-violet-300" : "fill-slate-500"
-                )}>
-                  {activeSwitchEvents.some(e => e.type === 'switch-reduce') ? 'REDUCING' :
-                    activeSwitchEvents.some(e => e.type === 'switch-route') ? 'ROUTING' :
-                      activeSwitchEvents.some(e => e.type.includes('switch') || e.type.includes('multicast')) ? 'ACTIVE' : 'SHARP 3.0'}
-                </text>
-                <text y={18} textAnchor="middle" className="fill-slate-600 text-[8px]">
-                  400 GFlops FP32
-                </text>
+            {/* Imported devices and the links wiring them (PCIe tree, NICs, NVLink counts) */}
+            {wires.map((wire, i) => (
+              <g key={`wire-${i}`}>
+                {!wire.labelOnly && (
+                  <line x1={wire.x1} y1={wire.y1} x2={wire.x2} y2={wire.y2}
+                    className={WIRE_STYLES[wire.type]} strokeWidth={wire.type === 'nvlink' ? 2 : 1.5} />
+                )}
+                {wire.label && (
+                  <text x={(wire.x1 + wire.x2) / 2 + 3} y={(wire.y1 + wire.y2) / 2}
+                    className="fill-slate-500 text-[7px]">
+                    {wire.label}
+                  </text>
+                )}
               </g>
-            )}
+            ))}
+            {devices.filter(device => !(isNVLSAlgo && device.kind === 'nvswitch')).map(device => {
+              const style = DEVICE_STYLES[device.kind];
+              return (
+                <g key={`dev-${device.id}`} transform={`translate(${device.x}, ${device.y})`}>
+                  <rect x={-style.width / 2} y={-style.height / 2} width={style.width} height={style.height} rx={3}
+                    className={style.box} strokeWidth={1} />
+                  <text y={3} textAnchor="middle" className={clsx("text-[8px] font-semibold", style.text)}>
+                    {device.label}
+                  </text>
+                </g>
+              );
+            })}
 
             {/* Links */}
             {links.map((link, i) => {
@@ -1874,6 +2441,7 @@ const App = () => {
                       x1={start.x + perpX} y1={start.y + perpY}
                       x2={end.x + perpX} y2={end.y + perpY}
                       className="stroke-green-400"
+                      style={colorByChannel ? { stroke: getChannelColor(activeLinks.get(cwKey)) } : undefined}
                       strokeWidth={3}
                       strokeLinecap="round"
                       filter="url(#glow)"
@@ -1886,6 +2454,7 @@ const App = () => {
                       x1={end.x - perpX} y1={end.y - perpY}
                       x2={start.x - perpX} y2={start.y - perpY}
                       className="stroke-blue-400"
+                      style={colorByChannel ? { stroke: getChannelColor(activeLinks.get(ccwKey)) } : undefined}
                       strokeWidth={3}
                       strokeLinecap="round"
                       filter="url(#glow)"
@@ -1896,17 +2465,65 @@ const App = () => {
               );
             })}
 
+            {/* Double binary tree overlay */}
+            {timeline?.trees && timeline.trees.map(tree => (
+              <g key={`tree-${tree.id}`}>
+                {tree.edges.map(({ parent, child }) => {
+                  const start = nodes.find(n => n.id === parent);
+                  const end = nodes.find(n => n.id === child);
+                  if (!start || !end) return null;
+
+                  // Bend the two trees to opposite sides so shared edges stay readable
+                  const bend = tree.id === 0 ? 18 : -18;
+                  const dx = end.x - start.x;
+                  const dy = end.y - start.y;
+                  const len = Math.sqrt(dx * dx + dy * dy) || 1;
+                  const cx = (start.x + end.x) / 2 - dy / len * bend;
+                  const cy = (start.y + end.y) / 2 + dx / len * bend;
+                  const isActive = activePackets.some(p =>
+                    (p.from === parent && p.to === child) || (p.from === child && p.to === parent));
+
+                  return (
+                    <path
+                      key={`${parent}-${child}`}
+                      d={`M ${start.x} ${start.y} Q ${cx} ${cy} ${end.x} ${end.y}`}
+                      fill="none"
+                      stroke={TREE_COLORS[tree.id]}
+                      strokeWidth={isActive ? 2.5 : 1.5}
+                      strokeDasharray={isActive ? undefined : '5 3'}
+                      opacity={isActive ? 0.9 : 0.45}
+                    />
+                  );
+                })}
+                {(() => {
+                  const root = nodes.find(n => n.id === tree.root);
+                  if (!root) return null;
+                  return (
+                    <text
+                      x={root.x} y={root.y - gpuSize * 0.78 - tree.id * 10}
+                      textAnchor="middle"
+                      className="text-[8px] font-bold"
+                      fill={TREE_COLORS[tree.id]}
+                    >
+                      T{tree.id} root
+                    </text>
+                  );
+                })()}
+              </g>
+            ))}
+
             {/* Switch connections (for NVLS) */}
-            {isNVLSAlgo && (topology === Topology.SingleNode || topology === Topology.FourGPU) && activeSwitchEvents.map((evt, i) => {
+            {isNVLSAlgo && activeSwitchEvents.map((evt, i) => {
               if (evt.type === 'to-switch' && evt.from !== undefined) {
                 const gpu = nodes.find(n => n.id === evt.from);
-                if (!gpu) return null;
+                const sw = getEventSwitch(evt, evt.from);
+                if (!gpu || !sw) return null;
                 const t = evt.t;
-                const x = gpu.x + (switchX - gpu.x) * t;
-                const y = gpu.y + (switchY - gpu.y) * t;
+                const x = gpu.x + (sw.x - gpu.x) * t;
+                const y = gpu.y + (sw.y - gpu.y) * t;
                 return (
                   <g key={`ts-${i}`}>
-                    <line x1={gpu.x} y1={gpu.y} x2={switchX} y2={switchY}
+                    <line x1={gpu.x} y1={gpu.y} x2={sw.x} y2={sw.y}
                       className="stroke-violet-400" strokeWidth={2} strokeDasharray="4 2" opacity={0.5} />
                     <circle cx={x} cy={y} r={8} fill={evt.color} filter="url(#glow-strong)" />
                     <text x={x} y={y - 12} textAnchor="middle" className="fill-white text-[8px] font-bold">
@@ -1918,13 +2535,14 @@ const App = () => {
               if (evt.type === 'from-switch' && evt.destinations) {
                 return evt.destinations.map((dest, j) => {
                   const gpu = nodes.find(n => n.id === dest);
-                  if (!gpu) return null;
+                  const sw = getEventSwitch(evt, dest);
+                  if (!gpu || !sw) return null;
                   const t = evt.t;
-                  const x = switchX + (gpu.x - switchX) * t;
-                  const y = switchY + (gpu.y - switchY) * t;
+                  const x = sw.x + (gpu.x - sw.x) * t;
+                  const y = sw.y + (gpu.y - sw.y) * t;
                   return (
                     <g key={`fs-${i}-${j}`}>
-                      <line x1={switchX} y1={switchY} x2={gpu.x} y2={gpu.y}
+                      <line x1={sw.x} y1={sw.y} x2={gpu.x} y2={gpu.y}
                         className="stroke-green-400" strokeWidth={2} strokeDasharray="4 2" opacity={0.5} />
                       <circle cx={x} cy={y} r={7} fill="#22c55e" filter="url(#glow-strong)" />
                     </g>
@@ -1933,13 +2551,14 @@ const App = () => {
               }
               if (evt.type === 'from-switch-single' && evt.destination !== undefined) {
                 const gpu = nodes.find(n => n.id === evt.destination);
-                if (!gpu) return null;
+                const sw = getEventSwitch(evt, evt.destination);
+                if (!gpu || !sw) return null;
                 const t = evt.t;
-                const x = switchX + (gpu.x - switchX) * t;
-                const y = switchY + (gpu.y - switchY) * t;
+                const x = sw.x + (gpu.x - sw.x) * t;
+                const y = sw.y + (gpu.y - sw.y) * t;
                 return (
                   <g key={`fss-${i}`}>
-                    <line x1={switchX} y1={switchY} x2={gpu.x} y2={gpu.y}
+                    <line x1={sw.x} y1={sw.y} x2={gpu.x} y2={gpu.y}
                       className="stroke-cyan-400" strokeWidth={2} strokeDasharray="4 2" opacity={0.5} />
                     <circle cx={x} cy={y} r={7} fill={evt.color} filter="url(#glow-strong)" />
                     <text x={x} y={y - 12} textAnchor="middle" className="fill-white text-[8px] font-bold">
@@ -1949,14 +2568,19 @@ const App = () => {
                 );
               }
               if (evt.type === 'switch-broadcast') {
-                // Show broadcast lines to all GPUs
-                return nodes.map((gpu, j) => {
+                // Show broadcast lines to all destination GPUs
+                const targets = evt.destinations
+                  ? nodes.filter(n => evt.destinations.includes(n.id))
+                  : nodes;
+                return targets.map((gpu, j) => {
+                  const sw = getEventSwitch(evt, gpu.id);
+                  if (!sw) return null;
                   const t = evt.t;
-                  const x = switchX + (gpu.x - switchX) * t;
-                  const y = switchY + (gpu.y - switchY) * t;
+                  const x = sw.x + (gpu.x - sw.x) * t;
+                  const y = sw.y + (gpu.y - sw.y) * t;
                   return (
                     <g key={`sb-${i}-${j}`}>
-                      <line x1={switchX} y1={switchY} x2={gpu.x} y2={gpu.y}
+                      <line x1={sw.x} y1={sw.y} x2={gpu.x} y2={gpu.y}
                         className="stroke-green-400" strokeWidth={1.5} strokeDasharray="4 2" opacity={0.4} />
                       <circle cx={x} cy={y} r={5} fill="#22c55e" opacity={0.8} />
                     </g>
@@ -1979,26 +2603,39 @@ const App = () => {
               const perpX = -dy / len * offset;
               const perpY = dx / len * offset;
 
-              const x = start.x + (end.x - start.x) * pkt.t + perpX;
-              const y = start.y + (end.y - start.y) * pkt.t + perpY;
+              // Simple moves one large chunk; LL/LL128 stream a train of small flagged lines
+              const train = PROTOCOL_PACKETS[pkt.protocol] || PROTOCOL_PACKETS[Protocol.Simple];
+              const radius = gpuSize * 0.25 * train.scale;
+              const positions = Array.from({ length: train.count }, (_, k) => pkt.t - k * train.spacing)
+                .filter(t => t >= 0);
 
               return (
-                <g key={pkt.id} transform={`translate(${x}, ${y})`}>
-                  <circle
-                    r={topology === Topology.MultiNode ? 7 : 9}
-                    fill={pkt.color}
-                    filter="url(#glow-strong)"
-                    stroke={pkt.direction === 'ccw' ? '#3b82f6' : '#22c55e'}
-                    strokeWidth={1.5}
-                  />
-                  <text
-                    y={-12}
-                    textAnchor="middle"
-                    className="fill-white text-[8px] font-bold"
-                    style={{ textShadow: '0 1px 3px rgba(0,0,0,0.9)' }}
-                  >
-                    {pkt.label}
-                  </text>
+                <g key={pkt.id}>
+                  {positions.map((t, k) => (
+                    <g
+                      key={k}
+                      transform={`translate(${start.x + dx * t + perpX}, ${start.y + dy * t + perpY})`}
+                      opacity={1 - k * (0.5 / train.count)}
+                    >
+                      <circle
+                        r={radius}
+                        fill={pkt.color}
+                        filter="url(#glow-strong)"
+                        stroke={pkt.direction === 'ccw' ? '#3b82f6' : '#22c55e'}
+                        strokeWidth={train.count > 1 ? 1 : 1.5}
+                      />
+                      {k === 0 && (
+                        <text
+                          y={-12}
+                          textAnchor="middle"
+                          className="fill-white text-[8px] font-bold"
+                          style={{ textShadow: '0 1px 3px rgba(0,0,0,0.9)' }}
+                        >
+                          {pkt.label}
+                        </text>
+                      )}
+                    </g>
+                  ))}
                 </g>
               );
             })}
@@ -2007,7 +2644,7 @@ const App = () => {
             {nodes.map(node => {
               const isComputing = activeComputes.some(c => c.nodeId === node.id);
               const computeOp = activeComputes.find(c => c.nodeId === node.id);
-              const size = topology === Topology.MultiNode ? 28 : 36;
+              const size = gpuSize;
               const offset = size / 2;
 
               // Check if this node is involved in switch activity
@@ -2044,15 +2681,30 @@ const App = () => {
                     className="fill-slate-800"
                   />
 
-                  <text
-                    y={offset + 12}
-                    textAnchor="middle"
-                    className="fill-slate-500 text-[8px] font-semibold"
-                  >
-                    {node.label}
-                  </text>
+                  {node.id === timeline?.root && (
+                    <>
+                      <rect
+                        x={-offset - 4} y={-offset - 4} width={size + 8} height={size + 8} rx={6}
+                        fill="none" className="stroke-amber-400" strokeWidth={1.5} strokeDasharray="3 2"
+                      />
+                      <text y={-offset - 8} textAnchor="middle" className="fill-amber-400 text-[8px] font-bold">
+                        root
+                      </text>
+                    </>
+                  )}
+
+                  {/* Large clusters are too dense for per-GPU labels; the node frames name them */}
+                  {size >= 16 && (
+                    <text
+                      y={offset + 12}
+                      textAnchor="middle"
+                      className="fill-slate-500 text-[8px] font-semibold"
+                    >
+                      {node.label}
+                    </text>
+                  )}
 
-                  {isComputing && computeOp && (
+                  {isComputing && computeOp && size >= 16 && (
                     <text y={4} textAnchor="middle" className="fill-green-400 text-[10px] font-bold">
                       {computeOp.label}
                     </text>
@@ -2063,12 +2715,38 @@ const App = () => {
 
 
 
-            {(algorithm === Algorithm.NVLS || algorithm === Algorithm.MultiShot) && (topology === Topology.SingleNode || topology === Topology.FourGPU) && (
+            {isNVLSAlgo && (
               <g transform="translate(400, 520)">
                 <text x={0} y={0} textAnchor="middle" className="fill-violet-400 text-[10px] font-medium">
                   {algorithm === Algorithm.NVLS
                     ? '⚡ NVSwitch SHARP: In-Network Reduction + Multicast'
-                    : '⚡ MultiShot: ReduceScatter (NVLS) + AllGather (NVLS)'}
+                    : algorithm === Algorithm.NVLSTree
+                      ? '⚡ NVLS-Tree: per-node SHARP reduce → inter-node tree between leaders → per-node multicast'
+                      : '⚡ MultiShot: ReduceScatter (NVLS) + AllGather (NVLS)'}
+                </text>
+              </g>
+            )}
+
+            {algorithm === Algorithm.Tree && (
+              <g transform="translate(400, 520)">
+                <text x={0} y={0} textAnchor="middle" className="fill-blue-400 text-[10px] font-medium">
+                  🌲 Double Binary Tree: reduce up (green) and broadcast down (blue), pipelined chunk by chunk
+                </text>
+              </g>
+            )}
+
+            {algorithm === Algorithm.P2P && (
+              <g transform="translate(400, 520)">
+                <text x={0} y={0} textAnchor="middle" className="fill-amber-400 text-[10px] font-medium">
+                  ⇄ Point-to-Point: personalised blocks over the NVSwitch mesh and inter-node links
+                </text>
+              </g>
+            )}
+
+            {algorithm === Algorithm.Ring && (
+              <g transform="translate(400, 520)">
+                <text x={0} y={0} textAnchor="middle" className="fill-green-400 text-[10px] font-medium">
+                  ↻ Ring: every GPU sends clockwise to its neighbour, SMs perform the reduction
                 </text>
               </g>
             )}
@@ -2091,6 +2769,12 @@ const App = () => {
               <div className="w-3 h-3 rounded bg-slate-900 border-2 border-green-400"></div>
               <span>SM Compute</span>
             </div>
+            {timeline?.trees && timeline.trees.map(tree => (
+              <div key={tree.id} className="flex items-center gap-1.5">
+                <div className="w-3 h-0.5" style={{ backgroundColor: TREE_COLORS[tree.id] }}></div>
+                <span>Tree {tree.id}</span>
+              </div>
+            ))}
             {isNVLSAlgo && (
               <>
                 <div className="flex items-center gap-1.5">
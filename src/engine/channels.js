@@ -0,0 +1,49 @@
+import { Algorithm, CHUNK_COLORS, MAX_CHANNELS } from './constants.js';
+import { getRoutePath } from './cluster.js';
+import { isPermutation } from './ncclLog.js';
+
+// === CHANNELS ===
+// NCCL splits a collective's buffer over channels that run side by side, each with its own
+// ring order or its own slice of the NVLS buffer. Tree and P2P run a single channel here.
+export const CHANNEL_ALGORITHMS = [Algorithm.Ring, Algorithm.NVLS, Algorithm.MultiShot, Algorithm.NVLSTree];
+
+export const getChannelCount = (algo, requested = 1) => (CHANNEL_ALGORITHMS.includes(algo)
+  ? Math.min(MAX_CHANNELS, Math.max(1, Math.floor(requested) || 1))
+  : 1);
+
+// Stepping through the palette by 5 (coprime with its 16 colours) keeps neighbouring
+// channels far apart in hue
+export const getChannelColor = (channel) => CHUNK_COLORS[(channel * 5) % CHUNK_COLORS.length];
+
+// Strides coprime with a node's size visit every GPU once: stride 1 is the plain ring, the
+// others run over the mesh links it leaves idle. A stride and its complement use the same
+// links in opposite directions, so strides up to half the size come first.
+const getRingStrides = (size) => {
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const strides = Array.from({ length: Math.max(1, size - 1) }, (_, i) => i + 1).filter(k => gcd(k, size) === 1);
+  return [...strides.filter(k => k <= size / 2), ...strides.filter(k => k > size / 2)];
+};
+
+// Ring order per channel: the rings of a replayed NCCL log in turn, else every node's GPUs
+// at the channel's stride, starting one GPU further per channel so channels also cross
+// between nodes through different NICs. Channel 0 is the plain ring.
+export const getChannelRings = (cluster, count, loggedRings = []) => {
+  const logged = loggedRings.filter(order => isPermutation(order, cluster.gpus.length));
+  return Array.from({ length: count }, (_, c) => (logged.length
+    ? logged[c % logged.length]
+    : cluster.nodes.flatMap(node => {
+      const strides = getRingStrides(node.gpus.length);
+      const stride = strides[c % strides.length];
+      return node.gpus.map((_, i) => node.gpus[(c + i * stride) % node.gpus.length]);
+    })));
+};
+
+// Channels crossing each directed link of the cluster graph (a channel counts once per link)
+export const getChannelLinkLoad = (cluster, rings) => {
+  const load = {};
+  rings.forEach(ring => {
+    const used = new Set(ring.flatMap((gpu, p) => getRoutePath(cluster, cluster.gpus[gpu].id, cluster.gpus[ring[(p + 1) % ring.length]].id)));
+    used.forEach(link => { load[link] = (load[link] || 0) + 1; });
+  });
+  return load;
+};
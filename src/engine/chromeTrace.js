@@ -0,0 +1,117 @@
+import { SWITCH_EVENT_TYPES } from './constants.js';
+import { getCluster } from './cluster.js';
+import { getLinkSamples } from './metrics.js';
+
+// === CHROME TRACE EXPORT ===
+// A generated timeline as Chrome trace JSON for Perfetto or chrome://tracing: reductions on
+// one track per GPU, transfers on one track per directed link, NVSwitch work per switch,
+// steps as instant events and utilization and buffer progress as counters.
+
+const TRACE_PROCESSES = { gpus: 1, links: 2, switches: 3 };
+
+// Chrome trace slices on one thread must nest, so overlapping slices of a track are spread
+// over lanes (extra threads named after the track)
+const addLanes = (traceEvents, pid, tracks, toSlice) => {
+  let tid = 0;
+  Object.entries(tracks).forEach(([name, trackEvents]) => {
+    const laneEnds = [];
+    const sorted = [...trackEvents].sort((a, b) => a.startTime - b.startTime);
+    const firstTid = tid;
+    sorted.forEach(evt => {
+      let lane = laneEnds.findIndex(end => end <= evt.startTime);
+      if (lane === -1) lane = laneEnds.push(0) - 1;
+      laneEnds[lane] = evt.startTime + evt.duration;
+      traceEvents.push({ ph: 'X', pid, tid: firstTid + lane, ts: evt.startTime, dur: evt.duration, ...toSlice(evt) });
+    });
+    // Idle tracks are still named, so every GPU shows up
+    const laneCount = Math.max(1, laneEnds.length);
+    for (let lane = 0; lane < laneCount; lane++) {
+      traceEvents.push({ ph: 'M', pid, tid: firstTid + lane, name: 'thread_name', args: { name: lane ? `${name} (${lane + 1})` : name } });
+    }
+    tid += laneCount;
+  });
+};
+
+export const timelineToChromeTrace = (timeline, topo, metadata = {}) => {
+  const cluster = getCluster(topo);
+  const gpuLabel = (gpu) => cluster.gpus[gpu]?.label ?? `GPU ${gpu}`;
+  const traceEvents = [
+    { ph: 'M', pid: TRACE_PROCESSES.gpus, name: 'process_name', args: { name: 'GPUs' } },
+    { ph: 'M', pid: TRACE_PROCESSES.links, name: 'process_name', args: { name: 'Links' } },
+    { ph: 'M', pid: TRACE_PROCESSES.switches, name: 'process_name', args: { name: 'NVSwitch' } }
+  ];
+
+  const gpuTracks = {};
+  const linkTracks = {};
+  const switchTracks = {};
+  cluster.gpus.forEach((_, gpu) => { gpuTracks[gpuLabel(gpu)] = []; });
+  timeline.events.forEach(evt => {
+    if (evt.type === 'compute') {
+      gpuTracks[gpuLabel(evt.nodeId)].push(evt);
+    } else if (evt.type === 'transfer') {
+      (linkTracks[`${gpuLabel(evt.from)} → ${gpuLabel(evt.to)}`] ||= []).push(evt);
+    } else if (SWITCH_EVENT_TYPES.includes(evt.type)) {
+      const gpu = [evt.from, evt.destination, ...(evt.destinations || []), ...(evt.sources || [])].find(g => g !== undefined);
+      const node = evt.switchId ?? cluster.gpus[gpu]?.node ?? 0;
+      (switchTracks[cluster.nodes.length > 1 ? `NVSwitch ${cluster.nodes[node].label}` : 'NVSwitch'] ||= []).push(evt);
+    }
+  });
+
+  addLanes(traceEvents, TRACE_PROCESSES.gpus, gpuTracks, evt => ({ name: evt.label || 'compute', cat: 'compute' }));
+  addLanes(traceEvents, TRACE_PROCESSES.links, linkTracks, evt => ({
+    name: evt.label,
+    cat: 'transfer',
+    args: { bytes: evt.bytes, chunk: evt.chunkId, protocol: evt.protocol, direction: evt.direction, channel: evt.channel }
+  }));
+  addLanes(traceEvents, TRACE_PROCESSES.switches, switchTracks, evt => ({
+    name: evt.label ? `${evt.type} ${evt.label}` : evt.type,
+    cat: 'nvswitch',
+    args: {
+      ...(evt.from !== undefined && { from: gpuLabel(evt.from) }),
+      ...(evt.sources && { sources: evt.sources.map(gpuLabel) }),
+      ...(evt.destination !== undefined && { destination: gpuLabel(evt.destination) }),
+      ...(evt.destinations && { destinations: evt.destinations.map(gpuLabel) }),
+      ...(evt.channel !== undefined && { channel: evt.channel })
+    }
+  }));
+
+  timeline.steps.forEach(step => traceEvents.push({
+    ph: 'i', s: 'g', pid: TRACE_PROCESSES.gpus, tid: 0, ts: step.time, name: step.phase || 'step', cat: 'step',
+    args: { description: step.description }
+  }));
+
+  // Utilization per link, NVSwitch ports included as in the app's link view: +share when a
+  // sample starts, -share when it ends
+  const portLabel = (port) => (port === 'switch' ? 'NVSwitch' : typeof port === 'number' ? gpuLabel(port) : null);
+  const changes = {};
+  getLinkSamples(timeline).forEach(sample => {
+    const from = portLabel(sample.from);
+    const to = portLabel(sample.to);
+    const name = from && to ? `${from} → ${to} utilization` : `${sample.linkId} utilization`;
+    const series = changes[name] ||= [];
+    series.push([sample.time, sample.utilization ?? 1], [sample.endTime, -(sample.utilization ?? 1)]);
+  });
+  Object.entries(changes).forEach(([name, series]) => {
+    let value = 0;
+    series.sort((a, b) => a[0] - b[0]).forEach(([ts, delta], i) => {
+      value += delta;
+      if (i < series.length - 1 && series[i + 1][0] === ts) return;
+      traceEvents.push({ ph: 'C', pid: TRACE_PROCESSES.links, ts, name, args: { value: Math.max(0, Math.round(value * 1000) / 1000) } });
+    });
+  });
+
+  // Buffer progress per GPU: how many of its chunks are in each state
+  timeline.bufferSnapshots.forEach(({ time, state }) => {
+    Object.entries(state).forEach(([gpu, chunks]) => {
+      const counts = {};
+      chunks.forEach(chunk => { counts[chunk.state] = (counts[chunk.state] || 0) + 1; });
+      traceEvents.push({ ph: 'C', pid: TRACE_PROCESSES.gpus, ts: time, name: `${gpuLabel(Number(gpu))} buffer`, args: counts });
+    });
+  });
+
+  return {
+    traceEvents,
+    displayTimeUnit: 'ns',
+    otherData: { generator: 'Hopper Visualizer', duration: timeline.duration, ...metadata }
+  };
+};
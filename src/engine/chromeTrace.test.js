@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Operation, Algorithm, makeTopology } from './constants.js';
+import { generateTimeline } from './engine.js';
+import { timelineToChromeTrace } from './chromeTrace.js';
+
+const counterNames = (trace) => new Set(trace.traceEvents.filter(evt => evt.ph === 'C').map(evt => evt.name));
+
+test('NVLS exports carry NVSwitch port utilization counters', () => {
+  const topo = makeTopology(8);
+  const names = counterNames(timelineToChromeTrace(generateTimeline(Operation.AllReduce, Algorithm.NVLS, topo), topo));
+  assert.ok(names.has('GPU 0 → NVSwitch utilization'));
+  assert.ok(names.has('NVSwitch → GPU 7 utilization'));
+});
+
+test('ring exports carry GPU-to-GPU link utilization counters', () => {
+  const topo = makeTopology(4);
+  const names = counterNames(timelineToChromeTrace(generateTimeline(Operation.AllReduce, Algorithm.Ring, topo), topo));
+  assert.ok(names.has('GPU 0 → GPU 1 utilization'));
+});
@@ -0,0 +1,48 @@
+import { NCCL_SLICE_SIZE, MAX_PIPELINE_WAVES } from './constants.js';
+
+// === MESSAGE CHUNKING ===
+export const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number.isInteger(value) ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+// Simulated times are in µs
+export const formatDuration = (us) => {
+  if (us < 1000) return `${us.toFixed(1)} µs`;
+  if (us < 1e6) return `${(us / 1000).toFixed(2)} ms`;
+  return `${(us / 1e6).toFixed(2)} s`;
+};
+
+// Split a message the way an NCCL kernel walks it: every loop moves chunksPerLoop chunks
+// of at most chunkSize bytes, each chunk in up to maxSlices slices. Past maxWaves loops,
+// consecutive loops are drawn as one wave whose events last loopsPerWave times longer.
+export const getChunkPlan = (messageSize, chunksPerLoop, chunkSize, maxSlices = 1, maxWaves = MAX_PIPELINE_WAVES) => {
+  const loops = Math.max(1, Math.ceil(messageSize / (chunksPerLoop * chunkSize)));
+  const waves = Math.min(loops, maxWaves);
+  const chunkBytes = Math.min(chunkSize, messageSize / chunksPerLoop);
+  const slices = Math.min(maxSlices, Math.max(1, Math.ceil(chunkBytes / NCCL_SLICE_SIZE)));
+  return {
+    messageSize,
+    chunksPerLoop,
+    loops,
+    waves,
+    loopsPerWave: loops / waves,
+    chunkBytes,
+    slices
+  };
+};
+
+// Caption prefix naming the loops a drawn wave stands for
+export const getWaveLabel = (plan, wave) => {
+  if (plan.waves === 1) return '';
+  if (plan.loopsPerWave === 1) return `Loop ${wave + 1}/${plan.loops} · `;
+  const first = Math.floor(wave * plan.loopsPerWave) + 1;
+  const last = Math.floor((wave + 1) * plan.loopsPerWave);
+  return `Loops ${first}-${last} of ${plan.loops} · `;
+};
@@ -0,0 +1,290 @@
+import { MAX_GPUS_PER_NODE, MAX_NODE_COUNT, getTopologyLabel } from './constants.js';
+import { GB_PER_S, DEFAULT_HARDWARE } from './hardware.js';
+
+// === CLUSTER GRAPH ===
+// Every topology is a graph of GPUs, CPUs, switches and NICs joined by links that carry their
+// own bandwidth (GB/s) and latency (µs). Parametric shapes are described from the hardware
+// profile; imported ones come from a JSON file or an NCCL XML dump. Layout and routing read
+// the graph.
+export const LinkType = {
+  NVLink: 'nvlink',
+  PCIe: 'pcie',
+  Network: 'network',
+  // CPU-to-CPU interconnect (UPI, Infinity Fabric), NCCL's SYS path
+  SMP: 'smp'
+};
+
+export const SwitchType = {
+  NVSwitch: 'nvswitch',
+  PCIe: 'pcie',
+  Network: 'network'
+};
+
+// Description sections holding graph elements; links may name an element of any of them
+export const DEVICE_SECTIONS = ['gpus', 'cpus', 'switches', 'nics'];
+
+// PCIe hops and the network legs split the NIC's end-to-end latency between them
+export const PCIE_LATENCY_SHARE = 0.1;
+const NETWORK_LATENCY_SHARE = 0.4;
+
+const MAX_CUSTOM_GPUS = MAX_GPUS_PER_NODE * MAX_NODE_COUNT;
+// Validation stops listing unreachable GPUs after this many
+export const MAX_REPORTED_PROBLEMS = 5;
+
+// HGX nodes: GPUs hang off their node's NVSwitch (half the NVLink latency each way), each
+// GPU's NIC sits on PCIe and all NICs meet at one InfiniBand switch
+export const describeTopology = (topo, hardware = DEFAULT_HARDWARE) => {
+  const { gpusPerNode: G, nodeCount: N } = topo;
+  const gpus = [];
+  const switches = [];
+  const nics = [];
+  const links = [];
+  const nvlink = { type: LinkType.NVLink, bandwidth: hardware.nvlink.bandwidth / GB_PER_S, latency: hardware.nvlink.latency / 2 };
+  const pcie = { type: LinkType.PCIe, bandwidth: hardware.nic.bandwidth / GB_PER_S, latency: hardware.nic.latency * PCIE_LATENCY_SHARE };
+  const network = { type: LinkType.Network, bandwidth: hardware.nic.bandwidth / GB_PER_S, latency: hardware.nic.latency * NETWORK_LATENCY_SHARE };
+
+  if (N > 1) switches.push({ id: 'ib', type: SwitchType.Network });
+  for (let n = 0; n < N; n++) {
+    switches.push({ id: `n${n}-nvswitch`, type: SwitchType.NVSwitch, node: n });
+    for (let i = 0; i < G; i++) {
+      const id = `n${n}-gpu${i}`;
+      gpus.push({ id, node: n, label: N > 1 ? `N${n}:G${i}` : `GPU ${i}` });
+      links.push({ from: id, to: `n${n}-nvswitch`, ...nvlink });
+      if (N > 1) {
+        nics.push({ id: `n${n}-nic${i}`, node: n });
+        links.push({ from: id, to: `n${n}-nic${i}`, ...pcie });
+        links.push({ from: `n${n}-nic${i}`, to: 'ib', ...network });
+      }
+    }
+  }
+  return { name: getTopologyLabel(topo), gpus, switches, nics, links };
+};
+
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => (typeof value === 'string' && value !== '') || Number.isFinite(value);
+
+// Checks a parsed topology description and returns every problem found, so a broken file
+// can be fixed in one pass rather than one error at a time
+const validateTopology = (desc) => {
+  if (!isPlainObject(desc)) return ['The file must contain a JSON object with "gpus" and "links" arrays'];
+  const errors = [];
+  [...DEVICE_SECTIONS, 'links'].forEach(section => {
+    if (desc[section] !== undefined && !Array.isArray(desc[section])) errors.push(`"${section}" must be an array`);
+  });
+  if (!Array.isArray(desc.gpus) || desc.gpus.length < 2) errors.push('"gpus" must list at least 2 GPUs');
+  else if (desc.gpus.length > MAX_CUSTOM_GPUS) errors.push(`At most ${MAX_CUSTOM_GPUS} GPUs are supported (found ${desc.gpus.length})`);
+  if (!Array.isArray(desc.links)) errors.push('"links" must be an array');
+  if (errors.length) return errors;
+
+  // Ids are shared by every section so links can name any element
+  const kinds = {};
+  DEVICE_SECTIONS.forEach(section => (desc[section] || []).forEach((item, i) => {
+    const where = `${section}[${i}]`;
+    if (!isPlainObject(item) || !isId(item.id)) {
+      errors.push(`${where}: needs an "id" (string or number)`);
+      return;
+    }
+    const id = String(item.id);
+    if (kinds[id]) errors.push(`${where}: duplicate id "${id}" (already used by ${kinds[id].where})`);
+    else kinds[id] = { where, section, item };
+    if (item.node !== undefined && !isId(item.node)) errors.push(`${where}: "node" must be a string or number`);
+    if (['x', 'y'].some(axis => item[axis] !== undefined && !Number.isFinite(item[axis]))) {
+      errors.push(`${where}: "x" and "y" must be numbers`);
+    }
+    if (item.label !== undefined && typeof item.label !== 'string') errors.push(`${where}: "label" must be a string`);
+    if (section === 'switches' && item.type !== undefined && !Object.values(SwitchType).includes(item.type)) {
+      errors.push(`${where}: unknown switch type "${item.type}" (expected ${Object.values(SwitchType).join(', ')})`);
+    }
+  }));
+
+  desc.links.forEach((link, i) => {
+    const where = `links[${i}]`;
+    if (!isPlainObject(link)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    ['from', 'to'].forEach(end => {
+      if (!isId(link[end])) errors.push(`${where}: missing "${end}"`);
+      else if (!kinds[String(link[end])]) errors.push(`${where}: dangling endpoint "${link[end]}" (no GPU, CPU, switch or NIC has this id)`);
+    });
+    if (isId(link.from) && String(link.from) === String(link.to)) errors.push(`${where}: connects "${link.from}" to itself`);
+    if (!Object.values(LinkType).includes(link.type)) {
+      errors.push(`${where}: unknown link type "${link.type}" (expected ${Object.values(LinkType).join(', ')})`);
+    }
+    if (!Number.isFinite(link.bandwidth) || link.bandwidth <= 0) errors.push(`${where}: "bandwidth" must be a positive number of GB/s`);
+    if (!Number.isFinite(link.latency) || link.latency < 0) errors.push(`${where}: "latency" must be a non-negative number of µs`);
+    if (link.label !== undefined && typeof link.label !== 'string') errors.push(`${where}: "label" must be a string`);
+  });
+
+  // An NVSwitch belongs to one node: its GPUs must agree with each other and with its "node"
+  (desc.switches || []).filter(sw => isPlainObject(sw) && (sw.type || SwitchType.NVSwitch) === SwitchType.NVSwitch).forEach(sw => {
+    const gpuNodes = new Set(desc.links
+      .filter(link => isPlainObject(link) && (String(link.from) === String(sw.id) || String(link.to) === String(sw.id)))
+      .map(link => kinds[String(String(link.from) === String(sw.id) ? link.to : link.from)])
+      .filter(peer => peer && peer.section === 'gpus')
+      .map(peer => String(peer.item.node ?? 0)));
+    if (sw.node !== undefined) gpuNodes.add(String(sw.node));
+    if (gpuNodes.size > 1) {
+      errors.push(`NVSwitch "${sw.id}" joins GPUs of different nodes (${[...gpuNodes].join(', ')}); NVLink domains end at the node`);
+    }
+  });
+  if (errors.length) return errors;
+
+  // Every GPU must reach every other one, or no collective can complete
+  const neighbours = {};
+  desc.links.forEach(link => {
+    (neighbours[link.from] ||= []).push(String(link.to));
+    (neighbours[link.to] ||= []).push(String(link.from));
+  });
+  const first = String(desc.gpus[0].id);
+  const reached = new Set([first]);
+  const queue = [first];
+  while (queue.length) {
+    (neighbours[queue.shift()] || []).forEach(next => {
+      if (!reached.has(next)) {
+        reached.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  const unreachable = desc.gpus.map(gpu => String(gpu.id)).filter(id => !reached.has(id));
+  unreachable.slice(0, MAX_REPORTED_PROBLEMS).forEach(id => errors.push(`GPU "${id}" has no path to GPU "${first}"`));
+  if (unreachable.length > MAX_REPORTED_PROBLEMS) {
+    errors.push(`...and ${unreachable.length - MAX_REPORTED_PROBLEMS} more unreachable GPUs`);
+  }
+  return errors;
+};
+
+// Indexes a valid description: GPUs are numbered node by node (so ranks of a node are
+// contiguous, as NCCL orders them) and each node records the NVSwitch reaching all its GPUs
+const buildCluster = (desc) => {
+  const nodeKeys = [...new Set(desc.gpus.map(gpu => String(gpu.node ?? 0)))];
+  const ordered = nodeKeys.flatMap(key => desc.gpus.filter(gpu => String(gpu.node ?? 0) === key));
+  const gpus = ordered.map(gpu => ({
+    id: String(gpu.id),
+    label: gpu.label || String(gpu.id),
+    node: nodeKeys.indexOf(String(gpu.node ?? 0)),
+    x: gpu.x,
+    y: gpu.y
+  }));
+  const gpuIndex = Object.fromEntries(gpus.map((gpu, i) => [gpu.id, i]));
+
+  const adjacency = {};
+  desc.links.forEach(link => {
+    const edge = { type: link.type, bandwidth: link.bandwidth * GB_PER_S, latency: link.latency };
+    (adjacency[link.from] ||= []).push({ ...edge, to: String(link.to) });
+    (adjacency[link.to] ||= []).push({ ...edge, to: String(link.from) });
+  });
+
+  const nvswitches = (desc.switches || [])
+    .filter(sw => (sw.type || SwitchType.NVSwitch) === SwitchType.NVSwitch)
+    .map(sw => String(sw.id));
+  const nodes = nodeKeys.map((key, n) => {
+    const members = gpus.flatMap((gpu, i) => (gpu.node === n ? [i] : []));
+    const switchId = nvswitches.find(sw => members.every(i => (adjacency[gpus[i].id] || []).some(edge => edge.to === sw)));
+    // Parametric nodes are numbered: "N0" in tight spots, "Node 0" on frames
+    const numbered = /^\d+$/.test(key);
+    return {
+      id: key,
+      label: numbered ? `N${key}` : key,
+      title: numbered ? `Node ${key}` : key,
+      gpus: members,
+      switchId: switchId ?? null
+    };
+  });
+
+  // GPUs one NVLink hop apart, directly or through a shared NVSwitch
+  const peers = gpus.map(gpu => {
+    const direct = (adjacency[gpu.id] || []).filter(edge => edge.type === LinkType.NVLink);
+    return new Set(direct.flatMap(edge => (nvswitches.includes(edge.to)
+      ? adjacency[edge.to].map(back => gpuIndex[back.to])
+      : [gpuIndex[edge.to]])).filter(i => i !== undefined && gpus[i] !== gpu));
+  });
+
+  return { name: desc.name || 'Custom topology', description: desc, gpus, gpuIndex, nodes, adjacency, peers, routes: {} };
+};
+
+// Returns the topology for a description, or the problems that prevent using it
+export const loadTopology = (desc) => {
+  const errors = validateTopology(desc);
+  return errors.length ? { errors } : { topology: { custom: buildCluster(desc) }, errors };
+};
+
+export const parseTopologyJson = (text) => {
+  let desc;
+  try {
+    desc = JSON.parse(text);
+  } catch (err) {
+    return { errors: [`Not valid JSON: ${err.message}`] };
+  }
+  return loadTopology(desc);
+};
+
+// Parametric clusters are described once per topology and hardware profile
+const clusterCache = new WeakMap();
+export const getCluster = (topo, hardware = DEFAULT_HARDWARE) => {
+  if (topo.custom) return topo.custom;
+  if (!clusterCache.has(topo)) clusterCache.set(topo, new Map());
+  const byHardware = clusterCache.get(topo);
+  if (!byHardware.has(hardware)) byHardware.set(hardware, buildCluster(describeTopology(topo, hardware)));
+  return byHardware.get(hardware);
+};
+
+// Lowest-latency path between two graph ids (Dijkstra, ties to fewer hops). A transfer is
+// charged the summed latency and the bottleneck bandwidth of its path.
+const isShorter = (a, b) => a.latency < b.latency || (a.latency === b.latency && a.hops < b.hops);
+
+export const getRoute = (cluster, from, to) => {
+  if (!cluster.routes[from]) {
+    const best = { [from]: { latency: 0, hops: 0, bandwidth: Infinity } };
+    // Binary min-heap of [id, path] entries; stale entries are skipped when popped
+    const heap = [[from, best[from]]];
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+    const push = (entry) => {
+      heap.push(entry);
+      for (let i = heap.length - 1; i > 0 && isShorter(heap[i][1], heap[(i - 1) >> 1][1]); i = (i - 1) >> 1) swap(i, (i - 1) >> 1);
+    };
+    const pop = () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length) {
+        heap[0] = last;
+        for (let i = 0; ;) {
+          const smallest = [2 * i + 1, 2 * i + 2].reduce((min, c) => (c < heap.length && isShorter(heap[c][1], heap[min][1]) ? c : min), i);
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    };
+
+    while (heap.length) {
+      const [current, path] = pop();
+      if (path !== best[current]) continue;
+      (cluster.adjacency[current] || []).forEach(edge => {
+        const candidate = {
+          latency: path.latency + edge.latency,
+          hops: path.hops + 1,
+          bandwidth: Math.min(path.bandwidth, edge.bandwidth),
+          via: current
+        };
+        if (!best[edge.to] || isShorter(candidate, best[edge.to])) {
+          best[edge.to] = candidate;
+          push([edge.to, candidate]);
+        }
+      });
+    }
+    cluster.routes[from] = best;
+  }
+  return cluster.routes[from][to];
+};
+
+// The directed links ("from>to") of the route getRoute picked
+export const getRoutePath = (cluster, from, to) => {
+  getRoute(cluster, from, to);
+  const best = cluster.routes[from];
+  const path = [];
+  for (let at = to; best[at]?.via !== undefined; at = best[at].via) path.unshift(`${best[at].via}>${at}`);
+  return path;
+};
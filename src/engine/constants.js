@@ -0,0 +1,275 @@
+// === TYPES & CONSTANTS ===
+export const Operation = {
+  AllReduce: 'AllReduce',
+  Reduce: 'Reduce',
+  Broadcast: 'Broadcast',
+  AllGather: 'AllGather',
+  ReduceScatter: 'ReduceScatter',
+  AllToAll: 'AllToAll',
+  SendRecv: 'SendRecv',
+  Gather: 'Gather',
+  Scatter: 'Scatter'
+};
+
+export const Algorithm = {
+  NVLS: 'NVLS (NVLink SHARP)',
+  MultiShot: 'MultiShot (2-Shot)',
+  Ring: 'Ring',
+  Tree: 'Tree (Double Binary)',
+  NVLSTree: 'NVLS-Tree (Multi-Node)',
+  P2P: 'P2P (Send/Recv)'
+};
+
+// NCCL reduction operators (ncclRedOp_t) and datatypes (ncclDataType_t)
+export const ReduceOp = {
+  Sum: 'Sum',
+  Prod: 'Prod',
+  Min: 'Min',
+  Max: 'Max',
+  Avg: 'Avg',
+  PreMulSum: 'PreMulSum'
+};
+
+export const DataType = {
+  Float32: 'fp32',
+  Float16: 'fp16',
+  Bfloat16: 'bf16',
+  Float8e4m3: 'fp8 e4m3',
+  Float8e5m2: 'fp8 e5m2',
+  Float64: 'fp64',
+  Int8: 'int8',
+  Uint8: 'uint8',
+  Int32: 'int32',
+  Uint32: 'uint32',
+  Int64: 'int64',
+  Uint64: 'uint64'
+};
+
+export const DATATYPE_BYTES = {
+  [DataType.Float32]: 4,
+  [DataType.Float16]: 2,
+  [DataType.Bfloat16]: 2,
+  [DataType.Float8e4m3]: 1,
+  [DataType.Float8e5m2]: 1,
+  [DataType.Float64]: 8,
+  [DataType.Int8]: 1,
+  [DataType.Uint8]: 1,
+  [DataType.Int32]: 4,
+  [DataType.Uint32]: 4,
+  [DataType.Int64]: 8,
+  [DataType.Uint64]: 8
+};
+
+// Cluster shape: nodeCount nodes of gpusPerNode GPUs, each node behind its own NVSwitch
+// fabric and the nodes joined by one NIC per GPU
+export const MIN_GPUS_PER_NODE = 2;
+export const MAX_GPUS_PER_NODE = 8;
+export const MIN_NODE_COUNT = 1;
+export const MAX_NODE_COUNT = 32;
+
+export const makeTopology = (gpusPerNode, nodeCount = 1) => ({ gpusPerNode, nodeCount });
+
+// Shapes the sidebar offers as one-click presets
+export const TOPOLOGY_PRESETS = [
+  { label: '4-GPU Example', topology: makeTopology(4) },
+  { label: 'Single Node (8x H100)', topology: makeTopology(8) },
+  { label: 'Multi Node (2x8 H100)', topology: makeTopology(8, 2) },
+  { label: '4 Nodes (4x8 H100)', topology: makeTopology(8, 4) },
+  { label: '8 Nodes (8x8 H100)', topology: makeTopology(8, 8) }
+];
+
+export const DEFAULT_TOPOLOGY = TOPOLOGY_PRESETS[1].topology;
+
+// Imported topologies carry their indexed graph as `custom` (see CLUSTER GRAPH)
+export const getGpuCount = (topo) => (topo.custom ? topo.custom.gpus.length : topo.gpusPerNode * topo.nodeCount);
+const isMultiNode = (topo) => (topo.custom ? topo.custom.nodes.length > 1 : topo.nodeCount > 1);
+export const isSameTopology = (a, b) => (a.custom || b.custom
+  ? a.custom === b.custom
+  : a.gpusPerNode === b.gpusPerNode && a.nodeCount === b.nodeCount);
+// The 4-GPU shape reproduces the documentation examples, which name data D0..D3
+export const isDocExample = (topo) => isSameTopology(topo, TOPOLOGY_PRESETS[0].topology);
+// Every parametric node has an NVSwitch; imported nodes may be wired GPU to GPU
+export const hasNVSwitches = (topo) => !topo.custom || topo.custom.nodes.every(node => node.switchId !== null);
+
+export const getTopologyLabel = (topo) => {
+  if (topo.custom) return `${topo.custom.name} (${getGpuCount(topo)} GPUs)`;
+  return isMultiNode(topo)
+    ? `${topo.nodeCount}×${topo.gpusPerNode} H100 + IB`
+    : `${topo.gpusPerNode}× H100 NVLink`;
+};
+
+export const Protocol = {
+  Simple: 'Simple',
+  LL: 'LL',
+  LL128: 'LL128'
+};
+
+// Algorithm compatibility matrix based on NCCL documentation
+// NVLS uses SHARP ALUs for reduction OR multicast replication
+// MultiShot = ReduceScatter + AllGather decomposition (only for symmetric ops)
+// Ring = classic SM-driven baseline, available for every collective
+// Tree = double binary tree, AllReduce only (as in NCCL)
+// P2P = grouped ncclSend/ncclRecv, the only way to move personalised data
+const ALGORITHM_COMPATIBILITY = {
+  [Operation.AllReduce]: [Algorithm.NVLS, Algorithm.MultiShot, Algorithm.NVLSTree, Algorithm.Ring, Algorithm.Tree],
+  [Operation.Reduce]: [Algorithm.NVLS, Algorithm.Ring],
+  [Operation.Broadcast]: [Algorithm.NVLS, Algorithm.Ring],
+  [Operation.AllGather]: [Algorithm.NVLS, Algorithm.MultiShot, Algorithm.Ring],
+  [Operation.ReduceScatter]: [Algorithm.NVLS, Algorithm.MultiShot, Algorithm.Ring],
+  [Operation.AllToAll]: [Algorithm.P2P],
+  [Operation.SendRecv]: [Algorithm.P2P],
+  [Operation.Gather]: [Algorithm.P2P],
+  [Operation.Scatter]: [Algorithm.P2P]
+};
+
+// Collectives that start from or end on one root rank
+export const ROOTED_OPERATIONS = [Operation.Broadcast, Operation.Reduce];
+
+// Collectives that combine data with a reduction operator
+export const REDUCING_OPERATIONS = [Operation.AllReduce, Operation.ReduceScatter, Operation.Reduce];
+
+// Algorithms that only exist on some topologies: the NVLS family needs an NVSwitch in
+// every node, and NVLS-Tree needs more than one node
+const ALGORITHM_TOPOLOGIES = {
+  [Algorithm.NVLS]: hasNVSwitches,
+  [Algorithm.MultiShot]: hasNVSwitches,
+  [Algorithm.NVLSTree]: (topo) => isMultiNode(topo) && hasNVSwitches(topo)
+};
+
+// NCCL protocols per algorithm: the NVLS kernels only implement Simple, and P2P
+// switches between LL for small messages and Simple for everything else
+const PROTOCOL_COMPATIBILITY = {
+  [Algorithm.NVLS]: [Protocol.Simple],
+  [Algorithm.MultiShot]: [Protocol.Simple],
+  [Algorithm.NVLSTree]: [Protocol.Simple],
+  [Algorithm.Ring]: [Protocol.Simple, Protocol.LL, Protocol.LL128],
+  [Algorithm.Tree]: [Protocol.Simple, Protocol.LL, Protocol.LL128],
+  [Algorithm.P2P]: [Protocol.Simple, Protocol.LL]
+};
+
+export const getCompatibleProtocols = (algo) => PROTOCOL_COMPATIBILITY[algo] || [Protocol.Simple];
+
+// NVLS family: algorithms that drive NVSwitch SHARP ALUs and multicast
+export const isNVLSAlgorithm = (algo) =>
+  algo === Algorithm.NVLS || algo === Algorithm.MultiShot || algo === Algorithm.NVLSTree;
+
+// What NVSwitch SHARP can reduce in-fabric (NCCL's ncclNvlsSupported): sums of 16-bit and
+// 32/64-bit floats and integers, min/max of all but fp32/fp64. Prod, Avg and PreMulSum
+// and the 8-bit types have no switch ALU, so NCCL never picks NVLS for them.
+const SHARP_REDUCTIONS = {
+  [ReduceOp.Sum]: [DataType.Float16, DataType.Bfloat16, DataType.Float32, DataType.Float64,
+    DataType.Int32, DataType.Uint32, DataType.Int64, DataType.Uint64],
+  [ReduceOp.Min]: [DataType.Float16, DataType.Bfloat16, DataType.Int32, DataType.Uint32, DataType.Int64, DataType.Uint64],
+  [ReduceOp.Max]: [DataType.Float16, DataType.Bfloat16, DataType.Int32, DataType.Uint32, DataType.Int64, DataType.Uint64]
+};
+
+export const isSharpReducible = (redop = ReduceOp.Sum, dataType = DataType.Float32) =>
+  (SHARP_REDUCTIONS[redop] || []).includes(dataType);
+
+// Whether the NVLS family has to give way because SHARP cannot reduce this pair
+export const needsSharpFallback = (op, algo, { redop, dataType } = {}) =>
+  isNVLSAlgorithm(algo) && REDUCING_OPERATIONS.includes(op) && !isSharpReducible(redop, dataType);
+
+// reduction: { redop, dataType } of the call, which rules out NVLS where SHARP cannot reduce
+// it, and nvls: false where the system has no NVLS multicast (as a replayed NCCL log says)
+export const getCompatibleAlgorithms = (op, topo, reduction = {}) => (ALGORITHM_COMPATIBILITY[op] || [])
+  .filter(algo => !ALGORITHM_TOPOLOGIES[algo] || ALGORITHM_TOPOLOGIES[algo](topo))
+  .filter(algo => !needsSharpFallback(op, algo, reduction))
+  .filter(algo => reduction.nvls !== false || !isNVLSAlgorithm(algo));
+
+// Timeline event types that happen at an NVSwitch rather than on a GPU-to-GPU link
+export const SWITCH_EVENT_TYPES = ['to-switch', 'from-switch', 'from-switch-single', 'switch-reduce',
+  'switch-broadcast', 'multicast', 'multicast-out', 'to-switch-multi',
+  'switch-route', 'from-switch-gather'];
+
+// Distinct colors for chunks
+export const CHUNK_COLORS = [
+  '#ef4444', '#f97316', '#eab308', '#22c55e',
+  '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4889',
+  '#f43f5e', '#84cc16', '#14b8a6', '#6366f1',
+  '#a855f7', '#f59e0b', '#10b981', '#0ea5e9'
+];
+
+// Microbatches in flight for the pipeline-parallel SendRecv example
+export const MICROBATCH_COUNT = 4;
+
+// Overlay colors for the two trees of the double binary tree
+export const TREE_COLORS = ['#f59e0b', '#06b6d4'];
+
+// Packet trains drawn per protocol: LL streams many tiny flagged stores, LL128 a few
+// 128-byte lines, Simple one bulk slice
+export const PROTOCOL_PACKETS = {
+  [Protocol.Simple]: { count: 1, scale: 1, spacing: 0 },
+  [Protocol.LL128]: { count: 3, scale: 0.6, spacing: 0.08 },
+  [Protocol.LL]: { count: 6, scale: 0.35, spacing: 0.05 }
+};
+
+// Message sizes offered by the sidebar slider (powers of two, 1 KB - 16 GB)
+export const MIN_MESSAGE_SIZE = 1024;
+export const MAX_MESSAGE_SIZE = 16 * 1024 ** 3;
+export const DEFAULT_MESSAGE_SIZE = 4 * 1024 ** 2;
+
+// NCCL Simple-protocol buffer geometry: each channel owns a 4 MB buffer split into
+// NCCL_STEPS slots. Ring chunks span half the slots and travel as two slices.
+const NCCL_STEPS = 8;
+const NCCL_BUFFER_SIZE = 4 * 1024 ** 2;
+export const NCCL_CHUNK_SIZE = (NCCL_BUFFER_SIZE / NCCL_STEPS) * (NCCL_STEPS / 2);
+export const NCCL_SLICE_SIZE = NCCL_CHUNK_SIZE / 2;
+export const TREE_CHUNK_SIZE = 512 * 1024;
+export const NVLS_CHUNK_SIZE = 128 * 1024;
+// Upper bound on the events an NVLS-family wave draws per GPU, for the channel budget
+export const NVLS_EVENTS_PER_GPU = 8;
+
+// LL and LL128 channel buffers (lines per thread × threads × steps × line size)
+const LL_BUFFER_SIZE = 8 * 512 * NCCL_STEPS * 16;
+const LL128_BUFFER_SIZE = 120 * 640 * NCCL_STEPS * 8;
+
+// LL packs 4 bytes of data with a 4-byte flag in every 8-byte store, so the receiver polls
+// the data itself. LL128 does the same per 128-byte line (120 B data + 8 B flag), relying on
+// NVLink keeping the line intact. Simple copies bulk slices and then raises a flag behind a
+// memory fence, paying syncTime on every step. Chunks are one buffer slot of payload;
+// latency and syncTime are µs per hop on top of the link's own alpha.
+export const PROTOCOL_PARAMS = {
+  [Protocol.Simple]: {
+    efficiency: 1,
+    chunkSize: NCCL_CHUNK_SIZE,
+    maxSlices: 2,
+    latency: 1.0,
+    syncTime: 1.8
+  },
+  [Protocol.LL]: {
+    efficiency: 4 / 8,
+    chunkSize: (LL_BUFFER_SIZE / NCCL_STEPS) * (4 / 8),
+    maxSlices: 1,
+    latency: 0,
+    syncTime: 0
+  },
+  [Protocol.LL128]: {
+    efficiency: 120 / 128,
+    chunkSize: (LL128_BUFFER_SIZE / NCCL_STEPS) * (120 / 128),
+    maxSlices: 1,
+    latency: 1.3,
+    syncTime: 0
+  }
+};
+
+// Loops beyond this are merged into fewer drawn waves to keep the event count bounded
+export const MAX_PIPELINE_WAVES = 16;
+
+// NCCL's MAXCHANNELS: each channel is one thread block driving its own ring or NVLS slice
+export const MAX_CHANNELS = 32;
+// Ring channels are only drawn while each can still pipeline this many waves
+export const MIN_CHANNEL_WAVES = 4;
+
+// Large clusters: fewer waves are drawn once a wave's transfers exceed this budget, and
+// buffer snapshots are thinned once their total size (GPU × chunk cells) exceeds this one
+export const MAX_DRAWN_TRANSFERS = 100000;
+export const MAX_SNAPSHOT_CELLS = 1000000;
+
+// Playback is stretched or compressed so a full run lasts between these bounds
+const MIN_PLAYBACK_SECONDS = 3;
+const MAX_PLAYBACK_SECONDS = 20;
+// One simulated millisecond plays as one second, within the playback bounds
+export const getPlaybackSeconds = (duration) => Math.min(MAX_PLAYBACK_SECONDS, Math.max(MIN_PLAYBACK_SECONDS, duration / 1000));
+// Simulated time playback runs through: the collective plus the closing caption's hold
+export const getPlaybackDuration = (timeline) => timeline.duration + (timeline.hold || 0);
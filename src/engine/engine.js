@@ -0,0 +1,1367 @@
+import { Operation, Algorithm, ReduceOp, DataType, isDocExample, Protocol, ROOTED_OPERATIONS, REDUCING_OPERATIONS, getCompatibleProtocols, needsSharpFallback, CHUNK_COLORS, MICROBATCH_COUNT, DEFAULT_MESSAGE_SIZE, NCCL_CHUNK_SIZE, TREE_CHUNK_SIZE, NVLS_CHUNK_SIZE, NVLS_EVENTS_PER_GPU, PROTOCOL_PARAMS, MAX_PIPELINE_WAVES, MIN_CHANNEL_WAVES, MAX_DRAWN_TRANSFERS, MAX_SNAPSHOT_CELLS } from './constants.js';
+import { GB_PER_S, DEFAULT_HARDWARE } from './hardware.js';
+import { getCluster, getRoute, getRoutePath } from './cluster.js';
+import { isPermutation } from './ncclLog.js';
+import { getDoubleBinaryTree, buildTreeShapes } from './treeShapes.js';
+import { formatBytes, getChunkPlan, getWaveLabel } from './chunking.js';
+import { getChannelCount, getChannelRings, getChannelLinkLoad } from './channels.js';
+import { DATATYPE_FORMATS, roundToDataType, combineValues, getLoadedInputs, getRegion, getReferenceOutputs, verifyOutputs } from './numeric.js';
+
+// === SIMULATION ENGINE ===
+// options: messageSize, protocol, hardware, channels, root (Broadcast and Reduce), redop and
+// dataType, per-GPU input vectors for numeric mode (see NUMERIC DATA), and the ring orders /
+// tree shapes of a replayed NCCL log (see NCCL LOG REPLAY)
+export const generateTimeline = (op, algo, topo, options = {}) => {
+  // Pairs SHARP cannot reduce run on Ring instead, as NCCL's tuner would pick
+  if (needsSharpFallback(op, algo, options)) {
+    const timeline = generateTimeline(op, Algorithm.Ring, topo, options);
+    const { redop = ReduceOp.Sum, dataType = DataType.Float32 } = options;
+    timeline.steps[0].description = `NVSwitch SHARP cannot reduce ${redop} on ${dataType} in-fabric, so ${algo} falls back to Ring · ${timeline.steps[0].description}`;
+    return { ...timeline, fallback: { from: algo, to: Algorithm.Ring } };
+  }
+  const { messageSize = DEFAULT_MESSAGE_SIZE, hardware = DEFAULT_HARDWARE } = options;
+  const requestedChannels = getChannelCount(algo, options.channels);
+  // Algorithms fall back to Simple when the requested protocol isn't implemented for them
+  const protocol = getCompatibleProtocols(algo).includes(options.protocol) ? options.protocol : Protocol.Simple;
+  const proto = PROTOCOL_PARAMS[protocol];
+  const cluster = getCluster(topo, hardware);
+  const NODE_COUNT = cluster.gpus.length;
+  const CHUNK_COUNT = NODE_COUNT;
+  // A root outside the cluster falls back to GPU 0, as NCCL's default
+  const root = Number.isInteger(options.root) && options.root >= 0 && options.root < NODE_COUNT ? options.root : 0;
+  const reduction = { redop: options.redop || ReduceOp.Sum, dataType: options.dataType || DataType.Float32 };
+  // Numeric mode: chunks carry their slice of real values, combined as the schedule reduces
+  const loaded = Array.isArray(options.inputs) && options.inputs.length === NODE_COUNT
+    && options.inputs.every(values => Array.isArray(values) && values.length === options.inputs[0].length)
+    ? getLoadedInputs(op, options.inputs, reduction)
+    : null;
+
+  // Use D0, D1, D2, D3 style labels for 4-GPU mode to match documentation
+  const getDataLabel = (id) => isDocExample(topo) ? `D${id}` : `C${id}`;
+  const getGPULabel = (id) => `G${id}`;
+
+  const events = [];
+  const steps = [];
+  const bandwidthSamples = [];
+  let trees = null;
+  let chunking = null;
+  let currentTime = 0;
+  // Channel the helpers below tag their events with, and how many channels are drawn
+  let channel = 0;
+  let drawnChannels = 1;
+
+  // Every collective starts with a kernel launch; the final caption holds for as long
+  const LAUNCH_TIME = hardware.gpu.launchLatency;
+
+  const bufferSnapshots = [];
+
+  // Value helpers are no-ops outside numeric mode, so chunks then carry no `values`
+  const withValues = (chunk, values) => (values ? { ...chunk, values } : chunk);
+  const withoutValues = ({ values, ...chunk }) => chunk;
+  const combineChunks = (a, b) => combineValues(a.values, b.values, reduction);
+  const reduceBuffers = (gpus) => loaded && gpus
+    .map(gpu => bufferState[gpu].flatMap(chunk => chunk.values || []))
+    .reduce((acc, values) => combineValues(acc, values, reduction));
+  const reduceChunk = (gpus, chunkId) => loaded && gpus
+    .map(gpu => bufferState[gpu][chunkId].values)
+    .reduce((acc, values) => combineValues(acc, values, reduction));
+
+  const initBufferState = (chunkCount = CHUNK_COUNT) => {
+    const state = {};
+    for (let i = 0; i < NODE_COUNT; i++) {
+      state[i] = Array.from({ length: chunkCount }, (_, c) => withValues({
+        chunkId: c,
+        state: 'local',
+        reductionCount: 1
+      }, loaded && getRegion(loaded[i], c, chunkCount)));
+    }
+    return state;
+  };
+
+  let bufferState = initBufferState();
+
+  // Snapshots copy every GPU's buffer. Once they outgrow MAX_SNAPSHOT_CELLS every other
+  // one is dropped and only every stride-th later call is kept; `force` keeps the final state.
+  const snapshotCells = [];
+  let snapshotStride = 1;
+  let snapshotCalls = 0;
+
+  const saveBufferSnapshot = (force = false) => {
+    if (snapshotCalls++ % snapshotStride !== 0 && !force) return;
+    // Chunk entries are always replaced, never mutated, so copying each GPU's list suffices
+    bufferSnapshots.push({
+      time: currentTime,
+      state: Object.fromEntries(Object.entries(bufferState).map(([gpu, chunks]) => [gpu, chunks.slice()]))
+    });
+    snapshotCells.push(Object.values(bufferState).reduce((sum, chunks) => sum + chunks.length, 0));
+
+    if (snapshotCells.reduce((sum, cells) => sum + cells, 0) > MAX_SNAPSHOT_CELLS && bufferSnapshots.length > 2) {
+      const keep = bufferSnapshots.map((_, i) => i % 2 === 0);
+      [bufferSnapshots, snapshotCells].forEach(list => {
+        const kept = list.filter((_, i) => keep[i]);
+        list.length = 0;
+        list.push(...kept);
+      });
+      snapshotStride *= 2;
+    }
+  };
+
+  const isInterNode = (from, to) => cluster.gpus[from].node !== cluster.gpus[to].node;
+
+  // Alpha-beta cost of one hop: the link's latency plus the protocol's (and Simple's
+  // flag/fence sync), then the payload at the protocol's share of the link bandwidth.
+  // Small messages are latency bound, large ones bandwidth bound.
+  const getLinkLatency = (link) => link.latency + proto.latency + proto.syncTime;
+  const getLinkTime = (link, bytes, share = 1) => getLinkLatency(link) + bytes / (link.bandwidth * proto.efficiency * share);
+
+  const getHopLink = (from, to) => getRoute(cluster, cluster.gpus[from].id, cluster.gpus[to].id);
+  const getTransferTime = (from, to, bytes = NCCL_CHUNK_SIZE, share = 1) => getLinkTime(getHopLink(from, to), bytes, share);
+
+  // GPU ↔ NVSwitch traffic rides the GPU's NVLinks; replication happens in the switch.
+  // NVLS stages move in lockstep, so they run at the pace of the slowest attachment.
+  const switchLinks = cluster.gpus
+    .filter(gpu => cluster.nodes[gpu.node].switchId !== null)
+    .map(gpu => getRoute(cluster, gpu.id, cluster.nodes[gpu.node].switchId));
+  const switchLink = {
+    latency: Math.max(0, ...switchLinks.map(link => link.latency)),
+    bandwidth: Math.min(...switchLinks.map(link => link.bandwidth))
+  };
+  // Every channel's slice crosses the same GPU ports and switch ALUs, so they split them
+  const getSwitchTransferTime = (bytes) => getLinkTime(switchLink, bytes, 1 / drawnChannels);
+  // SHARP work is the operand bytes consumed, spread over every switch chip's ALUs
+  const getSwitchReduceTime = (bytes) => hardware.nvswitch.sharpLatency
+    + (bytes * drawnChannels) / (hardware.nvswitch.sharpThroughput * hardware.nvswitch.chips);
+
+  const getComputeTime = (bytes) => hardware.gpu.reduceLatency + bytes / hardware.gpu.reduceBandwidth;
+
+  const addStep = (desc, phase = '') => {
+    saveBufferSnapshot();
+    steps.push({ time: currentTime, description: desc, phase });
+  };
+
+  // bandwidthShare < 1 models several flows sharing one port (e.g. incast at a Gather root);
+  // linkShare is the part of the link left to this channel. Both only slow the wire time:
+  // every flow still pays the hop latency once.
+  const addTransfer = (from, to, chunkId, label = '', direction = 'cw',
+    { bandwidthShare = 1, linkShare = 1, bytes = NCCL_CHUNK_SIZE, startTime = currentTime } = {}) => {
+    const duration = getTransferTime(from, to, bytes, linkShare * bandwidthShare);
+    events.push({
+      type: 'transfer',
+      id: `t-${events.length}`,
+      from,
+      to,
+      chunkId,
+      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
+      startTime,
+      duration,
+      label: label || `C${chunkId}`,
+      direction,
+      bytes,
+      protocol,
+      channel
+    });
+
+    const linkId = `${Math.min(from, to)}-${Math.max(from, to)}`;
+    bandwidthSamples.push({
+      time: startTime,
+      endTime: startTime + duration,
+      linkId,
+      from,
+      to,
+      direction,
+      utilization: bandwidthShare * linkShare,
+      channel
+    });
+
+    return duration;
+  };
+
+  const addCompute = (nodeId, label, duration = getComputeTime(NCCL_CHUNK_SIZE), startTime = currentTime) => {
+    events.push({
+      type: 'compute',
+      nodeId,
+      label,
+      startTime,
+      duration,
+      channel
+    });
+    return duration;
+  };
+
+  const addLinkActive = (from, to, duration, direction = 'cw', startTime = currentTime) => {
+    events.push({
+      type: 'link',
+      from,
+      to,
+      startTime,
+      duration,
+      direction,
+      channel
+    });
+  };
+
+  // In-switch reduction event
+  const addSwitchReduce = (sources, chunkId, label = '', switchId = undefined, duration = getSwitchReduceTime(NVLS_CHUNK_SIZE)) => {
+    events.push({
+      type: 'switch-reduce',
+      id: `sr-${events.length}`,
+      switchId,
+      sources,
+      chunkId,
+      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
+      startTime: currentTime,
+      duration,
+      label: label || 'Σ',
+      channel
+    });
+    return duration;
+  };
+
+  // NVSwitch traffic: GPU → multicast object, multicast object → GPU(s)
+  const addToSwitch = (from, chunkId, label, duration, extra = {}) => {
+    events.push({
+      type: 'to-switch',
+      id: `ts-${events.length}`,
+      from,
+      chunkId,
+      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
+      startTime: currentTime,
+      duration,
+      label,
+      channel,
+      ...extra
+    });
+    return duration;
+  };
+
+  const addFromSwitch = (destinations, chunkId, label, duration, extra = {}) => {
+    events.push({
+      type: 'from-switch',
+      id: `fs-${events.length}`,
+      destinations,
+      chunkId,
+      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
+      startTime: currentTime,
+      duration,
+      label,
+      channel,
+      ...extra
+    });
+    return duration;
+  };
+
+  const addFromSwitchSingle = (destination, chunkId, label, duration, extra = {}) => {
+    events.push({
+      type: 'from-switch-single',
+      id: `fss-${events.length}`,
+      destination,
+      chunkId,
+      color: CHUNK_COLORS[chunkId % CHUNK_COLORS.length],
+      startTime: currentTime,
+      duration,
+      label,
+      channel,
+      ...extra
+    });
+    return duration;
+  };
+
+  const addSwitchBroadcast = (destinations, label, duration, extra = {}) => {
+    events.push({
+      type: 'switch-broadcast',
+      id: `sb-${events.length}`,
+      destinations,
+      startTime: currentTime,
+      duration,
+      label,
+      channel,
+      ...extra
+    });
+    return duration;
+  };
+
+  // One synchronous step of point-to-point hops: every hop fires at once and the step
+  // lasts as long as its slowest hop (inter-node hops dominate). Hops sharing a direction
+  // of a link (both trees on one edge) split it. Receivers then either add the incoming
+  // chunk on their SMs ('reduce') or simply store it ('copy').
+  // Hops that run at once split every port on their routes (a GPU's way into its NVSwitch,
+  // the switch's way out to a GPU, a NIC, a direct NVLink another hop is routed over):
+  // each hop gets the share of its busiest link
+  const getHopShares = (hops) => {
+    const paths = hops.map(({ from, to }) => getRoutePath(cluster, cluster.gpus[from].id, cluster.gpus[to].id));
+    const hopsPerLink = {};
+    paths.flat().forEach(link => { hopsPerLink[link] = (hopsPerLink[link] || 0) + 1; });
+    return paths.map(path => 1 / Math.max(1, ...path.map(link => hopsPerLink[link])));
+  };
+
+  const runSyncStep = (hops, mode, bytes = NCCL_CHUNK_SIZE) => {
+    let stepDuration = 0;
+    const shares = getHopShares(hops);
+    hops.forEach(({ from, to, chunkId, label, direction = 'cw' }, i) => {
+      const duration = addTransfer(from, to, chunkId, label, direction, { bytes, bandwidthShare: shares[i] });
+      addLinkActive(from, to, duration, direction);
+      stepDuration = Math.max(stepDuration, duration);
+    });
+    currentTime += stepDuration;
+
+    const reducing = hops.filter(hop => (hop.mode || mode) === 'reduce');
+    if (reducing.length) {
+      reducing.forEach(({ to, chunkId }) => addCompute(to, `+${getDataLabel(chunkId)}`, getComputeTime(bytes)));
+      currentTime += getComputeTime(bytes);
+    }
+
+    // Read every payload before writing so simultaneous hops see pre-step state
+    const payloads = hops.map(({ from, chunkId }) => ({ ...bufferState[from][chunkId] }));
+    hops.forEach((hop, i) => {
+      const { to, chunkId } = hop;
+      const incoming = payloads[i];
+      if ((hop.mode || mode) === 'reduce') {
+        const reductionCount = bufferState[to][chunkId].reductionCount + incoming.reductionCount;
+        bufferState[to][chunkId] = withValues({
+          chunkId,
+          state: reductionCount === NODE_COUNT ? 'reduced' : 'partial',
+          reductionCount
+        }, combineChunks(bufferState[to][chunkId], incoming));
+      } else {
+        bufferState[to][chunkId] = { ...incoming, state: 'final' };
+      }
+    });
+  };
+
+  // Pipelined schedules place events out of chronological order, so their captions and
+  // buffer changes are queued with explicit times and replayed in order afterwards
+  const queuedSteps = [];
+  const queuedUpdates = [];
+  // Channel 0 captions the steps and updates the buffer view, which stands for every channel
+  const queueStep = (time, desc, phase = '') => {
+    if (channel === 0) queuedSteps.push({ time, desc, phase });
+  };
+  const queueBufferUpdate = (time, apply) => {
+    if (channel === 0) queuedUpdates.push({ time, apply });
+  };
+
+  const flushQueued = () => {
+    const endTime = currentTime;
+    queuedSteps.sort((a, b) => a.time - b.time);
+    queuedUpdates.sort((a, b) => a.time - b.time);
+    let next = 0;
+    const applyUntil = (time) => {
+      while (next < queuedUpdates.length && queuedUpdates[next].time <= time) {
+        queuedUpdates[next++].apply();
+      }
+    };
+    queuedSteps.forEach(({ time, desc, phase }) => {
+      currentTime = time;
+      applyUntil(time);
+      addStep(desc, phase);
+    });
+    applyUntil(Infinity);
+    currentTime = endTime;
+    queuedSteps.length = 0;
+    queuedUpdates.length = 0;
+  };
+
+  // Channels beyond what the transfer budget can draw are folded into the drawn ones,
+  // which then carry a bigger share of the buffer
+  const getDrawnChannels = (eventsPerChannel) => Math.min(requestedChannels, Math.max(1, Math.floor(MAX_DRAWN_TRANSFERS / eventsPerChannel)));
+
+  // Runs every drawn channel from the same start; the collective ends with the slowest
+  const runChannels = (runOne) => {
+    const origin = currentTime;
+    let endTime = origin;
+    for (let c = 0; c < drawnChannels; c++) {
+      channel = c;
+      currentTime = origin;
+      runOne(c);
+      endTime = Math.max(endTime, currentTime);
+    }
+    channel = 0;
+    currentTime = endTime;
+  };
+
+  // Software pipeline over the waves of an NVLS-family collective: stage j of wave w starts
+  // once wave w has left stage j-1 and wave w-1 has freed stage j. A stage's buffer change
+  // lands when the first wave clears it; the last stage's result needs every wave.
+  const runStagePipeline = (stages, plan) => runChannels(() => {
+    const origin = currentTime;
+    const stageFree = stages.map(() => origin);
+    let endTime = origin;
+    for (let w = 0; w < plan.waves; w++) {
+      let ready = origin;
+      stages.forEach((stage, j) => {
+        const start = Math.max(ready, stageFree[j]);
+        currentTime = start;
+        queueStep(start, `${getWaveLabel(plan, w)}${stage.description}`, stage.phase);
+        const duration = stage.run(w);
+        ready = stageFree[j] = start + duration;
+        const isLast = j === stages.length - 1;
+        if (stage.apply && (isLast ? w === plan.waves - 1 : w === 0)) {
+          queueBufferUpdate(ready, stage.apply);
+        }
+      });
+      endTime = Math.max(endTime, ready);
+    }
+    currentTime = endTime;
+    flushQueued();
+  });
+
+  // Event-driven slice pipeline used by Ring: a slice leaves as soon as the sender holds
+  // it (after its own reduce) and the link has drained the previous slice, so slices of
+  // consecutive steps and loops overlap instead of waiting for a global step barrier.
+  // Steps are { description, phase, mode, wave, freshWave, hops }; hop data is tracked
+  // per wave, and `freshWave` restarts the buffer contents for a new loop.
+  const runPipelinedSteps = (stepList, { slices = 1, bytes = NCCL_CHUNK_SIZE } = {}) => {
+    const origin = currentTime;
+    const linkFreeAt = {};
+    const readyAt = {};
+    const initialState = structuredClone(bufferState);
+    let logical = structuredClone(initialState);
+    let endTime = origin;
+
+    stepList.forEach(step => {
+      if (step.freshWave) logical = structuredClone(initialState);
+      const payloads = step.hops.map(({ from, chunkId }) => ({ ...logical[from][chunkId] }));
+      let stepStart = Infinity;
+
+      step.hops.forEach((hop, i) => {
+        const { from, to, chunkId, label, direction = 'cw' } = hop;
+        const mode = hop.mode || step.mode;
+        const linkKey = `${from}-${to}`;
+        let hopStart = Infinity;
+        let hopEnd = origin;
+        let hopReady = origin;
+        for (let k = 0; k < slices; k++) {
+          const start = Math.max(readyAt[`${step.wave}:${from}:${chunkId}:${k}`] ?? origin, linkFreeAt[linkKey] ?? origin);
+          const duration = addTransfer(from, to, chunkId, label, direction, { bytes, startTime: start, linkShare: hop.linkShare });
+          // The link takes the next slice once this one is on the wire; latency only delays arrival
+          linkFreeAt[linkKey] = start + duration - getLinkLatency(getHopLink(from, to));
+          let ready = start + duration;
+          hopEnd = Math.max(hopEnd, ready);
+          if (mode === 'reduce') {
+            ready += addCompute(to, `+${getDataLabel(chunkId)}`, getComputeTime(bytes), ready);
+          }
+          readyAt[`${step.wave}:${to}:${chunkId}:${k}`] = ready;
+          hopStart = Math.min(hopStart, start);
+          hopReady = Math.max(hopReady, ready);
+        }
+        addLinkActive(from, to, hopEnd - hopStart, direction, hopStart);
+        stepStart = Math.min(stepStart, hopStart);
+        endTime = Math.max(endTime, hopReady);
+
+        const incoming = payloads[i];
+        let entry;
+        if (mode === 'reduce') {
+          const reductionCount = logical[to][chunkId].reductionCount + incoming.reductionCount;
+          entry = withValues({ chunkId, state: reductionCount === NODE_COUNT ? 'reduced' : 'partial', reductionCount },
+            combineChunks(logical[to][chunkId], incoming));
+        } else {
+          entry = { ...incoming, state: 'final' };
+        }
+        logical[to][chunkId] = entry;
+        queueBufferUpdate(hopReady, () => { bufferState[to][chunkId] = { ...entry }; });
+      });
+
+      if (step.hops.length) queueStep(stepStart, step.description, step.phase);
+    });
+
+    currentTime = endTime;
+    flushQueued();
+  };
+
+  // === ALGORITHM IMPLEMENTATIONS ===
+
+
+  // === NVLS (NVLink SHARP) ===
+  if (algo === Algorithm.NVLS) {
+    // The buffer streams through the multicast object in NVLS-sized chunks, one wave per loop
+    drawnChannels = getDrawnChannels(NVLS_EVENTS_PER_GPU * NODE_COUNT * MAX_PIPELINE_WAVES);
+    const plan = getChunkPlan(messageSize / drawnChannels, NODE_COUNT, NVLS_CHUNK_SIZE);
+    // Per GPU and drawn wave: the chunk it owns, and its share of every chunk
+    const chunkBytes = plan.chunkBytes * plan.loopsPerWave;
+    const waveBytes = chunkBytes * plan.chunksPerLoop;
+    const allGpus = Array.from({ length: NODE_COUNT }, (_, i) => i);
+    chunking = plan;
+
+    if (op === Operation.AllReduce) {
+      addStep('NVLS AllReduce: Leverages NVSwitch in-network reduction via multicast objects', 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        {
+          description: 'Step 1: All GPUs issue multimem.ld_reduce - sends local data TO switch for reduction',
+          phase: 'scatter',
+          // All GPUs send to "switch" (multicast object) at once
+          run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(waveBytes))))
+        },
+        {
+          description: `Step 2: NVSwitch performs IN-FABRIC reduction (SHARP ALUs: ${hardware.nvswitch.sharpThroughput / 4 / GB_PER_S} GFlops FP32)`,
+          phase: 'switch-reduce',
+          run: () => addSwitchReduce(allGpus, 0, 'Σ', undefined, getSwitchReduceTime(waveBytes * NODE_COUNT)),
+          // Mark switch has reduced result
+          apply: () => {
+            const total = reduceBuffers(allGpus);
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = [withValues({ chunkId: 'pending', state: 'in-switch', reductionCount: NODE_COUNT }, total)];
+            }
+          }
+        },
+        {
+          description: 'Step 3: Result available via multicast address - switch broadcasts to all GPUs',
+          phase: 'gather',
+          // Switch multicasts result back to all GPUs
+          run: () => addFromSwitch(allGpus, 0, 'Σ', getSwitchTransferTime(waveBytes), { color: '#22c55e' }),
+          apply: () => {
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = [withValues({ chunkId: 'all', state: 'final', reductionCount: NODE_COUNT }, bufferState[i][0].values)];
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! NVLS achieves ~480 GB/s AllReduce BW (vs ~370 GB/s Ring). SM offload!', 'done');
+    }
+    else if (op === Operation.ReduceScatter) {
+      addStep('NVLS ReduceScatter: In-switch reduction with scattered output', 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        {
+          description: 'All GPUs issue multimem.ld_reduce to send chunks to switch',
+          phase: 'scatter',
+          run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(waveBytes))))
+        },
+        {
+          description: 'NVSwitch SHARP ALUs perform reduction per chunk',
+          phase: 'switch-reduce',
+          run: () => Math.max(...allGpus.map(c => addSwitchReduce(allGpus, c, `Σ${c}`, undefined, getSwitchReduceTime(waveBytes * NODE_COUNT))))
+        },
+        {
+          description: 'Switch routes reduced chunk i to GPU i (scatter addressing)',
+          phase: 'gather',
+          run: () => Math.max(...allGpus.map(gpu => addFromSwitchSingle(gpu, gpu, `Σ${gpu}`, getSwitchTransferTime(chunkBytes)))),
+          apply: () => {
+            const reduced = allGpus.map(c => reduceChunk(allGpus, c));
+            for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
+              bufferState[gpu] = [withValues({ chunkId: gpu, state: 'reduced', reductionCount: NODE_COUNT }, reduced[gpu])];
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! Each GPU owns fully reduced chunk i. Critical for Tensor Parallelism.', 'done');
+    }
+    else if (op === Operation.AllGather) {
+      addStep('NVLS AllGather: NVSwitch multicast amplifies data to all GPUs', 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        {
+          description: 'Each GPU issues multimem.st_multicast to write chunk to multicast address',
+          phase: 'scatter',
+          run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(chunkBytes))))
+        },
+        {
+          description: 'NVSwitch replicates all chunks to all GPUs via multicast',
+          phase: 'broadcast',
+          run: () => addSwitchBroadcast(allGpus, 'ALL', getSwitchTransferTime(waveBytes)),
+          apply: () => {
+            const chunks = allGpus.map(c => bufferState[c][c].values);
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = Array.from({ length: NODE_COUNT }, (_, c) => withValues({
+                chunkId: c, state: 'final', reductionCount: 1
+              }, chunks[c]));
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! NOTE: Ring may achieve higher BW (~350 vs ~300 GB/s) due to TX/RX saturation. NVLS wins on latency.', 'done');
+    }
+    else if (op === Operation.Broadcast) {
+      addStep(`NVLS Broadcast: Single multimem.st_multicast from root GPU ${root} → all GPUs receive`, 'init');
+      bufferState[root] = [withValues({ chunkId: 0, state: 'source', reductionCount: 1 }, loaded?.[root])];
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        {
+          description: 'Root issues multimem.st_multicast (single NVLink transaction)',
+          phase: 'send',
+          run: () => addToSwitch(root, 0, 'Data', getSwitchTransferTime(waveBytes))
+        },
+        {
+          description: 'NVSwitch multicast replicates packet to all output ports simultaneously',
+          phase: 'multicast',
+          run: () => addFromSwitch(allGpus, 0, 'Data', getSwitchTransferTime(waveBytes)),
+          apply: () => {
+            const data = bufferState[root][0].values;
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = [withValues({ chunkId: 0, state: 'final', reductionCount: 1 }, data)];
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! True O(1) complexity broadcast via hardware multicast', 'done');
+    }
+    else if (op === Operation.Reduce) {
+      addStep(`NVLS Reduce: Native SHARP reduction onto root GPU ${root} - solves incast problem`, 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        {
+          description: 'All GPUs issue multimem.ld_reduce to send data to switch',
+          phase: 'scatter',
+          run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(waveBytes))))
+        },
+        {
+          description: 'NVSwitch SHARP ALUs perform in-fabric reduction',
+          phase: 'switch-reduce',
+          run: () => addSwitchReduce(allGpus, 0, 'Σ', undefined, getSwitchReduceTime(waveBytes * NODE_COUNT))
+        },
+        {
+          description: 'Only root receives the single reduced result (no incast!)',
+          phase: 'gather',
+          run: () => addFromSwitchSingle(root, 0, 'Σ', getSwitchTransferTime(waveBytes), { color: '#22c55e' }),
+          apply: () => {
+            const total = reduceBuffers(allGpus);
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = i === root
+                ? [withValues({ chunkId: 'all', state: 'reduced', reductionCount: NODE_COUNT }, total)]
+                : [{ chunkId: i, state: 'sent', reductionCount: 1 }];
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! Incast eliminated - root receives 1 stream, not N-1. No MultiShot needed (already optimal).', 'done');
+    }
+    // NOTE: AllToAll with NVLS is NOT supported - NVLS is for reduction/replication, not routing
+  }
+  // === MULTISHOT (2-Shot AllReduce) ===
+  else if (algo === Algorithm.MultiShot) {
+    drawnChannels = getDrawnChannels(NVLS_EVENTS_PER_GPU * NODE_COUNT * MAX_PIPELINE_WAVES);
+    const plan = getChunkPlan(messageSize / drawnChannels, NODE_COUNT, NVLS_CHUNK_SIZE);
+    // Per GPU and drawn wave: the chunk it owns, and its share of every chunk
+    const chunkBytes = plan.chunkBytes * plan.loopsPerWave;
+    const waveBytes = chunkBytes * plan.chunksPerLoop;
+    const allGpus = Array.from({ length: NODE_COUNT }, (_, i) => i);
+    chunking = plan;
+
+    // SHOT 1 building blocks, shared by AllReduce and ReduceScatter
+    const reduceToSwitch = (description, phase) => ({
+      description,
+      phase,
+      run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(waveBytes))))
+    });
+    const reduceInSwitch = (description) => ({
+      description,
+      phase: 'switch-reduce',
+      run: () => Math.max(...allGpus.map(c => addSwitchReduce(allGpus, c, `Σ${c}`, undefined, getSwitchReduceTime(waveBytes * NODE_COUNT))))
+    });
+    const scatterReduced = (description) => ({
+      description,
+      phase: 'scatter-result',
+      run: () => Math.max(...allGpus.map(gpu => addFromSwitchSingle(gpu, gpu, `Σ${gpu}`, getSwitchTransferTime(chunkBytes)))),
+      apply: () => {
+        const reduced = allGpus.map(c => reduceChunk(allGpus, c));
+        for (let gpu = 0; gpu < NODE_COUNT; gpu++) {
+          bufferState[gpu] = [withValues({ chunkId: gpu, state: 'reduced', reductionCount: NODE_COUNT }, reduced[gpu])];
+        }
+      }
+    });
+
+    if (op === Operation.AllReduce) {
+      addStep('MultiShot AllReduce: O(2) latency via NVLS primitives. Decomposed into ReduceScatter + AllGather.', 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        // All GPUs send their data to switch - switch does the reduction!
+        reduceToSwitch('SHOT 1 (ReduceScatter via NVLS): All GPUs issue multimem.ld_reduce for their chunks', 'shot1'),
+        // Switch performs reduction - THIS IS THE KEY DIFFERENCE
+        reduceInSwitch('NVSwitch SHARP ALUs perform IN-SWITCH reduction (not on GPUs!)'),
+        // Reduced chunks scattered to owners
+        scatterReduced('Switch routes reduced chunk i to GPU i (ReduceScatter complete)'),
+        {
+          description: 'SHOT 2 (AllGather via NVLS): Each GPU issues multimem.st_multicast for its reduced chunk',
+          phase: 'shot2',
+          // Each GPU multicasts its reduced chunk via switch
+          run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, `Σ${gpu}`, getSwitchTransferTime(chunkBytes))))
+        },
+        {
+          description: 'NVSwitch multicasts all reduced chunks to all GPUs',
+          phase: 'broadcast',
+          run: () => addSwitchBroadcast(allGpus, 'ALL', getSwitchTransferTime(waveBytes)),
+          // All GPUs now have all reduced chunks
+          apply: () => {
+            const chunks = allGpus.map(c => bufferState[c][0].values);
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = Array.from({ length: NODE_COUNT }, (_, c) => withValues({
+                chunkId: c, state: 'final', reductionCount: NODE_COUNT
+              }, chunks[c]));
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! 2 shots total. ~3× faster than Ring for small messages. SM offload achieved!', 'done');
+    }
+    else if (op === Operation.ReduceScatter) {
+      addStep('MultiShot ReduceScatter: Single shot via NVLS (Phase 1 of MultiShot AllReduce)', 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        reduceToSwitch('All GPUs issue multimem.ld_reduce to send data to switch', 'scatter'),
+        reduceInSwitch('NVSwitch SHARP ALUs perform in-switch reduction'),
+        scatterReduced('Switch routes reduced chunk i to GPU i')
+      ], plan);
+
+      addStep('Complete! Single communication step via NVLS. Critical for TP efficiency.', 'done');
+    }
+    else if (op === Operation.AllGather) {
+      addStep('MultiShot AllGather: Single shot via NVLS multicast (Phase 2 of MultiShot AllReduce)', 'init');
+      currentTime += LAUNCH_TIME;
+
+      runStagePipeline([
+        {
+          description: 'All GPUs issue multimem.st_multicast for their chunks',
+          phase: 'multicast',
+          run: () => Math.max(...allGpus.map(gpu => addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(chunkBytes))))
+        },
+        {
+          description: 'NVSwitch multicasts all chunks to all GPUs simultaneously',
+          phase: 'broadcast',
+          run: () => addSwitchBroadcast(allGpus, 'ALL', getSwitchTransferTime(waveBytes)),
+          apply: () => {
+            const chunks = allGpus.map(c => bufferState[c][c].values);
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = Array.from({ length: NODE_COUNT }, (_, c) => withValues({
+                chunkId: c, state: 'final', reductionCount: 1
+              }, chunks[c]));
+            }
+          }
+        }
+      ], plan);
+
+      addStep('Complete! Single step via switch multicast amplification', 'done');
+    }
+    // NOTE: MultiShot Reduce is NOT a thing - NVLS Reduce is already single-shot optimal
+    // NOTE: MultiShot AllToAll is NOT a thing - cannot be decomposed into RS+AG
+  }
+  // === NVLS-TREE (hierarchical NVLS across nodes) ===
+  else if (algo === Algorithm.NVLSTree) {
+    if (op === Operation.AllReduce) {
+      drawnChannels = getDrawnChannels(NVLS_EVENTS_PER_GPU * NODE_COUNT * MAX_PIPELINE_WAVES);
+      const plan = getChunkPlan(messageSize / drawnChannels, NODE_COUNT, NVLS_CHUNK_SIZE);
+      // Every GPU contributes its whole slice of the wave; a leader forwards its node's
+      // partial sum of that slice over the network
+      const waveBytes = plan.chunkBytes * plan.loopsPerWave * plan.chunksPerLoop;
+      chunking = plan;
+
+      const nodeCount = cluster.nodes.length;
+      const localGpus = (n) => cluster.nodes[n].gpus;
+      const leaderOf = (n) => cluster.nodes[n].gpus[0];
+      const nodes = Array.from({ length: nodeCount }, (_, n) => n);
+      const nodeTree = getDoubleBinaryTree(nodeCount)[0];
+
+      // Depth of every node in the inter-node tree, used to walk it level by level
+      const depth = Array(nodeCount).fill(0);
+      const queue = [nodeTree.root];
+      while (queue.length) {
+        const n = queue.shift();
+        nodeTree.children[n].forEach(child => {
+          depth[child] = depth[n] + 1;
+          queue.push(child);
+        });
+      }
+      const maxDepth = Math.max(...depth);
+      const nodesAt = (level) => depth.map((d, n) => (d === level ? n : -1)).filter(n => n !== -1);
+      // Imported clusters may mix node sizes
+      const localCounts = [...new Set(nodes.map(n => localGpus(n).length))].sort((a, b) => a - b);
+
+      addStep(`NVLS-Tree AllReduce: ${nodeCount} NVSwitch domains reduce locally, node leaders combine partials over the network`, 'init');
+      currentTime += LAUNCH_TIME;
+
+      const stages = [
+        {
+          description: 'Step 1: Every GPU issues multimem.ld_reduce to its own node\'s NVSwitch',
+          phase: 'scatter',
+          run: () => Math.max(...nodes.flatMap(n => localGpus(n).map(gpu =>
+            addToSwitch(gpu, gpu, getDataLabel(gpu), getSwitchTransferTime(waveBytes), { switchId: n }))))
+        },
+        {
+          description: `Step 2: Each NVSwitch sums its ${localCounts.join('/')} local contributions in-fabric (SHARP)`,
+          phase: 'switch-reduce',
+          run: () => Math.max(...nodes.map(n => addSwitchReduce(localGpus(n), n, `Σ N${n}`, n, getSwitchReduceTime(waveBytes * localGpus(n).length)))),
+          apply: () => {
+            const partials = nodes.map(n => reduceBuffers(localGpus(n)));
+            for (let i = 0; i < NODE_COUNT; i++) {
+              const node = cluster.gpus[i].node;
+              bufferState[i] = [withValues({ chunkId: 'pending', state: 'in-switch', reductionCount: localGpus(node).length }, partials[node])];
+            }
+          }
+        },
+        {
+          description: 'Step 3: Each node leader loads its node\'s partial sum from the switch',
+          phase: 'gather',
+          run: () => Math.max(...nodes.map(n => addFromSwitchSingle(leaderOf(n), n, `Σ N${n}`, getSwitchTransferTime(waveBytes), { switchId: n }))),
+          apply: () => {
+            nodes.forEach(n => {
+              bufferState[leaderOf(n)] = [withValues({ chunkId: n, state: 'partial', reductionCount: localGpus(n).length }, bufferState[leaderOf(n)][0].values)];
+            });
+          }
+        }
+      ];
+
+      // A leader's NIC is split between the tree hops crossing it at once: siblings share their
+      // parent's in one stage, and with several waves in flight the up and down stages overlap,
+      // so every tree neighbour of a leader shares its NIC (NCCL's steady state)
+      const nicFlows = (n) => nodeTree.children[n].length + (nodeTree.parent[n] === -1 ? 0 : 1);
+      const getNetworkShare = (n, level) => 1 / (plan.waves > 1
+        ? Math.max(nicFlows(n), nicFlows(nodeTree.parent[n]))
+        : level.filter(m => nodeTree.parent[m] === nodeTree.parent[n]).length);
+
+      // Inter-node tree: leaders reduce partials up level by level...
+      for (let level = maxDepth; level >= 1; level--) {
+        const senders = nodesAt(level);
+        stages.push({
+          description: `Inter-node reduce: leader${senders.length === 1 ? '' : 's'} of node ${senders.join(', ')} send${senders.length === 1 ? 's' : ''} partial sums up the tree over the network`,
+          phase: 'inter-reduce',
+          run: () => {
+            let stepDuration = 0;
+            senders.forEach(n => {
+              const from = leaderOf(n);
+              const to = leaderOf(nodeTree.parent[n]);
+              const duration = addTransfer(from, to, n, `Σ N${n}`, 'cw', { bytes: waveBytes, linkShare: 1 / drawnChannels, bandwidthShare: getNetworkShare(n, senders) });
+              addLinkActive(from, to, duration, 'cw');
+              stepDuration = Math.max(stepDuration, duration);
+            });
+            const receivers = [...new Set(senders.map(n => nodeTree.parent[n]))];
+            receivers.forEach(n => addCompute(leaderOf(n), '+', getComputeTime(waveBytes), currentTime + stepDuration));
+            return stepDuration + getComputeTime(waveBytes);
+          },
+          apply: () => {
+            senders.forEach(n => {
+              const target = bufferState[leaderOf(nodeTree.parent[n])][0];
+              const partial = bufferState[leaderOf(n)][0];
+              const reductionCount = target.reductionCount + partial.reductionCount;
+              bufferState[leaderOf(nodeTree.parent[n])] = [withValues({
+                chunkId: target.chunkId,
+                state: reductionCount === NODE_COUNT ? 'reduced' : 'partial',
+                reductionCount
+              }, combineChunks(target, partial))];
+            });
+          }
+        });
+      }
+
+      // ...then send the global sum back down
+      for (let level = 1; level <= maxDepth; level++) {
+        const receivers = nodesAt(level);
+        stages.push({
+          description: `Inter-node broadcast: global sum travels down the tree to leader${receivers.length === 1 ? '' : 's'} of node ${receivers.join(', ')}`,
+          phase: 'inter-broadcast',
+          run: () => Math.max(...receivers.map(n => {
+            const from = leaderOf(nodeTree.parent[n]);
+            const to = leaderOf(n);
+            const duration = addTransfer(from, to, nodeTree.root, 'Σ', 'ccw', { bytes: waveBytes, linkShare: 1 / drawnChannels, bandwidthShare: getNetworkShare(n, receivers) });
+            addLinkActive(from, to, duration, 'ccw');
+            return duration;
+          })),
+          apply: () => {
+            receivers.forEach(n => {
+              bufferState[leaderOf(n)] = [{ ...bufferState[leaderOf(nodeTree.parent[n])][0] }];
+            });
+          }
+        });
+      }
+
+      stages.push(
+        {
+          description: 'Leaders issue multimem.st - each NVSwitch multicasts the global sum to its local GPUs',
+          phase: 'broadcast',
+          run: () => Math.max(...nodes.map(n =>
+            addToSwitch(leaderOf(n), 0, 'Σ', getSwitchTransferTime(waveBytes), { switchId: n, color: '#22c55e' })))
+        },
+        {
+          description: 'NVSwitch multicast delivers the global sum to every local GPU',
+          phase: 'broadcast',
+          run: () => Math.max(...nodes.map(n =>
+            addFromSwitch(localGpus(n), 0, 'Σ', getSwitchTransferTime(waveBytes), { switchId: n, color: '#22c55e' }))),
+          apply: () => {
+            const totals = nodes.map(n => bufferState[leaderOf(n)][0].values);
+            for (let i = 0; i < NODE_COUNT; i++) {
+              bufferState[i] = [withValues({ chunkId: 'all', state: 'final', reductionCount: NODE_COUNT }, totals[cluster.gpus[i].node])];
+            }
+          }
+        }
+      );
+
+      runStagePipeline(stages, plan);
+
+      const networkHops = 2 * maxDepth;
+      addStep(`Complete! ${networkHops} network hop${networkHops === 1 ? '' : 's'} on the critical path - over ${hardware.nic.bandwidth / GB_PER_S} GB/s NICs instead of ${hardware.nvlink.bandwidth / GB_PER_S} GB/s NVLink, they dominate the timeline.`, 'done');
+    }
+  }
+  // === RING ALGORITHMS ===
+  else if (algo === Algorithm.Ring) {
+    const P = NODE_COUNT;
+    const mod = (n) => ((n % P) + P) % P;
+    const isChain = op === Operation.Broadcast || op === Operation.Reduce;
+
+    // A ring loop moves one chunk per rank; Broadcast and Reduce stream single chunks down
+    // the chain, so there every loop is one chunk and the chunks pipeline behind each other
+    // Every ring loop is P-1 (or 2(P-1) for AllReduce) steps of P hops per channel; big rings
+    // draw fewer channels, waves and unsliced chunks to stay within the transfer budget
+    const hopsPerLoop = isChain ? P - 1 : (op === Operation.AllReduce ? 2 : 1) * (P - 1) * P;
+    drawnChannels = getDrawnChannels(hopsPerLoop * MIN_CHANNEL_WAVES);
+    const drawnHops = hopsPerLoop * drawnChannels;
+    const maxSlices = drawnHops * proto.maxSlices > MAX_DRAWN_TRANSFERS ? 1 : proto.maxSlices;
+    const maxWaves = Math.max(1, Math.min(MAX_PIPELINE_WAVES, Math.floor(MAX_DRAWN_TRANSFERS / (drawnHops * maxSlices))));
+    const plan = getChunkPlan(messageSize / drawnChannels, isChain ? 1 : P, proto.chunkSize, maxSlices, maxWaves);
+    const pipeline = { slices: plan.slices, bytes: (plan.chunkBytes * plan.loopsPerWave) / plan.slices };
+    chunking = plan;
+
+    // Every channel's ring is rotated so the root (GPU 0 unless Broadcast or Reduce picks
+    // another) leads; a replayed NCCL log keeps its channels' orders
+    const replayedRings = (options.rings || []).filter(order => isPermutation(order, P));
+    const rings = getChannelRings(cluster, drawnChannels, replayedRings).map(order => {
+      const start = order.indexOf(root);
+      return [...order.slice(start), ...order.slice(0, start)];
+    });
+    const ringSource = replayedRings.length ? ` (NCCL order ${P <= 16 ? rings[0].join('→') : 'from the log'})` : '';
+
+    // Channels sharing a link split its bandwidth; a hop runs at the share of its busiest link
+    const linkLoad = getChannelLinkLoad(cluster, rings);
+    const linkShares = {};
+    const getLinkShare = (from, to) => (linkShares[`${from}-${to}`] ??= 1 / Math.max(1,
+      ...getRoutePath(cluster, cluster.gpus[from].id, cluster.gpus[to].id).map(link => linkLoad[link] || 1)));
+
+    // Each channel runs the same schedule on its own ring with its slice of the buffer
+    const runRingChannels = (buildSteps) => runChannels(c => runPipelinedSteps(buildSteps(rings[c]).map(step => ({
+      ...step,
+      hops: step.hops.map(hop => ({ ...hop, linkShare: getLinkShare(hop.from, hop.to) }))
+    })), pipeline));
+
+    // Position p sends the chunk of position (p - s - 1) so that, after P-1 steps, every GPU
+    // owns its own reduced chunk
+    const ringReduceScatter = (ring, label, wave) => Array.from({ length: P - 1 }, (_, s) => ({
+      description: `${getWaveLabel(plan, wave)}${label} step ${s + 1}/${P - 1}: each GPU sends a partial chunk clockwise; the receiver adds it on its SMs`,
+      phase: 'reduce-scatter',
+      mode: 'reduce',
+      wave,
+      hops: ring.map((gpu, p) => {
+        const chunkId = ring[mod(p - s - 1)];
+        return { from: gpu, to: ring[mod(p + 1)], chunkId, label: getDataLabel(chunkId) };
+      })
+    }));
+
+    const ringAllGather = (ring, label, chunkLabel, wave) => Array.from({ length: P - 1 }, (_, s) => ({
+      description: `${getWaveLabel(plan, wave)}${label} step ${s + 1}/${P - 1}: each GPU forwards the chunk it received last step clockwise`,
+      phase: 'allgather',
+      mode: 'copy',
+      wave,
+      hops: ring.map((gpu, p) => {
+        const chunkId = ring[mod(p - s)];
+        return { from: gpu, to: ring[mod(p + 1)], chunkId, label: chunkLabel(chunkId) };
+      })
+    }));
+
+    // One list of ring steps per loop; each loop restarts from the local buffers
+    const perLoop = (buildSteps) => Array.from({ length: plan.waves }, (_, wave) => {
+      const loopSteps = buildSteps(wave);
+      loopSteps[0].freshWave = wave > 0;
+      return loopSteps;
+    }).flat();
+
+    // Chain hops between nodes: the root's place on the ring decides whether the chain skips
+    // one of the ring's inter-node hops or has to cross them all
+    const countNodeCrossings = (chain) => chain.slice(1).filter((gpu, h) => cluster.gpus[gpu].node !== cluster.gpus[chain[h]].node).length;
+    const getCrossingNote = (chain) => {
+      const crossings = countNodeCrossings(chain);
+      return cluster.nodes.length > 1 ? ` - the chain crosses between nodes ${crossings} time${crossings === 1 ? '' : 's'}` : '';
+    };
+
+    // Pipelined chain used by Broadcast and Reduce: hop h carries chunk (t - h) at step t,
+    // so C chunks cross P-1 hops in C + P - 2 steps
+    const chainSteps = (chain, mode, label) => {
+      const hopCount = chain.length - 1;
+      const stepCount = plan.waves + hopCount - 1;
+      return Array.from({ length: stepCount }, (_, t) => {
+        const hops = [];
+        for (let h = 0; h < hopCount; h++) {
+          const chunkId = t - h;
+          if (chunkId >= 0 && chunkId < plan.waves) {
+            hops.push({ from: chain[h], to: chain[h + 1], chunkId, label: getDataLabel(chunkId) });
+          }
+        }
+        return {
+          description: `${label} step ${t + 1}/${stepCount}: ${hops.length} chunk${hops.length === 1 ? '' : 's'} in flight along the chain`,
+          phase: 'pipeline',
+          mode,
+          wave: 0,
+          hops
+        };
+      });
+    };
+
+    if (op === Operation.AllReduce) {
+      addStep(`Ring AllReduce: ReduceScatter + AllGather around a ${P}-GPU ring${ringSource} = 2(P-1) = ${2 * (P - 1)} steps per loop`, 'init');
+      currentTime += LAUNCH_TIME;
+
+      runRingChannels(ring => perLoop(wave => [
+        ...ringReduceScatter(ring, 'ReduceScatter', wave),
+        ...ringAllGather(ring, 'AllGather', (c) => `Σ${c}`, wave)
+      ]));
+
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = bufferState[i].map(chunk => ({ ...chunk, state: 'final', reductionCount: P }));
+      }
+
+      addStep(`Complete! ${2 * (P - 1)} steps per loop, each GPU sent 2(P-1)/P of the buffer. Bandwidth-optimal, but latency grows with P.`, 'done');
+    }
+    else if (op === Operation.ReduceScatter) {
+      addStep(`Ring ReduceScatter: P-1 = ${P - 1} steps per loop, partial sums travel clockwise${ringSource}`, 'init');
+      currentTime += LAUNCH_TIME;
+
+      runRingChannels(ring => perLoop(wave => ringReduceScatter(ring, 'ReduceScatter', wave)));
+
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = [{ ...bufferState[i][i], state: 'reduced' }];
+      }
+
+      addStep('Complete! GPU i owns fully reduced chunk i, every addition done by GPU SMs.', 'done');
+    }
+    else if (op === Operation.AllGather) {
+      addStep(`Ring AllGather: P-1 = ${P - 1} steps per loop, each GPU relays chunks clockwise${ringSource}`, 'init');
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = bufferState[i].map(chunk => chunk.chunkId === i ? chunk : { ...withoutValues(chunk), state: 'empty' });
+      }
+      currentTime += LAUNCH_TIME;
+
+      runRingChannels(ring => perLoop(wave => ringAllGather(ring, 'AllGather', (c) => getDataLabel(c), wave)));
+
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = bufferState[i].map(chunk => ({ ...chunk, state: 'final' }));
+      }
+
+      addStep('Complete! Every GPU holds all P chunks. Ring saturates TX and RX on every link.', 'done');
+    }
+    else if (op === Operation.Broadcast) {
+      const stepCount = plan.waves + P - 2;
+      addStep(`Ring Broadcast: root GPU ${root} splits the buffer into ${plan.waves} chunk${plan.waves === 1 ? '' : 's'} and pipelines them down the chain${ringSource}${getCrossingNote(rings[0])}`, 'init');
+      bufferState = initBufferState(plan.waves);
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = bufferState[i].map(chunk => (i === root ? { ...chunk, state: 'source' } : { ...withoutValues(chunk), state: 'empty' }));
+      }
+      currentTime += LAUNCH_TIME;
+
+      runRingChannels(ring => chainSteps(ring, 'copy', 'Broadcast'));
+
+      addStep(`Complete! ${stepCount} pipelined steps - latency is linear in P, unlike NVLS multicast.`, 'done');
+    }
+    else if (op === Operation.Reduce) {
+      const stepCount = plan.waves + P - 2;
+      const chain = (ring) => [...ring.slice(1), ring[0]];
+      addStep(`Ring Reduce: ${plan.waves} chunk${plan.waves === 1 ? '' : 's'} flow along the ring${ringSource} towards root GPU ${root}, accumulating at every hop${getCrossingNote(chain(rings[0]))}`, 'init');
+      bufferState = initBufferState(plan.waves);
+      currentTime += LAUNCH_TIME;
+
+      runRingChannels(ring => chainSteps(chain(ring), 'reduce', 'Reduce'));
+
+      for (let i = 0; i < P; i++) {
+        if (i !== root) bufferState[i] = bufferState[i].map(chunk => ({ ...chunk, state: 'sent' }));
+      }
+
+      addStep(`Complete! Root holds the full sum after ${stepCount} pipelined steps; every intermediate GPU spent SM cycles adding.`, 'done');
+    }
+  }
+  // === TREE (Double Binary Tree) ===
+  else if (algo === Algorithm.Tree) {
+    if (op === Operation.AllReduce) {
+      const P = NODE_COUNT;
+      // Trees replayed from an NCCL log replace the shapes NCCL would build for this topology
+      const replayed = options.trees?.length === 2 && options.trees.every(tree => tree.parent.length === P);
+      const shapes = replayed ? options.trees : buildTreeShapes(cluster.nodes.map(node => node.gpus));
+      // Each tree carries half of the buffer, split into K pipelined tree chunks
+      const plan = getChunkPlan(messageSize / 2, 1, Math.min(TREE_CHUNK_SIZE, proto.chunkSize));
+      const K = plan.waves;
+      const chunkBytes = plan.chunkBytes * plan.loopsPerWave;
+      const chunkOf = (t, k) => t * K + k;
+      chunking = plan;
+      bufferState = initBufferState(2 * K);
+
+      trees = shapes.map((shape, t) => ({
+        id: t,
+        root: shape.root,
+        edges: shape.parent
+          .map((parent, child) => ({ parent, child }))
+          .filter(edge => edge.parent !== -1)
+      }));
+
+      // Per-tree pipeline bookkeeping
+      const progress = shapes.map(() => ({
+        upNext: Array(P).fill(0),                                    // next chunk to send to parent
+        arrived: Array.from({ length: P }, () => Array(K).fill(0)),  // child contributions received
+        downNext: Array(P).fill(0),                                  // next chunk to send to children
+        received: Array.from({ length: P }, () => Array(K).fill(false))
+      }));
+      const hasResult = (t, gpu, k) => (gpu === shapes[t].root
+        ? progress[t].arrived[gpu][k] === shapes[t].children[gpu].length
+        : progress[t].received[gpu][k]);
+
+      const chunkRange = (t) => (K === 1
+        ? `chunk ${getDataLabel(chunkOf(t, 0))}`
+        : `chunks ${getDataLabel(chunkOf(t, 0))}-${getDataLabel(chunkOf(t, K - 1))}`);
+      addStep(`Tree AllReduce: ${replayed ? 'double binary tree as logged by NCCL' : 'double binary tree'} - tree 0 reduces ${chunkRange(0)}, ${replayed ? 'tree 1' : 'mirrored tree 1'} handles ${chunkRange(1)}`, 'init');
+      currentTime += LAUNCH_TIME;
+
+      let stepCount = 0;
+      const isDone = () => shapes.every((_, t) =>
+        Array.from({ length: P }, (_, gpu) => gpu).every(gpu =>
+          Array.from({ length: K }, (_, k) => k).every(k => hasResult(t, gpu, k))));
+
+      while (!isDone()) {
+        const hops = [];
+        const forwarding = [];
+        shapes.forEach((shape, t) => {
+          const st = progress[t];
+          for (let gpu = 0; gpu < P; gpu++) {
+            // Reduce: once every child has delivered chunk k, pass the partial sum up
+            const k = st.upNext[gpu];
+            if (gpu !== shape.root && k < K && st.arrived[gpu][k] === shape.children[gpu].length) {
+              const chunkId = chunkOf(t, k);
+              hops.push({ from: gpu, to: shape.parent[gpu], chunkId, label: getDataLabel(chunkId), mode: 'reduce', direction: 'cw', tree: t, k });
+            }
+            // Broadcast: forward fully reduced chunks back down as soon as they exist
+            const d = st.downNext[gpu];
+            if (d < K && shape.children[gpu].length && hasResult(t, gpu, d)) {
+              const chunkId = chunkOf(t, d);
+              shape.children[gpu].forEach(child => {
+                hops.push({ from: gpu, to: child, chunkId, label: `Σ${chunkId}`, mode: 'copy', direction: 'ccw', tree: t, k: d });
+              });
+              forwarding.push({ t, gpu });
+            }
+          }
+        });
+
+        stepCount++;
+        const upCount = hops.filter(hop => hop.mode === 'reduce').length;
+        addStep(`Tree step ${stepCount}: ${upCount} partial chunk${upCount === 1 ? '' : 's'} reducing up, ${hops.length - upCount} reduced chunk${hops.length - upCount === 1 ? '' : 's'} broadcasting down`, 'tree');
+        runSyncStep(hops, undefined, chunkBytes);
+
+        hops.forEach(({ mode, to, from, tree: t, k }) => {
+          if (mode === 'reduce') {
+            progress[t].arrived[to][k]++;
+            progress[t].upNext[from]++;
+          } else {
+            progress[t].received[to][k] = true;
+          }
+        });
+        forwarding.forEach(({ t, gpu }) => progress[t].downNext[gpu]++);
+      }
+
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = bufferState[i].map(chunk => ({ ...chunk, state: 'final', reductionCount: P }));
+      }
+
+      addStep(`Complete! ${stepCount} pipelined steps. Tree depth grows with log(P), so latency beats Ring's 2(P-1) steps at scale.`, 'done');
+    }
+  }
+
+  // === P2P (grouped ncclSend/ncclRecv) ===
+  else if (algo === Algorithm.P2P) {
+    const P = NODE_COUNT;
+    // Personalised blocks are 1/P of the buffer; a block stream lasts as long as its chunks
+    const blockBytes = messageSize / P;
+
+    if (op === Operation.AllToAll) {
+      addStep(`AllToAll: each GPU holds ${P} personalised blocks of ${formatBytes(blockBytes)} (block j is for GPU j) - ${P}×${P} exchange via grouped ncclSend/ncclRecv`, 'init');
+      // Output buffers: slot i of GPU j receives block i→j; the diagonal is a local copy
+      for (let dst = 0; dst < P; dst++) {
+        bufferState[dst] = Array.from({ length: P }, (_, src) => withValues({
+          chunkId: src,
+          state: src === dst ? 'local' : 'empty',
+          reductionCount: 1,
+          label: `${src}→${dst}`
+        }, src === dst && loaded && getRegion(loaded[dst], dst, P)));
+      }
+      currentTime += LAUNCH_TIME;
+
+      // Shift schedule: in round r GPU i sends to GPU i+r, so every GPU sends to exactly
+      // one peer and receives from exactly one peer per round (no incast on any port); on
+      // direct meshes some blocks are routed through another GPU and share its links
+      for (let r = 1; r < P; r++) {
+        const crossNode = Array.from({ length: P }, (_, i) => isInterNode(i, (i + r) % P)).filter(Boolean).length;
+        addStep(`Round ${r}/${P - 1}: GPU i sends block i→(i+${r}) ${crossNode ? `- ${crossNode} of ${P} blocks cross the inter-node network` : 'over the NVSwitch mesh'}`, 'alltoall');
+
+        let stepDuration = 0;
+        const shares = getHopShares(Array.from({ length: P }, (_, src) => ({ from: src, to: (src + r) % P })));
+        for (let src = 0; src < P; src++) {
+          const dst = (src + r) % P;
+          const direction = r <= P / 2 ? 'cw' : 'ccw';
+          const duration = addTransfer(src, dst, src, `${src}→${dst}`, direction, { bytes: blockBytes, bandwidthShare: shares[src] });
+          addLinkActive(src, dst, duration, direction);
+          stepDuration = Math.max(stepDuration, duration);
+        }
+        currentTime += stepDuration;
+
+        for (let src = 0; src < P; src++) {
+          const dst = (src + r) % P;
+          bufferState[dst][src] = withValues({ ...bufferState[dst][src], state: 'final' }, loaded && getRegion(loaded[src], dst, P));
+        }
+      }
+
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = bufferState[i].map(chunk => ({ ...chunk, state: 'final' }));
+      }
+
+      addStep(`Complete! GPU j now holds column j of every peer. ${P - 1} rounds, (P-1)/P of every buffer crossed a link - no reduction, so NVLS cannot help.`, 'done');
+    }
+    else if (op === Operation.SendRecv) {
+      const M = MICROBATCH_COUNT;
+      const activationBytes = messageSize / M;
+      const crossNodeHops = Array.from({ length: P - 1 }, (_, s) => s).filter(s => isInterNode(s, s + 1));
+
+      addStep(`SendRecv: pipeline-parallel forward pass - ${P} stages, ${M} microbatches of ${formatBytes(activationBytes)}, stage i hands activations to stage i+1 with ncclSend/ncclRecv`, 'init');
+      for (let stage = 0; stage < P; stage++) {
+        bufferState[stage] = [
+          ...Array.from({ length: M }, (_, m) => ({ chunkId: m, state: 'empty', reductionCount: 1, buffer: 'send', label: `act${m} of G${stage}` })),
+          // Stage 0 reads microbatches from the data loader instead of a peer
+          ...Array.from({ length: M }, (_, m) => ({ chunkId: m, state: stage === 0 ? 'local' : 'empty', reductionCount: 1, buffer: 'recv', label: `act${m} into G${stage}` }))
+        ];
+      }
+      currentTime += LAUNCH_TIME;
+
+      // Wave w: stage s computes microbatch (w - s), then hands it to stage s+1
+      const waveCount = P + M - 1;
+      for (let w = 0; w < waveCount; w++) {
+        const active = Array.from({ length: P }, (_, stage) => stage).filter(stage => w - stage >= 0 && w - stage < M);
+        const handoffs = active.filter(stage => stage < P - 1);
+        const crossing = handoffs.some(stage => crossNodeHops.includes(stage));
+        addStep(`Wave ${w + 1}/${waveCount}: ${active.length} stage${active.length === 1 ? '' : 's'} compute, ${handoffs.length} handoff${handoffs.length === 1 ? '' : 's'}${crossing ? ' - one crosses the inter-node link' : ''}`, 'pipeline');
+
+        // A stage's forward pass is drawn as one sweep over its microbatch's activations
+        active.forEach(stage => addCompute(stage, `F${w - stage}`, getComputeTime(activationBytes)));
+        currentTime += getComputeTime(activationBytes);
+        active.forEach(stage => {
+          const m = w - stage;
+          bufferState[stage][m] = { ...bufferState[stage][m], state: stage === P - 1 ? 'final' : 'local' };
+        });
+
+        let stepDuration = 0;
+        handoffs.forEach(stage => {
+          const m = w - stage;
+          const duration = addTransfer(stage, stage + 1, m, `act${m}`, 'cw', { bytes: activationBytes });
+          addLinkActive(stage, stage + 1, duration, 'cw');
+          stepDuration = Math.max(stepDuration, duration);
+        });
+        currentTime += stepDuration;
+        handoffs.forEach(stage => {
+          const m = w - stage;
+          bufferState[stage][m] = { ...bufferState[stage][m], state: 'sent' };
+          bufferState[stage + 1][M + m] = { ...bufferState[stage + 1][M + m], state: 'final' };
+        });
+      }
+
+      addStep(`Complete! ${waveCount} pipeline waves for ${M} microbatches${crossNodeHops.length ? ` - the ${crossNodeHops.map(s => `G${s}→G${s + 1}`).join(', ')} handoff crosses nodes and sets the wave time` : ''}.`, 'done');
+    }
+    else if (op === Operation.Gather) {
+      addStep(`Gather: every GPU posts ncclSend of a ${formatBytes(blockBytes)} block to root GPU 0, the root posts ${P - 1} ncclRecv in one group`, 'init');
+      for (let i = 0; i < P; i++) {
+        bufferState[i] = [withValues({ chunkId: i, state: 'local', reductionCount: 1, buffer: 'send', label: `${i}→0` }, loaded && getRegion(loaded[i], i, P))];
+      }
+      bufferState[0].push(...Array.from({ length: P }, (_, src) => withValues({
+        chunkId: src, state: src === 0 ? 'final' : 'empty', reductionCount: 1, buffer: 'recv', label: `${src}→0`
+      }, src === 0 && bufferState[0][0].values)));
+      currentTime += LAUNCH_TIME;
+
+      addStep(`All ${P - 1} senders stream concurrently - they share the root's ingress port (incast), so each flow gets 1/${P - 1} of the bandwidth`, 'gather');
+      let stepDuration = 0;
+      for (let src = 1; src < P; src++) {
+        const duration = addTransfer(src, 0, src, `${src}→0`, 'ccw', { bandwidthShare: 1 / (P - 1), bytes: blockBytes });
+        addLinkActive(src, 0, duration, 'ccw');
+        stepDuration = Math.max(stepDuration, duration);
+      }
+      currentTime += stepDuration;
+
+      for (let src = 1; src < P; src++) {
+        bufferState[src][0] = { ...bufferState[src][0], state: 'sent' };
+        bufferState[0][1 + src] = withValues({ ...bufferState[0][1 + src], state: 'final' }, bufferState[src][0].values);
+      }
+
+      addStep(`Complete! Root holds all ${P} blocks. Time is set by the root's receive port, not by the ${P - 1} senders.`, 'done');
+    }
+    else if (op === Operation.Scatter) {
+      addStep(`Scatter: root GPU 0 posts ${P - 1} ncclSend in one group, ${formatBytes(blockBytes)} block j goes to GPU j`, 'init');
+      bufferState[0] = Array.from({ length: P }, (_, dst) => withValues({
+        chunkId: dst, state: 'source', reductionCount: 1, buffer: 'send', label: `0→${dst}`
+      }, loaded && getRegion(loaded[0], dst, P)));
+      for (let i = 0; i < P; i++) {
+        bufferState[i].push(withValues({ chunkId: i, state: i === 0 ? 'final' : 'empty', reductionCount: 1, buffer: 'recv', label: `0→${i}` }, i === 0 && bufferState[0][0].values));
+      }
+      for (let i = 1; i < P; i++) {
+        bufferState[i] = bufferState[i].filter(chunk => chunk.buffer === 'recv');
+      }
+      currentTime += LAUNCH_TIME;
+
+      addStep(`Root streams ${P - 1} blocks concurrently - they share its egress port, so each flow gets 1/${P - 1} of the bandwidth`, 'scatter');
+      let stepDuration = 0;
+      for (let dst = 1; dst < P; dst++) {
+        const duration = addTransfer(0, dst, dst, `0→${dst}`, 'cw', { bandwidthShare: 1 / (P - 1), bytes: blockBytes });
+        addLinkActive(0, dst, duration, 'cw');
+        stepDuration = Math.max(stepDuration, duration);
+      }
+      currentTime += stepDuration;
+
+      for (let dst = 1; dst < P; dst++) {
+        bufferState[0][dst] = { ...bufferState[0][dst], state: 'sent' };
+        bufferState[dst][0] = withValues({ ...bufferState[dst][0], state: 'final' }, bufferState[0][dst].values);
+      }
+
+      addStep('Complete! GPU j holds block j. Time is set by the root\'s send port.', 'done');
+    }
+  }
+
+  // The opening step names the channels the buffer was split over
+  if (requestedChannels > 1 && steps.length) {
+    steps[0].description += drawnChannels < requestedChannels
+      ? ` · ${requestedChannels} channels, drawn as ${drawnChannels} that carry 1/${drawnChannels} of the buffer each`
+      : ` · ${drawnChannels} channels, 1/${drawnChannels} of the buffer each`;
+  }
+
+  // NCCL averages integers by dividing the finished sum (floats were scaled on load)
+  if (loaded && REDUCING_OPERATIONS.includes(op) && reduction.redop === ReduceOp.Avg && DATATYPE_FORMATS[reduction.dataType].kind === 'int') {
+    for (let i = 0; i < NODE_COUNT; i++) {
+      bufferState[i] = bufferState[i].map(chunk => (chunk.values && chunk.reductionCount === NODE_COUNT
+        ? { ...chunk, values: chunk.values.map(x => roundToDataType(x / NODE_COUNT, reduction.dataType)) }
+        : chunk));
+    }
+  }
+
+  saveBufferSnapshot(true);
+
+  // Numeric mode checks every rank's output buffer against the reference
+  const verification = loaded && verifyOutputs(
+    Array.from({ length: NODE_COUNT }, (_, gpu) => bufferState[gpu]
+      .filter(chunk => chunk.buffer !== 'send')
+      .flatMap(chunk => chunk.values || [])),
+    getReferenceOutputs(op, loaded, { ...reduction, root })
+  );
+
+  return {
+    duration: currentTime,
+    // Playback keeps the closing caption up a little longer; it is not part of the collective
+    hold: LAUNCH_TIME,
+    events,
+    steps,
+    bufferSnapshots,
+    bandwidthSamples,
+    trees,
+    chunking,
+    channels: { count: requestedChannels, drawn: drawnChannels },
+    root: ROOTED_OPERATIONS.includes(op) ? root : null,
+    verification,
+    protocol,
+    nodeCount: NODE_COUNT
+  };
+};
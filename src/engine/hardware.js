@@ -0,0 +1,42 @@
+// === HARDWARE PROFILES ===
+// Alpha-beta cost model: moving n bytes over a link costs latency + n / bandwidth.
+// Times are in µs, so bandwidths are stored in bytes per µs (1 GB/s = 1e3 B/µs).
+export const GB_PER_S = 1e3;
+
+export const HARDWARE_PROFILES = {
+  h100: {
+    name: 'DGX H100',
+    gpu: {
+      model: 'H100 SXM5',
+      // Kernel launch plus NCCL's per-collective setup
+      launchLatency: 4,
+      // SM reductions read two operands and write one result through 3.35 TB/s of HBM3
+      reduceLatency: 0.1,
+      reduceBandwidth: (3350 / 3) * GB_PER_S
+    },
+    nvlink: {
+      version: 4,
+      links: 18,
+      // 25 GB/s per direction per link: 450 GB/s each way, 900 GB/s bidirectional
+      bandwidth: 18 * 25 * GB_PER_S,
+      latency: 0.6
+    },
+    nvswitch: {
+      version: 3,
+      chips: 4,
+      // Multicast replication is free in the fabric; each chip's SHARP ALUs add a short
+      // pipeline delay and sum at 400 GFLOPS of FP32, i.e. 1.6 TB/s of 4-byte operands
+      // (16-bit types pack two per lane, so the byte rate holds for every SHARP type)
+      sharpLatency: 0.5,
+      sharpThroughput: 400 * 4 * GB_PER_S
+    },
+    nic: {
+      model: 'ConnectX-7',
+      // One 400 Gb/s NIC per GPU
+      bandwidth: 50 * GB_PER_S,
+      latency: 2.7
+    }
+  }
+};
+
+export const DEFAULT_HARDWARE = HARDWARE_PROFILES.h100;
@@ -0,0 +1,61 @@
+import { Operation, Protocol, DEFAULT_TOPOLOGY, DEFAULT_MESSAGE_SIZE, getCompatibleAlgorithms } from './constants.js';
+import { generateTimeline } from './engine.js';
+import { getTimelineMetrics } from './metrics.js';
+
+// === PUBLIC API ===
+// The simulator without the UI: plain ES modules with no DOM access, so Node scripts can
+// import this file directly. The React app goes through the same exports.
+//
+//   simulate({ operation: 'AllReduce', algorithm: 'Ring', messageSize: 1 << 20 }, makeTopology(8, 2))
+//     → { algorithm, timeline, metrics: { latency, algbw, busbw, phases, links } }
+//
+// spec: operation (required), algorithm (defaults to the first one the topology supports),
+// messageSize in bytes, protocol, channels, root, redop, dataType and inputs (numeric mode).
+// topology: makeTopology(gpusPerNode, nodeCount), a preset, or an imported topology.
+// options: hardware (a HARDWARE_PROFILES entry) and replayed rings/trees.
+// Times are in µs and bandwidths in GB/s. Unknown names throw; a protocol the algorithm
+// doesn't implement runs as Simple, and timeline.protocol reports what ran.
+
+export const simulate = (spec, topology = DEFAULT_TOPOLOGY, options = {}) => {
+  const { operation, algorithm, messageSize = DEFAULT_MESSAGE_SIZE, ...timelineOptions } = spec;
+  if (!Object.values(Operation).includes(operation)) {
+    throw new Error(`Unknown operation "${operation}" (expected one of ${Object.values(Operation).join(', ')})`);
+  }
+  const algorithms = getCompatibleAlgorithms(operation, topology);
+  const algo = algorithm ?? getCompatibleAlgorithms(operation, topology, timelineOptions)[0] ?? algorithms[0];
+  if (!algorithms.includes(algo)) {
+    throw new Error(`${operation} cannot run as "${algo}" on this topology (expected one of ${algorithms.join(', ')})`);
+  }
+  if (timelineOptions.protocol !== undefined && !Object.values(Protocol).includes(timelineOptions.protocol)) {
+    throw new Error(`Unknown protocol "${timelineOptions.protocol}" (expected one of ${Object.values(Protocol).join(', ')})`);
+  }
+  const timeline = generateTimeline(operation, algo, topology, { ...timelineOptions, ...options, messageSize });
+  return { algorithm: algo, timeline, metrics: getTimelineMetrics(timeline, operation, topology, messageSize) };
+};
+
+export { getBusBandwidthFactor, getCollectiveLatency, getTimelineMetrics, getLinkSamples } from './metrics.js';
+export { generateTimeline } from './engine.js';
+export {
+  Operation, Algorithm, ReduceOp, DataType, DATATYPE_BYTES, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE,
+  MIN_NODE_COUNT, MAX_NODE_COUNT, makeTopology, TOPOLOGY_PRESETS, DEFAULT_TOPOLOGY, getGpuCount,
+  isSameTopology, isDocExample, hasNVSwitches, getTopologyLabel, Protocol, ROOTED_OPERATIONS,
+  REDUCING_OPERATIONS, getCompatibleProtocols, isNVLSAlgorithm, isSharpReducible, getCompatibleAlgorithms,
+  SWITCH_EVENT_TYPES, CHUNK_COLORS, TREE_COLORS, PROTOCOL_PACKETS, MIN_MESSAGE_SIZE, MAX_MESSAGE_SIZE,
+  DEFAULT_MESSAGE_SIZE, MAX_CHANNELS, getPlaybackSeconds, getPlaybackDuration
+} from './constants.js';
+export { GB_PER_S, HARDWARE_PROFILES, DEFAULT_HARDWARE } from './hardware.js';
+export { MAX_REPORTED_PROBLEMS, describeTopology, parseTopologyJson } from './cluster.js';
+export { parseNcclTopologyXml } from './topologyXml.js';
+export { parseNcclLog } from './ncclLog.js';
+export { UNDERPERFORM_RATIO, parseNcclTests, predictBusBandwidth } from './ncclTests.js';
+export { loadChromeTraces, buildTraceTimeline } from './profilerTrace.js';
+export { timelineToChromeTrace } from './chromeTrace.js';
+export { serializeScenario, parseScenarioJson } from './scenario.js';
+export { formatBytes, formatDuration } from './chunking.js';
+export { CHANNEL_ALGORITHMS, getChannelCount, getChannelColor } from './channels.js';
+export {
+  DEFAULT_NUMERIC_ELEMENTS, MAX_NUMERIC_ELEMENTS, NumericSource, createRandomInputs, parseInputValues, formatValues
+} from './numeric.js';
+export { VIEW_WIDTH, VIEW_HEIGHT, DEVICE_STYLES, WIRE_STYLES, getNodes } from './layout.js';
+export { checkTimeline } from './invariants.js';
+export { KNOWLEDGE_DATA } from './knowledge.js';
@@ -0,0 +1,125 @@
+import { Operation, Protocol, SWITCH_EVENT_TYPES, PROTOCOL_PARAMS } from './constants.js';
+import { DEFAULT_HARDWARE } from './hardware.js';
+import { getCluster, getRoute, getRoutePath } from './cluster.js';
+import { EVENT_GPU_FIELDS } from './scenario.js';
+import { getNodes } from './layout.js';
+
+// === TIMELINE INVARIANTS ===
+// Properties every generated timeline must have, whatever the algorithm: a schedule that
+// breaks one animates wrongly. checkTimeline returns the problems found (none when sound).
+const TIME_TOLERANCE = 1e-6;
+
+const RESULT_STATES = ['final', 'reduced'];
+
+// Where the operation's result has to sit once the collective is done
+const checkFinalBuffers = (op, state, P, root) => {
+  const problems = [];
+  const ranks = Array.from({ length: P }, (_, gpu) => gpu);
+  const chunksOf = (gpu, buffer) => (state[gpu] || []).filter(chunk => !buffer || chunk.buffer === buffer);
+  const isResult = (chunk) => RESULT_STATES.includes(chunk.state);
+  const isReduced = (chunks) => chunks.length > 0 && chunks.every(chunk => isResult(chunk) && chunk.reductionCount === P);
+  const holdsEveryChunk = (chunks) => ranks.every(c => chunks.some(chunk => chunk.chunkId === c && isResult(chunk)));
+  const expect = (gpu, holds, what) => {
+    if (!holds) problems.push(`final buffers: GPU${gpu} ${what}`);
+  };
+
+  if (op === Operation.AllReduce) {
+    ranks.forEach(gpu => expect(gpu, isReduced(chunksOf(gpu)), `does not hold the buffer reduced over all ${P} GPUs`));
+  } else if (op === Operation.ReduceScatter) {
+    ranks.forEach(gpu => expect(gpu, isReduced(chunksOf(gpu)) && chunksOf(gpu).every(chunk => chunk.chunkId === gpu), `does not own reduced chunk ${gpu}`));
+  } else if (op === Operation.Reduce) {
+    expect(root, isReduced(chunksOf(root)), `(the root) does not hold the buffer reduced over all ${P} GPUs`);
+  } else if (op === Operation.AllGather) {
+    ranks.forEach(gpu => expect(gpu, holdsEveryChunk(chunksOf(gpu)), `is missing chunks of the ${P} GPUs`));
+  } else if (op === Operation.Broadcast) {
+    ranks.forEach(gpu => expect(gpu, chunksOf(gpu).length > 0
+      && chunksOf(gpu).every(chunk => isResult(chunk) || (gpu === root && chunk.state === 'source')), `did not receive the buffer of root GPU ${root}`));
+  } else if (op === Operation.AllToAll) {
+    ranks.forEach(gpu => expect(gpu, holdsEveryChunk(chunksOf(gpu)), `is missing blocks of the ${P} GPUs`));
+  } else if (op === Operation.Gather) {
+    expect(0, holdsEveryChunk(chunksOf(0, 'recv')), `(the root) is missing blocks of the ${P} GPUs`);
+  } else if (op === Operation.Scatter) {
+    ranks.forEach(gpu => expect(gpu, chunksOf(gpu, 'recv').some(chunk => chunk.chunkId === gpu && isResult(chunk)), `did not receive block ${gpu}`));
+  } else if (op === Operation.SendRecv) {
+    const outputs = chunksOf(P - 1, 'send');
+    expect(P - 1, outputs.length > 0 && outputs.every(isResult), '(the last stage) did not finish every microbatch');
+  }
+  return problems;
+};
+
+// Concurrent transfers must split every port they cross: per directed link on their routes
+// (a GPU into its NVSwitch, the switch out to a GPU, a NIC, a direct NVLink) the shares
+// (bandwidthShare × linkShare, the sample's utilization) add up to at most the whole link.
+// A link takes the next slice once the last byte is on the wire, so latency may overlap.
+const checkLinkLoad = (timeline, cluster) => {
+  const problems = [];
+  const proto = PROTOCOL_PARAMS[timeline.protocol] || PROTOCOL_PARAMS[Protocol.Simple];
+  const byLink = {};
+  timeline.bandwidthSamples
+    .filter(sample => cluster.gpus[sample.from] && cluster.gpus[sample.to])
+    .forEach(sample => {
+      const from = cluster.gpus[sample.from].id;
+      const to = cluster.gpus[sample.to].id;
+      const busyUntil = Math.max(sample.time, sample.endTime - (getRoute(cluster, from, to).latency + proto.latency + proto.syncTime));
+      getRoutePath(cluster, from, to).forEach(link => { (byLink[link] ||= []).push({ ...sample, busyUntil }); });
+    });
+
+  Object.entries(byLink).forEach(([link, samples]) => {
+    // Sweep over busy intervals; at equal times a transfer ends before the next one starts
+    const changes = samples.flatMap(sample => [
+      { time: sample.time, load: sample.utilization ?? 1 },
+      { time: sample.busyUntil, load: -(sample.utilization ?? 1) }
+    ]).sort((a, b) => a.time - b.time || a.load - b.load);
+    let load = 0;
+    let peak = { load: 0, time: 0 };
+    changes.forEach(change => {
+      load += change.load;
+      if (load > peak.load) peak = { load, time: change.time };
+    });
+    if (peak.load > 1 + TIME_TOLERANCE) {
+      problems.push(`link ${link.replace('>', '→')}: concurrent transfers add up to ${peak.load.toFixed(2)}× its bandwidth at ${peak.time.toFixed(2)} µs`);
+    }
+  });
+  return problems;
+};
+
+// op and topo are what the timeline was generated for; options.hardware as given to it
+export const checkTimeline = (timeline, op, topo, { hardware = DEFAULT_HARDWARE } = {}) => {
+  const problems = [];
+  const cluster = getCluster(topo, hardware);
+  const { nodes, switches } = getNodes(topo);
+  const gpuIds = new Set(nodes.map(node => node.id));
+
+  timeline.events.forEach((event, i) => {
+    const where = `events[${i}] (${event.type})`;
+    if (!(event.duration >= 0)) problems.push(`${where}: duration ${event.duration} is negative`);
+    if (!(event.startTime >= 0) || event.startTime + event.duration > timeline.duration + TIME_TOLERANCE) {
+      problems.push(`${where}: runs outside the timeline (${event.startTime} µs for ${event.duration} µs of ${timeline.duration} µs)`);
+    }
+    (EVENT_GPU_FIELDS[event.type] || []).forEach(field => [event[field]].flat().forEach(gpu => {
+      if (!gpuIds.has(gpu)) problems.push(`${where}: "${field}" names GPU ${gpu}, which the topology does not have`);
+    }));
+    if (SWITCH_EVENT_TYPES.includes(event.type) && (event.switchId !== undefined
+      ? !switches.some(sw => sw.id === event.switchId)
+      : !switches.length)) {
+      problems.push(`${where}: uses an NVSwitch the topology does not have`);
+    }
+  });
+
+  timeline.steps.forEach((step, i) => {
+    if (i > 0 && step.time < timeline.steps[i - 1].time) {
+      problems.push(`steps[${i}]: at ${step.time} µs, before the previous step at ${timeline.steps[i - 1].time} µs`);
+    }
+  });
+
+  problems.push(...checkLinkLoad(timeline, cluster));
+
+  const snapshots = timeline.bufferSnapshots;
+  if (!snapshots.length) problems.push('no buffer snapshots');
+  else problems.push(...checkFinalBuffers(op, snapshots[snapshots.length - 1].state, timeline.nodeCount, timeline.root ?? 0));
+
+  (timeline.verification || []).filter(rank => rank.passed === false)
+    .forEach(rank => problems.push(`numeric result: GPU${rank.gpu} differs from the reference by up to ${rank.maxError}`));
+
+  return problems;
+};
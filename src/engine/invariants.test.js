@@ -0,0 +1,93 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Operation, Algorithm, makeTopology, getGpuCount, getTopologyLabel, getCompatibleAlgorithms, getCompatibleProtocols } from './constants.js';
+import { parseTopologyJson } from './cluster.js';
+import { createRandomInputs } from './numeric.js';
+import { generateTimeline } from './engine.js';
+import { checkTimeline } from './invariants.js';
+
+// Every timeline runs in numeric mode, so the final buffers are judged by the values the
+// schedule combined on its way, not only by the states it assigns at the end
+
+const nvlink = (from, to) => ({ from, to, type: 'nvlink', bandwidth: 50, latency: 0.7 });
+const loadTopology = (desc) => {
+  const { topology, errors } = parseTopologyJson(JSON.stringify(desc));
+  assert.deepEqual(errors, []);
+  return topology;
+};
+
+// DGX-1 hybrid cube mesh: GPUs wired directly, no NVSwitch
+const cubeMesh = () => loadTopology({
+  name: 'DGX-1',
+  gpus: Array.from({ length: 8 }, (_, i) => ({ id: `g${i}` })),
+  links: [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3], [4, 5], [4, 6], [4, 7], [5, 6], [5, 7], [6, 7], [0, 4], [1, 5], [2, 6], [3, 7]]
+    .map(([a, b]) => nvlink(`g${a}`, `g${b}`))
+});
+
+// Two NVSwitch nodes of 4 and 6 GPUs, one NIC per GPU on a shared network switch
+const unevenNodes = () => {
+  const desc = { name: 'Uneven', gpus: [], switches: [{ id: 'leaf', type: 'network' }], nics: [], links: [] };
+  [['a', 4], ['b', 6]].forEach(([node, count]) => {
+    desc.switches.push({ id: `sw-${node}`, node });
+    for (let i = 0; i < count; i++) {
+      const gpu = `${node}${i}`;
+      desc.gpus.push({ id: gpu, node });
+      desc.nics.push({ id: `nic-${gpu}`, node });
+      desc.links.push(
+        { from: gpu, to: `sw-${node}`, type: 'nvlink', bandwidth: 450, latency: 0.3 },
+        { from: gpu, to: `nic-${gpu}`, type: 'pcie', bandwidth: 50, latency: 0.3 },
+        { from: `nic-${gpu}`, to: 'leaf', type: 'network', bandwidth: 25, latency: 1 }
+      );
+    }
+  });
+  return loadTopology(desc);
+};
+
+const TOPOLOGIES = [makeTopology(4), makeTopology(8), makeTopology(8, 2), makeTopology(3), makeTopology(3, 3), cubeMesh(), unevenNodes()];
+const MESSAGE_SIZES = [4096, 16 * 1024 ** 2];
+
+TOPOLOGIES.forEach(topo => {
+  describe(getTopologyLabel(topo), () => {
+    const gpuCount = getGpuCount(topo);
+    const inputs = createRandomInputs(gpuCount, { elements: 8 });
+    Object.values(Operation).forEach(op => getCompatibleAlgorithms(op, topo).forEach(algo => {
+      test(`${op} / ${algo}`, () => {
+        getCompatibleProtocols(algo).forEach(protocol => MESSAGE_SIZES.forEach(messageSize => [1, 2].forEach(channels => {
+          const options = { messageSize, protocol, channels, root: gpuCount - 1, inputs };
+          const timeline = generateTimeline(op, algo, topo, options);
+          const where = `${protocol}, ${messageSize} B, ${channels} channel${channels === 1 ? '' : 's'}`;
+          assert.deepEqual(checkTimeline(timeline, op, topo), [], where);
+          // Ranks without an output (non-roots, SendRecv's pipeline stages) are not judged
+          const judged = timeline.verification.filter(rank => rank.passed !== null);
+          if (op !== Operation.SendRecv) assert.ok(judged.length > 0, `${where}: no rank was verified`);
+          judged.forEach(rank => assert.equal(rank.passed, true, `${where}: GPU${rank.gpu} result`));
+        })));
+      });
+    }));
+  });
+});
+
+describe('checkTimeline', () => {
+  const topo = makeTopology(8);
+  const timeline = generateTimeline(Operation.AllReduce, Algorithm.Ring, topo, { inputs: createRandomInputs(8, { elements: 8 }) });
+
+  test('flags transfers that overbook a port', () => {
+    const overbooked = { ...timeline, bandwidthSamples: [...timeline.bandwidthSamples, ...timeline.bandwidthSamples] };
+    assert.match(checkTimeline(overbooked, Operation.AllReduce, topo).join('\n'), /concurrent transfers add up to 2\.00×/);
+  });
+
+  test('flags a rank whose values differ from the reference', () => {
+    const wrong = { ...timeline, verification: timeline.verification.map((rank, i) => (i === 3 ? { ...rank, passed: false, maxError: 1 } : rank)) };
+    assert.deepEqual(checkTimeline(wrong, Operation.AllReduce, topo), ['numeric result: GPU3 differs from the reference by up to 1']);
+  });
+
+  test('flags a rank whose buffer is not fully reduced', () => {
+    const snapshots = timeline.bufferSnapshots.slice();
+    const last = snapshots[snapshots.length - 1];
+    snapshots[snapshots.length - 1] = {
+      ...last,
+      state: { ...last.state, 5: last.state[5].map((chunk, i) => (i === 0 ? { ...chunk, reductionCount: 1 } : chunk)) }
+    };
+    assert.notDeepEqual(checkTimeline({ ...timeline, bufferSnapshots: snapshots }, Operation.AllReduce, topo), []);
+  });
+});
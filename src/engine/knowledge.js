@@ -0,0 +1,291 @@
+import { Operation, Algorithm, Protocol } from './constants.js';
+import { GB_PER_S, HARDWARE_PROFILES } from './hardware.js';
+
+// === KNOWLEDGE DATA ===
+// Mathematical and logical operation details for each operation/algorithm combination
+export const KNOWLEDGE_DATA = {
+  operations: {
+    [Operation.AllReduce]: {
+      objective: 'Sum an array of size N across P GPUs so every GPU ends up with the full result.',
+      math: {
+        nvls: {
+          phases: [
+            { name: 'Push to Switch', operation: 'GPUs output data via multimem::red (Load Reduce) instruction' },
+            { name: 'Switch Math', operation: 'NVSwitch v3 ALUs perform summation (Σ) as packets fly through crossbar' },
+            { name: 'Broadcast', operation: 'Switch multicasts result to all GPUs via multimem::st' }
+          ],
+          complexity: 'O(1) latency (constant), 2 steps (Send + Receive)',
+          advantage: 'GPUs don\'t waste SM cycles - "fire and forget"'
+        },
+        nvlsTree: {
+          phases: [
+            { name: 'Intra-Node Reduce', operation: 'Every GPU issues multimem.ld_reduce to its own node\'s NVSwitch; SHARP sums the local contributions', result: 'One partial sum per node' },
+            { name: 'Inter-Node Tree', steps: '2·log₂(nodes)', operation: 'Node leaders reduce the partials up a tree over the network, then send the global sum back down', result: 'Every leader holds the global sum' },
+            { name: 'Intra-Node Multicast', operation: 'Each leader issues multimem.st; its NVSwitch replicates the result to all local GPUs' }
+          ],
+          complexity: 'O(1) inside a node + O(log nodes) across the network',
+          advantage: 'Only one partial per node crosses the slower network, and no SM does reduction math inside a node.',
+          note: 'NVLS cannot span nodes: each NVSwitch fabric only reaches its own GPUs.'
+        },
+        ring: {
+          phases: [
+            { name: 'Reduce-Scatter', steps: 'P-1', operation: 'Each GPU sends one chunk to its right neighbour, which adds it to its own copy on the SMs', result: 'GPU i owns fully reduced chunk i' },
+            { name: 'AllGather', steps: 'P-1', operation: 'Reduced chunks travel once more around the ring', result: 'Every GPU holds all P reduced chunks' }
+          ],
+          formula: 'T = 2(P-1)·(α + (N/P)·β) + (P-1)·(N/P)·γ',
+          totalData: '2(P-1)/P × N sent per GPU',
+          complexity: 'O(P) latency, bandwidth-optimal'
+        },
+        tree: {
+          phases: [
+            { name: 'Reduce Up', steps: 'log₂P + k', operation: 'Leaves push chunks to their parent, every inner GPU adds its children\'s chunks before forwarding', result: 'Tree root holds the fully reduced chunk' },
+            { name: 'Broadcast Down', steps: 'log₂P + k', operation: 'Root streams reduced chunks back down while later chunks are still reducing', result: 'Every GPU holds the full result' }
+          ],
+          formula: 'T ≈ 2·log₂(P)·α + (N/2)·β per tree',
+          totalData: 'Each tree carries N/2; pipelined in k chunks',
+          complexity: 'O(log P) latency - wins over Ring at large P / many nodes'
+        }
+      }
+    },
+    [Operation.Reduce]: {
+      objective: 'Sum data from all GPUs onto a single root GPU.',
+      math: {
+        nvls: {
+          phases: [
+            { name: 'Push to Switch', operation: 'All GPUs send to multicast address' },
+            { name: 'In-Fabric Reduce', operation: 'SHARP ALUs perform reduction' },
+            { name: 'Unicast to Root', operation: 'Result delivered only to root GPU' }
+          ],
+          complexity: 'O(1) latency, native single-shot operation'
+        },
+        ring: {
+          phases: [
+            { name: 'Pipelined Chain', steps: '2(P-1)', operation: 'Buffer split into P chunks that flow along the ring towards the root, each hop adding its own contribution', pattern: 'G1 → G2 → … → G(P-1) → Root' }
+          ],
+          formula: 'T = (2P-2)·(α + (N/P)·β + (N/P)·γ)',
+          complexity: 'O(P) latency, every GPU reduces on its SMs'
+        }
+      }
+    },
+    [Operation.Broadcast]: {
+      objective: 'Distribute data from root GPU to all other GPUs.',
+      math: {
+        nvls: {
+          phases: [
+            { name: 'Root to Switch', operation: 'Root writes to multicast address' },
+            { name: 'Physical Multicast', operation: 'Switch copies 1 input to N ports electrically' }
+          ],
+          complexity: 'L × 1 (Switch Latency) - instant replication'
+        },
+        ring: {
+          phases: [
+            { name: 'Pipelined Chain', steps: '2(P-1)', operation: 'Root splits the buffer into P chunks and forwards them hop by hop; each GPU relays chunk k while receiving chunk k+1', pattern: 'Root → G1 → G2 → … → G(P-1)' }
+          ],
+          formula: 'T = (2P-2)·(α + (N/P)·β)',
+          complexity: 'O(P) latency, ~N·β for large N'
+        }
+      }
+    },
+    [Operation.AllGather]: {
+      objective: 'Gather N data from all GPUs onto every GPU (Output size: P × N).',
+      math: {
+        nvls: {
+          phases: [
+            { name: 'Send to Switch', operation: 'Each GPU writes chunk to multicast address' },
+            { name: 'Multicast Amplify', operation: 'NVSwitch replicates all chunks to all GPUs' }
+          ],
+          note: 'NVLS wins on latency vs ring algorithms.'
+        },
+        ring: {
+          phases: [
+            { name: 'Ring Pass', steps: 'P-1', operation: 'Each step, GPU i forwards the chunk it received last step to GPU i+1', result: 'Every GPU holds all P chunks' }
+          ],
+          formula: 'T = (P-1)·(α + N·β)',
+          totalData: '(P-1) × N received per GPU',
+          complexity: 'O(P) latency, saturates TX and RX of every link'
+        }
+      }
+    },
+    [Operation.ReduceScatter]: {
+      objective: 'Reduce data and scatter results so each GPU owns a unique reduced portion.',
+      math: {
+        nvls: {
+          phases: [
+            { name: 'Send to Switch', operation: 'GPUs issue multimem.ld_reduce' },
+            { name: 'Per-Chunk Reduce', operation: 'SHARP ALUs perform reduction per chunk' },
+            { name: 'Scatter Addressing', operation: 'Switch routes reduced chunk i to GPU i' }
+          ],
+          note: 'Critical for Tensor Parallelism workloads.'
+        },
+        ring: {
+          phases: [
+            { name: 'Reduce-Scatter', steps: 'P-1', operation: 'Each GPU sends a partial chunk to its right neighbour, which adds its own contribution', result: 'GPU i owns fully reduced chunk i' }
+          ],
+          formula: 'T = (P-1)·(α + (N/P)·β + (N/P)·γ)',
+          totalData: '(P-1)/P × N sent per GPU',
+          complexity: 'O(P) latency, GPU SMs do every addition'
+        }
+      }
+    },
+    [Operation.AllToAll]: {
+      objective: 'Every GPU sends a distinct block to every other GPU: GPU j receives block j from each peer (a distributed transpose).',
+      math: {
+        logic: 'out_j[i] = in_i[j] for all i, j - P×P personalised blocks, nothing is summed or replicated.',
+        dataMovement: 'Each GPU sends (P-1)/P of its buffer and receives (P-1)/P from peers, scheduled here as P-1 shift rounds (GPU i → GPU i+r).',
+        complexity: 'O(P) rounds, T ≈ (P-1)·(α + (N/P)·β); across nodes the network links set the pace.',
+        note: 'NVLS does not apply: SHARP ALUs only reduce identical addresses and multicast replicates one buffer to all GPUs. AllToAll has no common data to combine or copy, so NCCL runs it as grouped ncclSend/ncclRecv over the NVSwitch mesh and the NICs.',
+        phases: [
+          { name: 'Local Copy', operation: 'Block i→i never leaves GPU i' },
+          { name: 'Shift Rounds', steps: 'P-1', operation: 'Round r: GPU i sends block i→(i+r), receives block (i-r)→i', pattern: 'out_j[i] ← in_i[j]' }
+        ],
+        formula: 'busBW = algBW × (P-1)/P',
+        totalData: '(P-1)/P × N sent and received per GPU'
+      }
+    },
+    [Operation.SendRecv]: {
+      objective: 'Move a buffer from one GPU to another: ncclSend on the sender matched by ncclRecv on the receiver. Shown as pipeline-parallel stage handoffs (GPU i → GPU i+1).',
+      math: {
+        p2p: {
+          phases: [
+            { name: 'Stage Compute', operation: 'Stage s runs its layers on microbatch m (SM work)' },
+            { name: 'Handoff', operation: 'ncclSend(act, s+1) on stage s paired with ncclRecv(act, s) on stage s+1', pattern: 'G0 → G1 → … → G(P-1)' }
+          ],
+          formula: 'T ≈ (P + M - 1)·(t_compute + α + (N/M)·β)',
+          complexity: 'P + M - 1 pipeline waves for M microbatches',
+          note: 'A handoff between nodes goes over the NIC and sets the pace of every wave.'
+        }
+      }
+    },
+    [Operation.Gather]: {
+      objective: 'Collect one block from every GPU onto the root (root output: P × N).',
+      math: {
+        p2p: {
+          phases: [
+            { name: 'Grouped Send/Recv', operation: 'Every non-root GPU posts ncclSend(root); the root posts P-1 ncclRecv inside one ncclGroupStart/End', result: 'Root holds all P blocks' }
+          ],
+          formula: 'T ≈ α + (P-1)·N·β_root',
+          totalData: '(P-1) × N into the root',
+          complexity: 'Bounded by the root\'s ingress port (incast)'
+        }
+      }
+    },
+    [Operation.Scatter]: {
+      objective: 'Distribute block j of the root\'s buffer to GPU j.',
+      math: {
+        p2p: {
+          phases: [
+            { name: 'Grouped Send/Recv', operation: 'Root posts P-1 ncclSend inside one group; GPU j posts ncclRecv(root)', result: 'GPU j holds block j' }
+          ],
+          formula: 'T ≈ α + (P-1)·N·β_root',
+          totalData: '(P-1) × N out of the root',
+          complexity: 'Bounded by the root\'s egress port'
+        }
+      }
+    }
+  },
+  algorithms: {
+    [Algorithm.NVLS]: {
+      name: 'NVLink SHARP',
+      description: 'In-network computing via NVSwitch v3 hardware.',
+      hardware: 'SHARP ALUs: 400 GFlops FP32 compute inside switch, also packed fp16/bf16 and integers',
+      advantage: 'Offloads reduction to switch. GPUs do zero math.',
+      bandwidth: '~480 GB/s AllReduce',
+      complexity: 'O(1) latency - constant regardless of GPU count'
+    },
+    [Algorithm.MultiShot]: {
+      name: '2-Shot Algorithm',
+      description: 'Decomposes operation: ReduceScatter (Shot 1) + AllGather (Shot 2)',
+      advantage: 'Both phases leverage NVLS primitives.',
+      applicability: 'Only for symmetric operations (AllReduce, AllGather, ReduceScatter)',
+      complexity: 'O(2) latency'
+    },
+    [Algorithm.Ring]: {
+      name: 'Ring',
+      description: 'GPUs form a logical ring; every GPU only ever talks to its right neighbour.',
+      pattern: 'G0 → G1 → … → G(P-1) → G0',
+      advantage: 'Bandwidth-optimal and works on any topology, including across nodes.',
+      weakness: 'Latency grows linearly with P; GPU SMs spend cycles on every reduction.',
+      steps: '2(P-1) for AllReduce',
+      bandwidth: '~370 GB/s AllReduce',
+      complexity: 'O(P) latency'
+    },
+    [Algorithm.NVLSTree]: {
+      name: 'NVLS-Tree',
+      description: 'Hierarchical AllReduce: NVLS (in-switch reduce + multicast) inside each node, a tree between node leaders across the network.',
+      hardware: 'One NVSwitch SHARP domain per node + InfiniBand between nodes',
+      advantage: 'Intra-node traffic stays on the switch; only one partial per node crosses the network.',
+      weakness: 'Inter-node hops run at network speed and dominate the timeline.',
+      applicability: 'Multi-node AllReduce only.',
+      complexity: 'O(log nodes) latency'
+    },
+    [Algorithm.P2P]: {
+      name: 'Point-to-Point',
+      description: 'Grouped ncclSend/ncclRecv pairs - every transfer has exactly one sender and one receiver, routed over NVLink inside a node and over the NIC between nodes.',
+      advantage: 'Moves personalised data that no collective primitive can express (MoE expert parallelism, pipeline stages).',
+      weakness: 'No in-network help: bandwidth is bounded by each GPU\'s own ports, and cross-node blocks run at network speed.',
+      applicability: 'AllToAll, SendRecv, Gather and Scatter.',
+      complexity: 'O(P) rounds for AllToAll'
+    },
+    [Algorithm.Tree]: {
+      name: 'Double Binary Tree',
+      description: 'Two complementary binary trees each reduce half of the buffer up to a root and broadcast it back down, pipelined chunk by chunk.',
+      pattern: 'leaves → parents → root → parents → leaves',
+      advantage: 'Logarithmic depth: only O(log P) hops between any GPU and the root, so inter-node latency is paid log(nodes) times instead of P times.',
+      weakness: 'Each GPU sends up to twice per chunk; lower peak bandwidth than Ring inside a node.',
+      steps: '~2·log₂(P) + chunks',
+      applicability: 'AllReduce only. Across nodes NCCL builds the tree over nodes and chains the GPUs inside each node.',
+      complexity: 'O(log P) latency'
+    }
+  },
+  protocols: {
+    tradeoff: 'Every hop pays a fixed synchronisation latency plus size ÷ effective bandwidth. Small messages are latency bound, so LL wins; as the message grows the payload term dominates and LL128, then Simple, take over.',
+    types: {
+      [Protocol.Simple]: {
+        name: 'Simple',
+        mechanism: 'Large chunks written to the peer buffer, then a memory fence and a flag store tell the receiver the whole chunk has landed.',
+        efficiency: '~100% of link bandwidth',
+        latency: 'Highest: one fence + flag round-trip per step',
+        bestFor: 'Large messages (MBs and up); the only protocol NVLS uses'
+      },
+      [Protocol.LL]: {
+        name: 'Low Latency (LL)',
+        mechanism: '8-byte stores carrying 4 bytes of data and a 4-byte flag; the receiver polls each flag, so no fence is needed.',
+        efficiency: '50% - half of every line is flag',
+        latency: 'Lowest: data is usable the moment its flag arrives',
+        bestFor: 'Small messages (up to tens of KB)'
+      },
+      [Protocol.LL128]: {
+        name: 'LL128',
+        mechanism: '128-byte lines with 120 bytes of data and an 8-byte flag; relies on NVLink delivering each line atomically.',
+        efficiency: '~94% (120 / 128)',
+        latency: 'Between LL and Simple',
+        bestFor: 'Medium messages on NVLink; Ring and Tree only'
+      }
+    }
+  },
+  hardware: {
+    h100: {
+      topology: {
+        nodes: `8× ${HARDWARE_PROFILES.h100.gpu.model} GPUs per node`,
+        interconnect: `${HARDWARE_PROFILES.h100.nvswitch.chips}× NVSwitch v${HARDWARE_PROFILES.h100.nvswitch.version} chips`,
+        bandwidth: `${(2 * HARDWARE_PROFILES.h100.nvlink.bandwidth) / GB_PER_S} GB/s bidirectional per GPU (${HARDWARE_PROFILES.h100.nvlink.links} NVLinks)`,
+        connectivity: 'Fully Connected (Any-to-Any) - non-blocking fabric'
+      },
+      nvswitch: {
+        feature: 'In-Network Computing',
+        technology: 'SHARP (Scalable Hierarchical Aggregation and Reduction Protocol)',
+        capability: 'ALUs sum fp16/bf16/fp32/fp64 and 32/64-bit integers (min/max: all but fp32/fp64) mid-flight; Prod, Avg, PreMulSum and 8-bit types fall back to Ring',
+        benefit: 'Eliminates O(P) dependency → O(1) for GPUs'
+      }
+    },
+    comparison: {
+      headers: ['Feature', 'Legacy Ring', 'Hopper NVLS'],
+      rows: [
+        ['Steps', '2(P-1)', '2'],
+        ['Latency', 'O(P) - Linear', 'O(1) - Constant'],
+        ['Compute', 'GPU Cores', 'Switch ALUs (SHARP)'],
+        ['Memory', 'Intermediate buffers', 'One-Shot (Direct Switch R/W)']
+      ]
+    }
+  }
+};
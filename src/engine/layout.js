@@ -0,0 +1,190 @@
+import { isDocExample } from './constants.js';
+import { SwitchType, getCluster } from './cluster.js';
+
+// === NODE LAYOUT ===
+export const VIEW_WIDTH = 800;
+export const VIEW_HEIGHT = 550;
+
+// Glyphs for imported devices: box size and colours per kind
+export const DEVICE_STYLES = {
+  cpu: { width: 56, height: 22, box: 'fill-sky-950 stroke-sky-500', text: 'fill-sky-300' },
+  pcie: { width: 54, height: 16, box: 'fill-slate-900 stroke-slate-500', text: 'fill-slate-400' },
+  nic: { width: 44, height: 16, box: 'fill-emerald-950 stroke-emerald-500', text: 'fill-emerald-300' },
+  network: { width: 54, height: 18, box: 'fill-amber-950 stroke-amber-500', text: 'fill-amber-300' },
+  nvswitch: { width: 64, height: 20, box: 'fill-violet-950 stroke-violet-500', text: 'fill-violet-300' }
+};
+
+export const WIRE_STYLES = {
+  nvlink: 'stroke-violet-500/50',
+  pcie: 'stroke-slate-600/70',
+  smp: 'stroke-sky-600/60',
+  network: 'stroke-amber-600/50'
+};
+
+// GPUs of one node sit on a circle around their NVSwitch: the ring between neighbours,
+// mesh lines for every other NVLink path (through the switch or a direct link)
+const addNodeCircle = (nodes, links, { cluster, nodeId, cx, cy, radius }) => {
+  const members = cluster.nodes[nodeId].gpus;
+  const count = members.length;
+  members.forEach((gpu, i) => {
+    const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+    nodes.push({
+      id: gpu,
+      label: cluster.gpus[gpu].label,
+      x: cx + Math.cos(angle) * radius,
+      y: cy + Math.sin(angle) * radius,
+      nodeId
+    });
+
+    // Two GPUs share a single ring link
+    const next = members[(i + 1) % count];
+    if ((count > 2 || i === 0) && cluster.peers[gpu].has(next)) {
+      links.push({ from: gpu, to: next, type: 'ring' });
+    }
+    for (let j = i + 2; j < count; j++) {
+      if (j !== (i + count - 1) % count && cluster.peers[gpu].has(members[j])) {
+        links.push({ from: gpu, to: members[j], type: 'mesh' });
+      }
+    }
+  });
+};
+
+// Inter-node links to the next node: the ring crosses from the last GPU to the first,
+// and the GPUs in between face their rail peers (with two nodes, one side suffices)
+const addInterNodeLinks = (links, cluster) => {
+  const N = cluster.nodes.length;
+  for (let n = 0; N > 1 && n < N; n++) {
+    const members = cluster.nodes[n].gpus;
+    const nextMembers = cluster.nodes[(n + 1) % N].gpus;
+    links.push({ from: members[members.length - 1], to: nextMembers[0], type: 'inter' });
+    if (N > 2 || n === 0) {
+      for (let i = 1; i < Math.min(members.length, nextMembers.length) - 1; i++) {
+        links.push({ from: members[i], to: nextMembers[i], type: 'inter-mesh' });
+      }
+    }
+  }
+};
+
+// Imported files may place every GPU themselves (view coordinates); node frames wrap
+// their GPUs and each NVSwitch sits at the centre of its node unless placed too. Other
+// placed elements (CPUs, PCIe switches, NICs) are drawn as devices, wired by their links.
+const getPositionedNodes = (cluster) => {
+  const desc = cluster.description;
+  const nodes = cluster.gpus.map((gpu, i) => ({ id: i, label: gpu.label, x: gpu.x, y: gpu.y, nodeId: gpu.node }));
+  const links = [];
+  cluster.peers.forEach((peers, i) => peers.forEach(j => {
+    if (i < j) links.push({ from: i, to: j, type: 'mesh' });
+  }));
+  addInterNodeLinks(links, cluster);
+
+  const devices = ['cpus', 'switches', 'nics'].flatMap(section => (desc[section] || [])
+    .filter(item => Number.isFinite(item.x) && Number.isFinite(item.y))
+    .map(item => ({
+      id: String(item.id),
+      kind: { cpus: 'cpu', nics: 'nic' }[section] || item.type || SwitchType.NVSwitch,
+      label: item.label || String(item.id),
+      x: item.x,
+      y: item.y
+    })));
+  const positions = Object.fromEntries([
+    ...cluster.gpus.map((gpu, i) => [gpu.id, nodes[i]]),
+    ...devices.map(device => [device.id, device])
+  ]);
+  // GPU pairs already have their line, so only their label is added
+  const wires = desc.links
+    .filter(link => positions[link.from] && positions[link.to])
+    .map(link => ({
+      x1: positions[link.from].x,
+      y1: positions[link.from].y,
+      x2: positions[link.to].x,
+      y2: positions[link.to].y,
+      type: link.type,
+      label: link.label,
+      labelOnly: cluster.gpuIndex[link.from] !== undefined && cluster.gpuIndex[link.to] !== undefined
+    }));
+
+  const switches = [];
+  const groups = [];
+  cluster.nodes.forEach((node, n) => {
+    const members = node.gpus.map(i => nodes[i]);
+    const xs = members.map(gpu => gpu.x);
+    const ys = members.map(gpu => gpu.y);
+    if (cluster.nodes.length > 1) {
+      groups.push({
+        id: n,
+        label: node.title,
+        x: Math.min(...xs) - 30,
+        y: Math.min(...ys) - 40,
+        width: Math.max(...xs) - Math.min(...xs) + 60,
+        height: Math.max(...ys) - Math.min(...ys) + 70
+      });
+    }
+    if (node.switchId !== null) {
+      const placed = positions[node.switchId];
+      switches.push({
+        id: n,
+        nodeId: n,
+        label: `NVSwitch ${node.label}`,
+        x: placed ? placed.x : (Math.min(...xs) + Math.max(...xs)) / 2,
+        y: placed ? placed.y : (Math.min(...ys) + Math.max(...ys)) / 2,
+        scale: 0.6
+      });
+    }
+  });
+  return { nodes, links, switches, groups, devices, wires, gpuSize: 28 };
+};
+
+export const getNodes = (topo) => {
+  const cluster = getCluster(topo);
+  if (cluster.gpus.every(gpu => Number.isFinite(gpu.x) && Number.isFinite(gpu.y))) {
+    return getPositionedNodes(cluster);
+  }
+
+  const nodes = [];
+  const links = [];
+  const switches = [];
+  const groups = [];
+  const N = cluster.nodes.length;
+
+  if (N === 1) {
+    const radius = cluster.gpus.length <= 4 ? 160 : 180;
+    addNodeCircle(nodes, links, { cluster, nodeId: 0, cx: VIEW_WIDTH / 2, cy: 300, radius });
+    if (isDocExample(topo)) {
+      nodes.forEach(node => { node.dataLabel = `D${node.id}`; });  // Documentation-style data label
+    }
+    if (cluster.nodes[0].switchId !== null) {
+      switches.push({ id: 0, nodeId: 0, label: 'NVSwitch', x: VIEW_WIDTH / 2, y: 300, scale: 1 });
+    }
+    return { nodes, links, switches, groups, devices: [], wires: [], gpuSize: 36 };
+  }
+
+  // Nodes fill a grid, wider than tall to match the canvas; two nodes sit side by side
+  const cols = N <= 2 ? N : Math.ceil(Math.sqrt(N * 1.5));
+  const rows = Math.ceil(N / cols);
+  const cellWidth = VIEW_WIDTH / cols;
+  const cellHeight = 440 / rows;
+  const radius = Math.min(cellWidth, cellHeight) * 0.275;
+  const scale = Math.min(1, radius / 110);
+
+  cluster.nodes.forEach((node, n) => {
+    const cx = cellWidth * (n % cols + 0.5);
+    const cy = 80 + cellHeight * (Math.floor(n / cols) + 0.5);
+    addNodeCircle(nodes, links, { cluster, nodeId: n, cx, cy, radius });
+    const hasSwitch = node.switchId !== null;
+    groups.push({
+      id: n,
+      label: scale > 0.5 ? `${node.title}${hasSwitch ? ' (NVSwitch)' : ''}` : node.label,
+      x: cx - radius * 1.36,
+      y: cy - radius * 1.55,
+      width: radius * 2.73,
+      height: radius * 3.1
+    });
+    // Every HGX node has its own NVSwitch fabric; NVLS never spans nodes
+    if (hasSwitch) {
+      switches.push({ id: n, nodeId: n, label: scale > 0.5 ? `NVSwitch ${node.label}` : node.label, x: cx, y: cy, scale });
+    }
+  });
+  addInterNodeLinks(links, cluster);
+
+  return { nodes, links, switches, groups, devices: [], wires: [], gpuSize: Math.max(6, Math.min(28, radius * 0.26)) };
+};
@@ -0,0 +1,137 @@
+import { Operation, getGpuCount } from './constants.js';
+import { GB_PER_S } from './hardware.js';
+
+// === TIMELINE METRICS ===
+// What a finished timeline says about the collective: its latency, algbw and busbw as
+// nccl-tests would print them, how long each phase of the schedule ran, and how busy
+// every directed link was. Port names follow the chart: GPU ids, or 'switch' for NVSwitch.
+
+// busbw = algbw × factor, with nccl-tests' factors (doc/PERFORMANCE.md)
+export const getBusBandwidthFactor = (op, ranks) => {
+  switch (op) {
+    case Operation.AllReduce:
+      return (2 * (ranks - 1)) / ranks;
+    case Operation.AllGather:
+    case Operation.ReduceScatter:
+    case Operation.AllToAll:
+    case Operation.Gather:
+    case Operation.Scatter:
+      return (ranks - 1) / ranks;
+    default:
+      return 1;
+  }
+};
+
+// NVLS/MultiShot switch traffic doesn't populate bandwidthSamples; derive from events.
+export const getLinkSamples = (timeline) => {
+  const samples = [...(timeline.bandwidthSamples || [])];
+  (timeline.events || []).forEach((evt) => {
+    const endTime = evt.startTime + evt.duration;
+    if (evt.type === 'to-switch') {
+      samples.push({
+        time: evt.startTime,
+        endTime,
+        linkId: `sw-in-${evt.from}`,
+        from: evt.from,
+        to: 'switch',
+        direction: 'in',
+        utilization: 1.0
+      });
+    } else if (evt.type === 'from-switch' && Array.isArray(evt.destinations)) {
+      evt.destinations.forEach((dest) => {
+        samples.push({
+          time: evt.startTime,
+          endTime,
+          linkId: `sw-out-${dest}`,
+          from: 'switch',
+          to: dest,
+          direction: 'out',
+          utilization: 1.0
+        });
+      });
+    } else if (evt.type === 'from-switch-single' && evt.destination !== undefined) {
+      samples.push({
+        time: evt.startTime,
+        endTime,
+        linkId: `sw-out-${evt.destination}`,
+        from: 'switch',
+        to: evt.destination,
+        direction: 'out',
+        utilization: 1.0
+      });
+    } else if (evt.type === 'switch-broadcast' && Array.isArray(evt.destinations)) {
+      evt.destinations.forEach((dest) => {
+        samples.push({
+          time: evt.startTime,
+          endTime,
+          linkId: `sw-bc-${dest}`,
+          from: 'switch',
+          to: dest,
+          direction: 'out',
+          utilization: 1.0
+        });
+      });
+    }
+  });
+  return samples;
+};
+
+// The collective ends with its last event or caption; saved timelines may also pad
+// `duration` for playback, so it is not read as the latency. Reduced rather than spread
+// into Math.max: large timelines hold more events than the call stack takes arguments.
+export const getCollectiveLatency = (timeline) => Math.max(
+  timeline.events.reduce((end, evt) => Math.max(end, evt.startTime + evt.duration), 0),
+  timeline.steps.reduce((end, step) => Math.max(end, step.time), 0));
+
+// Every step lasts until the next one (the last until the collective ends) and counts
+// towards its phase; pipelined loops interleave their phases, so rows sum across loops.
+// The closing caption starts as the collective ends and gets no row.
+const getPhaseBreakdown = (timeline, latency) => {
+  const phases = new Map();
+  timeline.steps.forEach((step, i) => {
+    const endTime = i + 1 < timeline.steps.length ? Math.min(timeline.steps[i + 1].time, latency) : latency;
+    if (endTime <= step.time && i + 1 === timeline.steps.length) return;
+    if (!phases.has(step.phase)) phases.set(step.phase, { phase: step.phase, startTime: step.time, steps: 0, duration: 0 });
+    const phase = phases.get(step.phase);
+    phase.steps++;
+    phase.duration += Math.max(0, endTime - step.time);
+  });
+  return [...phases.values()];
+};
+
+// Sweeps each directed link's samples: busy while anything flows, utilization as the share
+// of the link's bandwidth in use over the whole collective (overlapping flows cap at 1)
+const getLinkUtilization = (timeline, latency) => {
+  const links = new Map();
+  getLinkSamples(timeline).forEach((sample) => {
+    const key = `${sample.from}→${sample.to}`;
+    if (!links.has(key)) links.set(key, { from: sample.from, to: sample.to, edges: [] });
+    const share = sample.utilization ?? 1;
+    links.get(key).edges.push({ time: sample.time, delta: share }, { time: sample.endTime, delta: -share });
+  });
+  return [...links.values()].map(({ from, to, edges }) => {
+    edges.sort((a, b) => a.time - b.time || a.delta - b.delta);
+    let load = 0;
+    let busyTime = 0;
+    let usedTime = 0;
+    edges.forEach((edge, i) => {
+      load += edge.delta;
+      const span = i + 1 < edges.length ? edges[i + 1].time - edge.time : 0;
+      if (load > 1e-9) busyTime += span;
+      usedTime += span * Math.min(1, Math.max(0, load));
+    });
+    return { from, to, busyTime, utilization: latency > 0 ? usedTime / latency : 0 };
+  }).sort((a, b) => b.utilization - a.utilization);
+};
+
+export const getTimelineMetrics = (timeline, op, topo, messageSize) => {
+  const latency = getCollectiveLatency(timeline);
+  const algbw = latency > 0 ? messageSize / latency / GB_PER_S : 0;
+  return {
+    latency,
+    algbw,
+    busbw: algbw * getBusBandwidthFactor(op, getGpuCount(topo)),
+    phases: getPhaseBreakdown(timeline, latency),
+    links: getLinkUtilization(timeline, latency)
+  };
+};
@@ -0,0 +1,27 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Operation, Algorithm, makeTopology } from './constants.js';
+import { getCollectiveLatency } from './metrics.js';
+import { simulate } from './index.js';
+
+describe('getCollectiveLatency', () => {
+  test('ends with the last event or step, not the padded duration', () => {
+    const timeline = {
+      duration: 50,
+      events: [{ startTime: 0, duration: 10 }, { startTime: 5, duration: 20 }],
+      steps: [{ time: 0 }, { time: 30 }]
+    };
+    assert.equal(getCollectiveLatency(timeline), 30);
+  });
+
+  test('handles more events than the call stack takes arguments', () => {
+    const events = Array.from({ length: 500000 }, (_, i) => ({ startTime: i, duration: 2 }));
+    assert.equal(getCollectiveLatency({ events, steps: [{ time: 0 }] }), 500001);
+  });
+
+  test('times a 16 GB Ring AllReduce on 4×8', () => {
+    const { timeline, metrics } = simulate({ operation: Operation.AllReduce, algorithm: Algorithm.Ring, messageSize: 16 * 1024 ** 3 }, makeTopology(8, 4));
+    assert.ok(timeline.events.length > 100000);
+    assert.ok(metrics.latency > 0 && metrics.busbw > 0);
+  });
+});
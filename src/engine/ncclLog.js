@@ -0,0 +1,227 @@
+import { Operation, Algorithm, ReduceOp, DataType, DATATYPE_BYTES, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE, MIN_NODE_COUNT, MAX_NODE_COUNT, makeTopology, Protocol, getCompatibleAlgorithms } from './constants.js';
+import { getSecondTree } from './treeShapes.js';
+
+// === NCCL LOG REPLAY ===
+// NCCL_DEBUG=INFO output records what a real job did: the communicator shape, every
+// channel's ring order (printed once, by rank 0), each rank's view of the trees and, per
+// collective, its size and the algorithm and protocol the tuner picked. Replaying feeds
+// those choices back into generateTimeline instead of the idealized defaults.
+
+// "host:pid:tid [cudaDev] NCCL INFO message"; lines without the prefix still count
+const NCCL_LOG_LINE = /^(?:(\S+?):(\d+):\d+ \[(\d+)\] )?NCCL INFO (.*)$/;
+
+// NCCL's enum orders (ncclDataType_t, ncclRedOp_t, NCCL_ALGO_*, NCCL_PROTO_*); operators
+// from 5 up are PreMulSum ops created at runtime
+const NCCL_DATATYPES = [DataType.Int8, DataType.Uint8, DataType.Int32, DataType.Uint32, DataType.Int64, DataType.Uint64,
+  DataType.Float16, DataType.Float32, DataType.Float64, DataType.Bfloat16, DataType.Float8e4m3, DataType.Float8e5m2];
+const NCCL_REDUCE_OPS = [ReduceOp.Sum, ReduceOp.Prod, ReduceOp.Max, ReduceOp.Min, ReduceOp.Avg];
+const NCCL_ALGORITHMS = ['Tree', 'Ring', 'CollNetDirect', 'CollNetChain', 'NVLS', 'NVLSTree', 'PAT'];
+const NCCL_PROTOCOLS = [Protocol.LL, Protocol.LL128, Protocol.Simple];
+
+// NCCL algorithm names this app can replay; CollNet and PAT have no model here
+export const NCCL_ALGORITHM_MAP = {
+  tree: Algorithm.Tree,
+  ring: Algorithm.Ring,
+  nvls: Algorithm.NVLS,
+  nvlstree: Algorithm.NVLSTree
+};
+
+export const NCCL_COLLECTIVES = {
+  AllReduce: Operation.AllReduce,
+  Reduce: Operation.Reduce,
+  Broadcast: Operation.Broadcast,
+  AllGather: Operation.AllGather,
+  ReduceScatter: Operation.ReduceScatter,
+  Send: Operation.SendRecv,
+  Recv: Operation.SendRecv
+};
+
+// Log values are enum indices in older releases and names in newer ones
+const getNcclAlgorithmName = (value) => (/^\d+$/.test(value) ? NCCL_ALGORITHMS[value] : value) || value;
+export const getNcclProtocol = (value) => {
+  if (/^\d+$/.test(value)) return NCCL_PROTOCOLS[value] || null;
+  return Object.values(Protocol).find(p => p.toLowerCase() === value.toLowerCase()) || null;
+};
+
+export const isPermutation = (order, count) => order.length === count
+  && new Set(order).size === count && order.every(rank => rank >= 0 && rank < count);
+
+// Parent and children lists agree and every rank hangs below the root
+const isSpanningTree = (tree, count) => {
+  const reached = new Set([tree.root]);
+  const queue = [tree.root];
+  while (queue.length) {
+    const rank = queue.shift();
+    for (const child of tree.children[rank]) {
+      if (child < 0 || child >= count || tree.parent[child] !== rank || reached.has(child)) return false;
+      reached.add(child);
+      queue.push(child);
+    }
+  }
+  return reached.size === count;
+};
+
+// Returns { replay, errors, warnings }. Only the largest communicator is replayed.
+export const parseNcclLog = (text) => {
+  const comms = {};
+  const rings = {};
+  const treeLines = [];
+  const collectives = [];
+  const lastCollective = {};
+  const warnings = [];
+  let nvls = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(NCCL_LOG_LINE);
+    if (!match) return;
+    const [, host, pid, dev, message] = match;
+    const source = host ? `${host}:${pid}:${dev}` : '';
+
+    // The comm pointer differs per process; the commId hash (when logged) names the
+    // communicator, otherwise communicators are told apart by size
+    const comm = message.match(/comm (0x[0-9a-f]+) rank (\d+) n[Rr]anks (\d+)/);
+    if (comm) {
+      const [, pointer, rank, nRanks] = comm;
+      const id = message.match(/commId (0x[0-9a-f]+)/)?.[1];
+      const info = comms[id || `${nRanks} ranks`] ||= { id: id || pointer, nRanks: Number(nRanks), nNodes: null, localRanks: null, ranks: {} };
+      info.nNodes ??= Number(message.match(/nNodes (\d+)/)?.[1]) || null;
+      info.localRanks ??= Number(message.match(/localRanks (\d+)/)?.[1]) || null;
+      info.ranks[source] = Number(rank);
+      return;
+    }
+
+    // "Channel 00/32 :    0   1   2   3" - P2P connection lines carry "->" and are skipped
+    const channel = message.match(/^Channel (\d+)\/(\d+) :((?:\s+\d+)+)\s*$/);
+    if (channel) {
+      (rings[Number(channel[1])] ||= []).push(channel[3].trim().split(/\s+/).map(Number));
+      return;
+    }
+
+    // "Trees [0] 1/8/-1->0->-1 [1] ..." - children/parent of the printing rank per channel
+    if (message.startsWith('Trees')) {
+      treeLines.push({ source, entries: [...message.matchAll(/\[(\d+)\] ([-\d/]+)->(\d+)->(-?\d+)/g)] });
+      return;
+    }
+
+    if (message.startsWith('NVLS multicast support')) {
+      nvls = !message.includes('not');
+      return;
+    }
+
+    const collective = message.match(/^(\w+): opCount ([0-9a-fx]+)/);
+    if (collective && NCCL_COLLECTIVES[collective[1]]) {
+      const count = Number(message.match(/ count (\d+)/)?.[1] ?? 0);
+      const dataType = NCCL_DATATYPES[Number(message.match(/ datatype (\d+)/)?.[1] ?? 7)] ?? DataType.Float32;
+      const redop = Number(message.match(/ op (\d+)/)?.[1] ?? 0);
+      const entry = {
+        opCount: collective[2],
+        name: collective[1],
+        operation: NCCL_COLLECTIVES[collective[1]],
+        bytes: count * DATATYPE_BYTES[dataType],
+        dataType,
+        redop: NCCL_REDUCE_OPS[redop] ?? ReduceOp.PreMulSum,
+        nranks: Number(message.match(/\[nranks=(\d+)\]/)?.[1]) || null,
+        root: Number(message.match(/ root (\d+)/)?.[1] ?? 0),
+        algorithm: message.match(/\balgo(?:rithm)?[ =](\w+)/i)?.[1] ?? null,
+        protocol: message.match(/\bproto(?:col)?[ =](\w+)/i)?.[1] ?? null
+      };
+      collectives.push(entry);
+      lastCollective[source] = entry;
+      return;
+    }
+
+    // TUNING subsystem: "1048576 Bytes -> Algo 1 proto 2 time 40.2" follows its collective
+    const tuning = message.match(/(\d+) Bytes -> Algo (\w+) proto (\w+)/);
+    if (tuning && lastCollective[source]) {
+      lastCollective[source].algorithm ??= tuning[2];
+      lastCollective[source].protocol ??= tuning[3];
+    }
+  });
+
+  const comm = Object.values(comms).reduce((largest, info) => (!largest || info.nRanks > largest.nRanks ? info : largest), null);
+  if (!comm) return { errors: ['No "comm 0x... rank R nRanks N" line: run the job with NCCL_DEBUG=INFO'], warnings };
+
+  const P = comm.nRanks;
+  const nNodes = comm.nNodes || (comm.localRanks ? P / comm.localRanks : 1);
+  const gpusPerNode = P / nNodes;
+  if (!Number.isInteger(gpusPerNode) || gpusPerNode < MIN_GPUS_PER_NODE || gpusPerNode > MAX_GPUS_PER_NODE
+    || nNodes < MIN_NODE_COUNT || nNodes > MAX_NODE_COUNT) {
+    return {
+      errors: [`Communicator ${comm.id} has ${P} ranks on ${nNodes} node(s); only ${MIN_GPUS_PER_NODE}-${MAX_GPUS_PER_NODE} GPUs per node on up to ${MAX_NODE_COUNT} nodes can be replayed`],
+      warnings
+    };
+  }
+
+  // Other communicators print their own "Channel 00" lines; keep this one's ring per channel
+  const validRings = Object.keys(rings).sort((a, b) => a - b)
+    .map(c => rings[c].find(order => isPermutation(order, P)))
+    .filter(Boolean);
+  if (!validRings.length) warnings.push('No ring order for this communicator: Ring uses ranks in order');
+
+  // Every rank prints its own tree links; channel c and c + n/2 hold the two trees of the
+  // double binary tree, as NCCL duplicates channels
+  const channelTrees = {};
+  treeLines.forEach(({ source, entries }) => {
+    const rank = comm.ranks[source];
+    entries.forEach(([, c, down, self, up]) => {
+      if (Number(self) !== rank && source) return;
+      const tree = channelTrees[c] ||= { parent: Array(P).fill(undefined), children: Array(P).fill(undefined) };
+      tree.parent[Number(self)] = Number(up);
+      tree.children[Number(self)] = down.split('/').map(Number).filter(child => child !== -1);
+    });
+  });
+  const completeTrees = Object.keys(channelTrees).sort((a, b) => a - b).map(c => channelTrees[c])
+    .filter(tree => tree.parent.length === P && tree.parent.every(parent => parent !== undefined))
+    .map(tree => ({ ...tree, root: tree.parent.indexOf(-1) }))
+    .filter(tree => tree.root !== -1 && isSpanningTree(tree, P));
+  let trees = null;
+  if (completeTrees.length > 1) {
+    trees = [completeTrees[0], completeTrees[Math.floor(completeTrees.length / 2)]];
+  } else if (completeTrees.length === 1) {
+    trees = [completeTrees[0], getSecondTree(completeTrees[0])];
+    warnings.push('Only one complete tree was logged: tree 1 is built from it as NCCL would (mirrored, or shifted by one rank)');
+  }
+  if (treeLines.length && !trees) {
+    warnings.push('Trees lines do not form complete trees (log from a subset of processes?): Tree uses its built-in shapes');
+  }
+
+  // Every rank logs each collective; keep one entry per opCount of this communicator
+  const topology = makeTopology(gpusPerNode, nNodes);
+  const seen = new Set();
+  const replayed = collectives
+    .filter(entry => entry.nranks === null || entry.nranks === P)
+    .filter(entry => {
+      const key = `${entry.name}:${entry.opCount}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(entry => {
+      const ncclAlgorithm = entry.algorithm && getNcclAlgorithmName(entry.algorithm);
+      const algorithm = entry.operation === Operation.SendRecv
+        ? Algorithm.P2P
+        : NCCL_ALGORITHM_MAP[ncclAlgorithm?.toLowerCase().replace(/_/g, '')];
+      return {
+        ...entry,
+        ncclAlgorithm,
+        // null when NCCL picked something this app cannot run for the logged shape, or
+        // an NVLS algorithm on a system the log says has no NVLS multicast
+        algorithm: getCompatibleAlgorithms(entry.operation, topology, { ...entry, nvls }).includes(algorithm) ? algorithm : null,
+        protocol: entry.protocol && getNcclProtocol(entry.protocol)
+      };
+    });
+  if (!replayed.length) warnings.push('No collective calls were logged for this communicator');
+
+  return {
+    replay: {
+      comm: comm.id,
+      topology,
+      rings: validRings,
+      trees,
+      nvls,
+      collectives: replayed
+    },
+    errors: [],
+    warnings
+  };
+};
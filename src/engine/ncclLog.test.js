@@ -0,0 +1,64 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Operation, Algorithm, makeTopology, getCompatibleAlgorithms, isNVLSAlgorithm } from './constants.js';
+import { getDoubleBinaryTree } from './treeShapes.js';
+import { parseNcclLog } from './ncclLog.js';
+
+const RANKS = 8;
+const prefix = (rank) => `node0:${1000 + rank}:${2000 + rank} [${rank}] NCCL INFO`;
+
+// An 8-GPU job that logged one ring, one AllReduce tuned to NVLS, and per rank the trees
+// of treeChannels, one per channel
+const makeLog = ({ nvls, treeChannels }) => {
+  const lines = [];
+  for (let rank = 0; rank < RANKS; rank++) {
+    lines.push(`${prefix(rank)} NVLS multicast support is ${nvls ? '' : 'not '}available on dev ${rank}`);
+    lines.push(`${prefix(rank)} comm 0x7f00${rank} rank ${rank} nRanks ${RANKS} nNodes 1 localRanks ${RANKS} localRank ${rank} MNNVL 0`);
+    const trees = treeChannels.map((tree, c) => {
+      const down = [...tree.children[rank], -1, -1, -1].slice(0, 3).join('/');
+      return `[${c}] ${down}->${rank}->${tree.parent[rank]}`;
+    });
+    lines.push(`${prefix(rank)} Trees ${trees.join(' ')}`);
+  }
+  lines.push(`${prefix(0)} Channel 00/01 :${Array.from({ length: RANKS }, (_, rank) => `    ${rank}`).join('')}`);
+  lines.push(`${prefix(0)} AllReduce: opCount 0 sendbuff 0x1 recvbuff 0x2 count 1048576 datatype 7 op 0 root 0 comm 0x7f000 [nranks=${RANKS}] stream 0x3`);
+  lines.push(`${prefix(0)} 4194304 Bytes -> Algo 4 proto 2 time 12.5`);
+  return lines.join('\n');
+};
+
+describe('parseNcclLog', () => {
+  const builtIn = getDoubleBinaryTree(RANKS);
+
+  test('replays NVLS calls where the log reports NVLS multicast support', () => {
+    const { replay, errors } = parseNcclLog(makeLog({ nvls: true, treeChannels: builtIn }));
+    assert.deepEqual(errors, []);
+    assert.equal(replay.nvls, true);
+    assert.equal(replay.collectives[0].ncclAlgorithm, 'NVLS');
+    assert.equal(replay.collectives[0].algorithm, Algorithm.NVLS);
+  });
+
+  test('does not replay NVLS where the log reports no NVLS multicast support', () => {
+    const { replay } = parseNcclLog(makeLog({ nvls: false, treeChannels: builtIn }));
+    assert.equal(replay.nvls, false);
+    assert.equal(replay.collectives[0].ncclAlgorithm, 'NVLS');
+    assert.equal(replay.collectives[0].algorithm, null);
+    const compatible = getCompatibleAlgorithms(Operation.AllReduce, makeTopology(RANKS), { nvls: replay.nvls });
+    assert.ok(compatible.length > 0);
+    assert.ok(!compatible.some(isNVLSAlgorithm));
+  });
+
+  test('keeps both logged trees of a double binary tree', () => {
+    const { replay, warnings } = parseNcclLog(makeLog({ nvls: true, treeChannels: builtIn }));
+    assert.deepEqual(replay.trees.map(({ root, parent }) => ({ root, parent })), builtIn.map(({ root, parent }) => ({ root, parent })));
+    assert.deepEqual(warnings, []);
+  });
+
+  test('builds the second tree from the first when only one complete tree is logged', () => {
+    const { replay, warnings } = parseNcclLog(makeLog({ nvls: true, treeChannels: [builtIn[0]] }));
+    assert.notDeepEqual(replay.trees[1].parent, replay.trees[0].parent);
+    assert.equal(replay.trees[1].root, builtIn[1].root);
+    assert.deepEqual(replay.trees[1].parent, builtIn[1].parent);
+    assert.deepEqual(replay.trees[1].children, builtIn[1].children);
+    assert.match(warnings.join('\n'), /Only one complete tree was logged/);
+  });
+});
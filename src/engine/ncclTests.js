@@ -0,0 +1,122 @@
+import { Operation, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE, MIN_NODE_COUNT, MAX_NODE_COUNT, makeTopology, getGpuCount } from './constants.js';
+import { GB_PER_S } from './hardware.js';
+import { generateTimeline } from './engine.js';
+import { getBusBandwidthFactor, getCollectiveLatency } from './metrics.js';
+
+// === NCCL-TESTS RESULTS ===
+// nccl-tests (all_reduce_perf and friends) print one row per message size with the
+// measured time, algbw and busbw. busbw rescales algbw by how much data each rank must
+// move, so it is comparable across operations and GPU counts - and against the model.
+
+// "# Collective test starting: all_gather_perf" / binary and file names
+const NCCL_TESTS_OPERATIONS = {
+  all_reduce: Operation.AllReduce,
+  reduce: Operation.Reduce,
+  broadcast: Operation.Broadcast,
+  all_gather: Operation.AllGather,
+  reduce_scatter: Operation.ReduceScatter,
+  alltoall: Operation.AllToAll,
+  sendrecv: Operation.SendRecv,
+  gather: Operation.Gather,
+  scatter: Operation.Scatter
+};
+
+// Sizes where the measured busbw falls below this share of the model are flagged
+export const UNDERPERFORM_RATIO = 0.8;
+
+const getNcclTestsOperation = (name) => {
+  const test = name?.toLowerCase().match(/(\w+?)_perf/)?.[1];
+  return (test && NCCL_TESTS_OPERATIONS[test]) || null;
+};
+
+// Returns { benchmark, errors, warnings }. Only the first test's table is read; its
+// out-of-place columns are kept (in-place ones differ only by a copy).
+export const parseNcclTests = (text, fileName = '') => {
+  const warnings = [];
+  const hosts = [];
+  let test = null;
+  let columns = null;
+  let ranks = 0;
+  let ignored = 0;
+  const points = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const starting = trimmed.match(/^# Collective test starting: (\S+)/);
+    if (starting) {
+      if (test && points.length) {
+        warnings.push(`The output holds several tests: only ${test} is compared`);
+        break;
+      }
+      test = starting[1];
+      continue;
+    }
+
+    // "#  Rank  0 Group  0 Pid  12345 on  host-a device  0 [0x1b] NVIDIA H100"
+    const rank = trimmed.match(/^#\s*Rank\s+\d+\s+Group\s+\d+\s+Pid\s+\d+\s+on\s+(\S+)/);
+    if (rank) {
+      ranks++;
+      hosts.push(rank[1]);
+      continue;
+    }
+
+    // The header names the columns; older releases omit redop and root for some tests
+    if (trimmed.startsWith('#')) {
+      const names = trimmed.replace(/^#\s*/, '').split(/\s+/);
+      if (names[0] === 'size' && names.includes('time') && names.includes('busbw')) {
+        if (columns && points.length) break;
+        columns = { size: 0, time: names.indexOf('time'), algbw: names.indexOf('algbw'), busbw: names.indexOf('busbw') };
+      }
+      continue;
+    }
+
+    // Rows start with the size; NCCL_DEBUG chatter and warnings interleaved with them do not
+    if (!columns || !/^\d/.test(trimmed)) continue;
+    const values = trimmed.split(/\s+/);
+    const bytes = Number(values[columns.size]);
+    const time = Number(values[columns.time]);
+    const busbw = Number(values[columns.busbw]);
+    if (!Number.isInteger(bytes) || !Number.isFinite(time) || !Number.isFinite(busbw)) {
+      ignored++;
+      continue;
+    }
+    // "-d all" and "-o all" restart the size sweep for every datatype or reduction
+    if (points.length && bytes <= points[points.length - 1].bytes) {
+      warnings.push('The table repeats its size sweep (several datatypes or reductions?): only the first sweep is compared');
+      break;
+    }
+    if (bytes > 0 && time > 0) points.push({ bytes, time, algbw: Number(values[columns.algbw]), busbw });
+  }
+
+  if (!columns) return { errors: ['No result table: expected a "# size count type ... time algbw busbw" header from nccl-tests'], warnings };
+  if (!points.length) return { errors: ['The result table has no rows with a size, time and busbw'], warnings };
+  if (ignored) warnings.push(`${ignored} row(s) without numeric size, time and busbw were skipped`);
+
+  const operation = getNcclTestsOperation(test) || getNcclTestsOperation(fileName);
+  if (!operation) warnings.push('Could not tell which test produced this table: comparing against the selected operation');
+
+  // One parametric shape per host: ranks spread evenly over the hosts that printed them
+  const nodeCount = new Set(hosts).size;
+  const gpusPerNode = ranks / nodeCount;
+  const topology = ranks && Number.isInteger(gpusPerNode)
+    && gpusPerNode >= MIN_GPUS_PER_NODE && gpusPerNode <= MAX_GPUS_PER_NODE
+    && nodeCount >= MIN_NODE_COUNT && nodeCount <= MAX_NODE_COUNT
+    ? makeTopology(gpusPerNode, nodeCount)
+    : null;
+  if (ranks && !topology) warnings.push(`${ranks} ranks on ${nodeCount} host(s) do not match a parametric cluster shape`);
+
+  return {
+    benchmark: { test: test || fileName || 'nccl-tests', operation, ranks: ranks || null, topology, points },
+    errors: [],
+    warnings
+  };
+};
+
+// The model's busbw at one measured size, timed with the same operation, algorithm,
+// cluster and generateTimeline options (protocol, replayed rings) the timeline shows
+export const predictBusBandwidth = (point, op, algo, topo, options = {}) => {
+  const latency = getCollectiveLatency(generateTimeline(op, algo, topo, { ...options, messageSize: point.bytes }));
+  const predicted = latency > 0 ? (point.bytes / latency / GB_PER_S) * getBusBandwidthFactor(op, getGpuCount(topo)) : 0;
+  // Judged on time: the printed busbw rounds small sizes down to 0.00
+  return { ...point, predicted, underperforms: point.time * UNDERPERFORM_RATIO > latency };
+};
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Operation, Algorithm, makeTopology } from './constants.js';
+import { predictBusBandwidth } from './ncclTests.js';
+
+test('predictBusBandwidth times sweep points whose timelines outgrow the call stack', () => {
+  const point = { bytes: 16 * 1024 ** 3, time: 700000, algbw: 24.5, busbw: 48 };
+  const result = predictBusBandwidth(point, Operation.AllReduce, Algorithm.Ring, makeTopology(8, 4));
+  assert.ok(result.predicted > 0);
+  assert.equal(result.underperforms, false);
+});
@@ -0,0 +1,182 @@
+import { Operation, ReduceOp, DataType, REDUCING_OPERATIONS } from './constants.js';
+
+// === NUMERIC DATA ===
+// In numeric mode every GPU's buffer holds real values: the engine adds and copies them
+// along the schedule it draws, and the final buffers are checked against a reference
+// computed straight from the inputs. Values are rounded to the datatype after every step.
+export const DEFAULT_NUMERIC_ELEMENTS = 16;
+export const MAX_NUMERIC_ELEMENTS = 1024;
+
+export const NumericSource = {
+  Random: 'random',
+  Custom: 'custom'
+};
+
+// Floats keep `mantissa` bits down to 2^minExponent and overflow past `max` (fp8 e4m3 has
+// no infinity and saturates instead); integers wrap at their width. 64-bit integers only
+// keep the 53 bits of a JS number.
+export const DATATYPE_FORMATS = {
+  [DataType.Float32]: { kind: 'float', mantissa: 23, minExponent: -126 },
+  [DataType.Float16]: { kind: 'float', mantissa: 10, minExponent: -14, max: 65504 },
+  [DataType.Bfloat16]: { kind: 'float', mantissa: 7, minExponent: -126, max: 3.3895313892515355e38 },
+  [DataType.Float8e4m3]: { kind: 'float', mantissa: 3, minExponent: -6, max: 448, saturate: true },
+  [DataType.Float8e5m2]: { kind: 'float', mantissa: 2, minExponent: -14, max: 57344 },
+  [DataType.Float64]: { kind: 'float', mantissa: 52, minExponent: -1022 },
+  [DataType.Int8]: { kind: 'int', bits: 8, signed: true },
+  [DataType.Uint8]: { kind: 'int', bits: 8, signed: false },
+  [DataType.Int32]: { kind: 'int', bits: 32, signed: true },
+  [DataType.Uint32]: { kind: 'int', bits: 32, signed: false },
+  [DataType.Int64]: { kind: 'int', bits: 64, signed: true },
+  [DataType.Uint64]: { kind: 'int', bits: 64, signed: false }
+};
+
+export const roundToDataType = (value, dataType) => {
+  const format = DATATYPE_FORMATS[dataType];
+  if (format.kind === 'int') {
+    const whole = Math.trunc(value);
+    if (format.bits > 32 || !Number.isFinite(whole)) return whole;
+    const range = 2 ** format.bits;
+    const wrapped = ((whole % range) + range) % range;
+    return format.signed && wrapped >= range / 2 ? wrapped - range : wrapped;
+  }
+  if (dataType === DataType.Float64) return value;
+  if (dataType === DataType.Float32) return Math.fround(value);
+  if (!Number.isFinite(value) || value === 0) return value;
+  const ulp = 2 ** (Math.max(format.minExponent, Math.floor(Math.log2(Math.abs(value)))) - format.mantissa);
+  const scaled = value / ulp;
+  // Ties round to even, as the hardware conversions do
+  const rounded = (Math.abs(scaled % 1) === 0.5 ? 2 * Math.round(scaled / 2) : Math.round(scaled)) * ulp;
+  if (Math.abs(rounded) <= format.max) return rounded;
+  return Math.sign(rounded) * (format.saturate ? format.max : Infinity);
+};
+
+// Largest error of one rounding: relative to the value (half the gap between 1 and the next
+// representable number), plus an absolute half step of the subnormals once results
+// underflow. Integers are exact.
+const getRoundingError = (dataType) => {
+  const format = DATATYPE_FORMATS[dataType];
+  if (format.kind === 'int') return { relative: format.bits > 32 ? 2 ** -53 : 0, absolute: 0 };
+  return { relative: 2 ** -(format.mantissa + 1), absolute: 2 ** (format.minExponent - format.mantissa - 1) };
+};
+
+// PreMulSum scales every input before summing; this stands in for the scalar a caller
+// passes to ncclRedOpCreatePreMulSum
+const PREMULSUM_SCALAR = 2;
+
+// Element-wise combine of two partial results. Avg adds: floats were scaled by 1/ranks when
+// the buffer was loaded (NCCL's PreMulSum), integers are divided once the sum is complete.
+export const combineValues = (a, b, { redop = ReduceOp.Sum, dataType = DataType.Float32 } = {}) => {
+  if (!a || !b) return undefined;
+  const combine = {
+    [ReduceOp.Prod]: DATATYPE_FORMATS[dataType].bits === 32 ? Math.imul : (x, y) => x * y,
+    [ReduceOp.Min]: Math.min,
+    [ReduceOp.Max]: Math.max
+  }[redop] || ((x, y) => x + y);
+  return a.map((x, i) => roundToDataType(combine(x, b[i]), dataType));
+};
+
+// Buffers as the reduction sees them: inputs rounded to the datatype, then scaled by
+// PreMulSum's scalar or by 1/ranks for a floating-point Avg
+export const getLoadedInputs = (op, inputs, { redop = ReduceOp.Sum, dataType = DataType.Float32 } = {}) => {
+  const isFloat = DATATYPE_FORMATS[dataType].kind === 'float';
+  const scale = !REDUCING_OPERATIONS.includes(op) ? 1
+    : redop === ReduceOp.PreMulSum ? PREMULSUM_SCALAR
+      : redop === ReduceOp.Avg && isFloat ? 1 / inputs.length : 1;
+  return inputs.map(values => values.map(x => roundToDataType(roundToDataType(x, dataType) * scale, dataType)));
+};
+
+// Chunk `index` of `count` near-equal chunks of a vector
+export const getRegion = (values, index, count) => values.slice(
+  Math.floor((index * values.length) / count),
+  Math.floor(((index + 1) * values.length) / count)
+);
+
+// Seeded inputs (mulberry32): floats in [-1, 1), integers from -8 to 7 (0 to 15 unsigned)
+// so that sums stay readable
+export const createRandomInputs = (gpuCount, { seed = 1, elements = DEFAULT_NUMERIC_ELEMENTS, dataType = DataType.Float32 } = {}) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+  const format = DATATYPE_FORMATS[dataType];
+  return Array.from({ length: gpuCount }, () => Array.from({ length: elements }, () => (format.kind === 'float'
+    ? roundToDataType(next() * 2 - 1, dataType)
+    : Math.floor(next() * 16) - (format.signed ? 8 : 0))));
+};
+
+// Entered inputs: one line of comma- or space-separated numbers per rank. Ranks past the
+// last line reuse the lines in turn, and shorter lines are padded with zeros.
+export const parseInputValues = (text, gpuCount) => {
+  const lines = text.split('\n').map(line => line.split(/[\s,;]+/).filter(Boolean)).filter(tokens => tokens.length);
+  if (!lines.length) throw new Error('Enter at least one number');
+  const invalid = lines.flat().find(token => !Number.isFinite(Number(token)));
+  if (invalid !== undefined) throw new Error(`"${invalid}" is not a number`);
+  const elements = Math.max(...lines.map(tokens => tokens.length));
+  if (elements > MAX_NUMERIC_ELEMENTS) throw new Error(`At most ${MAX_NUMERIC_ELEMENTS} numbers per rank (found ${elements})`);
+  return Array.from({ length: gpuCount }, (_, gpu) => {
+    const values = lines[gpu % lines.length].map(Number);
+    return [...values, ...Array(elements - values.length).fill(0)];
+  });
+};
+
+// Reference reduction: exact in double precision (integers wrap as they would on the GPU),
+// with each element's tolerance the classic bound of one rounding error per rank, relative
+// to the magnitude of the terms
+const reduceReference = (vectors, { redop = ReduceOp.Sum, dataType = DataType.Float32 }) => {
+  const isInt = DATATYPE_FORMATS[dataType].kind === 'int';
+  const exact = vectors.reduce((acc, values) => combineValues(acc, values, { redop, dataType: isInt ? dataType : DataType.Float64 }));
+  const values = redop === ReduceOp.Avg && isInt
+    ? exact.map(x => roundToDataType(x / vectors.length, dataType))
+    : exact.map(x => roundToDataType(x, dataType));
+  const exactOrder = redop === ReduceOp.Min || redop === ReduceOp.Max;
+  const magnitude = vectors.map(v => v.map(Math.abs))
+    .reduce((acc, v) => combineValues(acc, v, { redop, dataType: DataType.Float64 }));
+  const { relative, absolute } = getRoundingError(dataType);
+  return { values, tolerance: magnitude.map(m => (exactOrder ? 0 : vectors.length * (relative * m + absolute))) };
+};
+
+// Expected output per rank, or null where a rank has nothing to check: Reduce and Gather
+// only fill the root, and SendRecv's activations pass through compute stages
+export const getReferenceOutputs = (op, loaded, { root = 0, ...reduction } = {}) => {
+  const P = loaded.length;
+  const ranks = Array.from({ length: P }, (_, gpu) => gpu);
+  const copied = (values) => ({ values, tolerance: values.map(() => 0) });
+  const gathered = () => copied(ranks.flatMap(src => getRegion(loaded[src], src, P)));
+
+  if (op === Operation.AllReduce) {
+    const total = reduceReference(loaded, reduction);
+    return ranks.map(() => total);
+  }
+  if (op === Operation.ReduceScatter) {
+    const total = reduceReference(loaded, reduction);
+    return ranks.map(gpu => ({ values: getRegion(total.values, gpu, P), tolerance: getRegion(total.tolerance, gpu, P) }));
+  }
+  if (op === Operation.Reduce) return ranks.map(gpu => (gpu === root ? reduceReference(loaded, reduction) : null));
+  if (op === Operation.AllGather) return ranks.map(gathered);
+  if (op === Operation.Broadcast) return ranks.map(() => copied(loaded[root]));
+  if (op === Operation.AllToAll) return ranks.map(dst => copied(ranks.flatMap(src => getRegion(loaded[src], dst, P))));
+  if (op === Operation.Gather) return ranks.map(gpu => (gpu === 0 ? gathered() : null));
+  if (op === Operation.Scatter) return ranks.map(dst => copied(getRegion(loaded[0], dst, P)));
+  return ranks.map(() => null);
+};
+
+// Per rank: whether every output element lies within tolerance of the reference (null when
+// there is nothing to check), the largest deviation, and both vectors
+export const verifyOutputs = (outputs, references) => references.map((expected, gpu) => {
+  if (!expected) return { gpu, passed: null };
+  const actual = outputs[gpu];
+  const errors = expected.values.map((x, i) => (actual[i] === x ? 0 : Math.abs(actual[i] - x)));
+  return {
+    gpu,
+    passed: actual.length === expected.values.length && errors.every((error, i) => error <= expected.tolerance[i]),
+    maxError: errors.reduce((max, error) => (Number.isNaN(error) ? Infinity : Math.max(max, error)), 0),
+    expected: expected.values,
+    actual
+  };
+});
+
+// Short rendering of a value vector for tooltips
+export const formatValues = (values, limit = 8) => `[${values.slice(0, limit).map(x => (Number.isInteger(x) || !Number.isFinite(x) ? String(x) : x.toPrecision(4))).join(', ')}${values.length > limit ? `, … ${values.length - limit} more` : ''}]`;
@@ -0,0 +1,331 @@
+import { Operation, Algorithm, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE, MAX_NODE_COUNT, makeTopology, getGpuCount, Protocol, getCompatibleProtocols, getCompatibleAlgorithms, DEFAULT_MESSAGE_SIZE, MAX_DRAWN_TRANSFERS } from './constants.js';
+import { NCCL_ALGORITHM_MAP, NCCL_COLLECTIVES, getNcclProtocol } from './ncclLog.js';
+import { formatBytes, formatDuration } from './chunking.js';
+import { generateTimeline } from './engine.js';
+
+// === PROFILER TRACE REPLAY ===
+// torch.profiler exports Chrome-trace JSON, one file per rank. Every NCCL kernel is an "X"
+// event on its GPU stream; the collective behind it (name, element counts, dtype, process
+// group) sits on the kernel's args in newer releases and on the record_param_comms CPU op
+// sharing its External id in older ones. Replay plays the measured kernel spans and, for
+// each collective every rank of its group ran, stretches the modelled data movement over
+// the time between the last rank's launch and the last kernel's end.
+
+// "ncclDevKernel_AllReduce_Sum_f32_RING_LL(...)" (NCCL 2.19+) or "ncclKernel_AllReduce_RING_LL_Sum_float(...)"
+const TRACE_KERNEL = /^nccl(?:Dev)?Kernel_([A-Za-z]+)/;
+const TRACE_KERNEL_ALGORITHM = /_(NVLS_TREE|COLLNET_DIRECT|COLLNET_CHAIN|NVLS|RING|TREE|PAT)_(LL128|LL|SIMPLE)/;
+
+// c10d collective names, with the _base / _coalesced / _into_tensor variants stripped
+const TORCH_COLLECTIVES = {
+  allreduce: Operation.AllReduce,
+  barrier: Operation.AllReduce,
+  reduce: Operation.Reduce,
+  broadcast: Operation.Broadcast,
+  allgather: Operation.AllGather,
+  reducescatter: Operation.ReduceScatter,
+  alltoall: Operation.AllToAll,
+  send: Operation.SendRecv,
+  recv: Operation.SendRecv,
+  gather: Operation.Gather,
+  scatter: Operation.Scatter
+};
+
+const TORCH_DTYPE_BYTES = {
+  Double: 8, Long: 8, Float: 4, Int: 4, Half: 2, BFloat16: 2, Short: 2,
+  Char: 1, Byte: 1, Bool: 1, Float8_e4m3fn: 1, Float8_e5m2: 1
+};
+
+// Kernel label drawn on a GPU while it runs
+const TRACE_LABELS = {
+  [Operation.AllReduce]: 'AR',
+  [Operation.Reduce]: 'R',
+  [Operation.Broadcast]: 'BC',
+  [Operation.AllGather]: 'AG',
+  [Operation.ReduceScatter]: 'RS',
+  [Operation.AllToAll]: 'A2A',
+  [Operation.SendRecv]: 'P2P',
+  [Operation.Gather]: 'G',
+  [Operation.Scatter]: 'S'
+};
+
+const getTorchCollective = (name) => TORCH_COLLECTIVES[String(name).toLowerCase()
+  .replace(/^_+/, '')
+  .replace(/_base$|_coalesced$|_into_tensor|_tensor/g, '')
+  .replace(/_/g, '')] || null;
+
+// "[0, 1, 2, 3]" from the args, else the strided range c10d also records
+const getTraceGroupRanks = (args) => {
+  try {
+    const ranks = JSON.parse(args['Process Group Ranks']);
+    if (Array.isArray(ranks) && ranks.length && ranks.every(Number.isInteger)) return ranks;
+  } catch {
+    // not recorded, or truncated by the profiler
+  }
+  const size = Number(args['Group size']);
+  const start = Number(args['Global rank start']);
+  const stride = Number(args['Global rank stride']);
+  if (size > 0 && Number.isInteger(start) && stride > 0) return Array.from({ length: size }, (_, i) => start + i * stride);
+  return null;
+};
+
+// Returns { trace, errors, warnings } for one exported file
+const parseChromeTrace = (text, fileName = 'trace') => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    return { errors: [`${fileName}: not a Chrome trace (${e.message})`], warnings: [] };
+  }
+  const traceEvents = Array.isArray(json) ? json : json?.traceEvents;
+  if (!Array.isArray(traceEvents)) return { errors: [`${fileName}: no "traceEvents" array`], warnings: [] };
+
+  // Kineto writes timestamps relative to baseTimeNanoseconds; rebase them so files line up
+  const base = Number(json.baseTimeNanoseconds) / 1000 || 0;
+  const info = json.distributedInfo || {};
+
+  const collectiveArgs = new Map();
+  traceEvents.forEach(event => {
+    const args = event?.args;
+    if (args && args['Collective name'] !== undefined && args['External id'] !== undefined) {
+      collectiveArgs.set(args['External id'], args);
+    }
+  });
+
+  const kernels = [];
+  let withoutArgs = 0;
+  traceEvents.forEach(event => {
+    if (event?.ph !== 'X' || typeof event.name !== 'string') return;
+    const match = event.name.match(TRACE_KERNEL);
+    if (!match) return;
+    const args = event.args || {};
+    const comm = args['Collective name'] !== undefined ? args : collectiveArgs.get(args['External id']);
+    if (!comm) withoutArgs++;
+
+    const [, ncclAlgorithm, protocol] = event.name.match(TRACE_KERNEL_ALGORITHM) || [];
+    const elements = comm ? Math.max(Number(comm['In msg nelems']) || 0, Number(comm['Out msg nelems']) || 0) : 0;
+    const ranks = comm ? getTraceGroupRanks(comm) : null;
+    kernels.push({
+      rank: Number(info.rank ?? args.device ?? event.pid),
+      stream: args.stream ?? event.tid,
+      start: base + Number(event.ts),
+      duration: Number(event.dur) || 0,
+      operation: (comm && getTorchCollective(comm['Collective name']))
+        || NCCL_COLLECTIVES[match[1]] || (match[1] === 'SendRecv' ? Operation.SendRecv : null),
+      ncclAlgorithm: ncclAlgorithm ?? null,
+      protocol: protocol ? getNcclProtocol(protocol) : null,
+      bytes: elements ? elements * (TORCH_DTYPE_BYTES[comm.dtype] ?? 4) : null,
+      group: comm?.['Process Group Name'] ?? null,
+      groupRanks: ranks,
+      groupSize: Number(comm?.['Group size']) || ranks?.length || null
+    });
+  });
+
+  if (!kernels.length) return { errors: [`${fileName}: no NCCL kernels (ncclDevKernel_* or ncclKernel_*)`], warnings: [] };
+  if (kernels.some(k => !Number.isInteger(k.rank) || k.rank < 0)) {
+    return { errors: [`${fileName}: cannot tell which rank ran the NCCL kernels (no distributedInfo or device ids)`], warnings: [] };
+  }
+  const warnings = withoutArgs
+    ? [`${fileName}: ${withoutArgs} NCCL kernel(s) without collective args (record with torch 2.1+): sizes and groups are guessed`]
+    : [];
+  return { trace: { kernels, worldSize: Number(info.world_size) || null }, errors: [], warnings };
+};
+
+// Smallest parametric cluster with a GPU for every rank
+const getTraceTopology = (worldSize) => {
+  if (worldSize <= MAX_GPUS_PER_NODE) return makeTopology(Math.max(MIN_GPUS_PER_NODE, worldSize), 1);
+  const nodeCount = Math.ceil(worldSize / MAX_GPUS_PER_NODE);
+  return nodeCount <= MAX_NODE_COUNT ? makeTopology(MAX_GPUS_PER_NODE, nodeCount) : null;
+};
+
+// Merges per-rank files into one trace; returns { trace, errors, warnings }
+export const loadChromeTraces = (files) => {
+  const errors = [];
+  const warnings = [];
+  const kernels = [];
+  const ranksSeen = new Set();
+  let worldSize = 0;
+
+  files.forEach(({ name, text }) => {
+    const { trace, errors: fileErrors, warnings: fileWarnings } = parseChromeTrace(text, name);
+    errors.push(...fileErrors);
+    warnings.push(...fileWarnings);
+    if (!trace) return;
+    const ranks = new Set(trace.kernels.map(k => k.rank));
+    const clash = [...ranks].find(rank => ranksSeen.has(rank));
+    if (clash !== undefined) {
+      errors.push(`${name}: rank ${clash} already came from another file - skipped`);
+      return;
+    }
+    ranks.forEach(rank => ranksSeen.add(rank));
+    trace.kernels.forEach(kernel => kernels.push(kernel));
+    worldSize = Math.max(worldSize, trace.worldSize || 0, ...[...ranks].map(rank => rank + 1));
+  });
+
+  if (!kernels.length) return { errors, warnings };
+  const topology = getTraceTopology(worldSize);
+  if (!topology) return { errors: [...errors, `${worldSize} ranks do not fit on ${MAX_NODE_COUNT} nodes of ${MAX_GPUS_PER_NODE} GPUs`], warnings };
+  if (ranksSeen.size < worldSize) warnings.push(`Kernels from ${ranksSeen.size} of ${worldSize} ranks: load every rank's trace to see whole collectives`);
+
+  kernels.sort((a, b) => a.start - b.start);
+  return { trace: { kernels, worldSize, topology, fileCount: files.length }, errors, warnings };
+};
+
+// Returns { timeline, summary, warnings }: a timeline in generateTimeline's shape whose
+// compute events are the measured kernels and whose transfers are modelled per collective
+export const buildTraceTimeline = (trace, topo) => {
+  const warnings = [];
+  const gpuCount = getGpuCount(topo);
+  const origin = trace.kernels[0].start;
+  const events = [];
+  const bandwidthSamples = [];
+  const steps = [];
+
+  trace.kernels.forEach(kernel => events.push({
+    type: 'compute',
+    nodeId: kernel.rank,
+    label: TRACE_LABELS[kernel.operation] || 'NCCL',
+    startTime: kernel.start - origin,
+    duration: kernel.duration
+  }));
+
+  // The i-th kernel of a process group (or, without args, of a stream) on every rank is
+  // one collective. Send/recv pairs are not matched: they only show as kernel spans.
+  const queues = {};
+  trace.kernels.filter(k => k.operation !== Operation.SendRecv).forEach(kernel => {
+    const key = kernel.group !== null ? `group ${kernel.group}` : `stream ${kernel.stream}`;
+    ((queues[key] ||= {})[kernel.rank] ||= []).push(kernel);
+  });
+  const collectives = [];
+  Object.entries(queues).forEach(([key, perRank]) => {
+    const lists = Object.values(perRank);
+    for (let i = 0; lists.some(list => i < list.length); i++) {
+      collectives.push({ key, members: lists.map(list => list[i]).filter(Boolean) });
+    }
+  });
+
+  const subgroupTopologies = {};
+  const models = new Map();
+  let modelled = 0;
+  let incomplete = 0;
+  let overBudget = 0;
+
+  const describe = ({ key, members }) => {
+    const first = members.reduce((a, b) => (b.start < a.start ? b : a));
+    const last = members.reduce((a, b) => (b.start > a.start ? b : a));
+    const start = first.start - origin;
+    const launched = last.start - origin;
+    const end = members.reduce((max, k) => Math.max(max, k.start + k.duration), -Infinity) - origin;
+    const { operation, bytes, ncclAlgorithm, protocol } = first;
+    // Without a recorded rank list, a complete group is the ranks whose kernels matched
+    const ranks = first.groupRanks
+      || (!first.groupSize || members.length === first.groupSize ? members.map(k => k.rank).sort((a, b) => a - b) : null);
+
+    let note;
+    if (!operation || members.some(k => k.operation !== operation)) {
+      note = 'ranks disagree on the operation, so only kernel spans are shown';
+    } else if (!ranks || members.length < ranks.length || ranks.some(rank => rank >= gpuCount)) {
+      incomplete++;
+      note = 'not every rank of the group is in the trace, so only kernel spans are shown';
+    } else {
+      // The group runs on the cluster when it spans it, else on a single node of its size
+      const simTopo = ranks.length === gpuCount
+        ? topo
+        : subgroupTopologies[ranks.length] ||= getTraceTopology(ranks.length);
+      const compatible = getCompatibleAlgorithms(operation, simTopo);
+      const logged = NCCL_ALGORITHM_MAP[ncclAlgorithm?.toLowerCase().replace(/_/g, '')];
+      const algo = compatible.includes(logged) ? logged : compatible.includes(Algorithm.Ring) ? Algorithm.Ring : compatible[0];
+      const proto = getCompatibleProtocols(algo).includes(protocol) ? protocol : Protocol.Simple;
+      const modelKey = `${operation}|${algo}|${proto}|${bytes}|${simTopo === topo ? 'cluster' : ranks.length}`;
+      if (!models.has(modelKey)) {
+        models.set(modelKey, algo && getGpuCount(simTopo) === ranks.length ? generateTimeline(operation, algo, simTopo, { messageSize: bytes || DEFAULT_MESSAGE_SIZE, protocol: proto }) : null);
+      }
+      const model = models.get(modelKey);
+
+      if (!model || getGpuCount(simTopo) !== ranks.length) {
+        note = 'no modelled algorithm fits this group, so only kernel spans are shown';
+      } else if (events.length + model.events.length > MAX_DRAWN_TRANSFERS) {
+        overBudget++;
+        note = 'too many transfers to draw, so only kernel spans are shown';
+      } else {
+        // Data only flows once the last rank has launched
+        const scale = Math.max(end - launched, 0) / model.duration;
+        const toGpu = (id) => (typeof id === 'number' ? ranks[id] : id);
+        model.events.forEach(evt => events.push({
+          ...evt,
+          ...(evt.id !== undefined && { id: `c${modelled}-${evt.id}` }),
+          ...(evt.from !== undefined && { from: toGpu(evt.from) }),
+          ...(evt.to !== undefined && { to: toGpu(evt.to) }),
+          ...(evt.nodeId !== undefined && { nodeId: toGpu(evt.nodeId) }),
+          ...(evt.destination !== undefined && { destination: toGpu(evt.destination) }),
+          ...(evt.destinations && { destinations: evt.destinations.map(toGpu) }),
+          ...(evt.sources && { sources: evt.sources.map(toGpu) }),
+          ...(simTopo !== topo && { switchId: undefined }),
+          startTime: launched + evt.startTime * scale,
+          duration: evt.duration * scale
+        }));
+        model.bandwidthSamples.forEach(sample => bandwidthSamples.push({
+          ...sample,
+          from: toGpu(sample.from),
+          to: toGpu(sample.to),
+          linkId: `${key}-${sample.linkId}`,
+          time: launched + sample.time * scale,
+          endTime: launched + sample.endTime * scale
+        }));
+        modelled++;
+        note = `packets show the modelled ${algo} pattern${bytes ? '' : ' for an unknown size'}, stretched over the remaining ${formatDuration(end - launched)}`;
+      }
+    }
+
+    const wait = last !== first && launched > start
+      ? ` Rank ${last.rank} launched last, ${formatDuration(launched - start)} after rank ${first.rank}.`
+      : '';
+    const algoLabel = ncclAlgorithm ? ` - NCCL ${ncclAlgorithm}${protocol ? `/${protocol}` : ''}` : '';
+    return {
+      start,
+      end,
+      description: `Trace: ${operation || 'NCCL kernel'}${bytes ? ` ${formatBytes(bytes)}` : ''} on ${members.length} rank${members.length === 1 ? '' : 's'} (${key})${algoLabel}, ${formatDuration(end - start)} from first launch to last finish.${wait} ${note[0].toUpperCase()}${note.slice(1)}.`,
+      phase: operation || 'kernel'
+    };
+  };
+
+  const windows = collectives.map(describe).sort((a, b) => a.start - b.start);
+  // Reduced, not spread into Math.max: a long trace has more kernels than the stack takes arguments
+  const duration = trace.kernels.reduce((max, k) => Math.max(max, k.start + k.duration), -Infinity) - origin;
+
+  // One caption per collective, and an idle caption in the gaps no collective covers
+  let busyUntil = 0;
+  windows.forEach(window => {
+    if (window.start > busyUntil) {
+      steps.push({ time: busyUntil, description: 'Trace: no collective running - the GPUs compute, or run send/recv kernels', phase: 'idle' });
+    }
+    steps.push({ time: window.start, description: window.description, phase: window.phase });
+    busyUntil = Math.max(busyUntil, window.end);
+  });
+  if (!steps.length || steps[0].time > 0) {
+    steps.unshift({ time: 0, description: 'Trace: send/recv kernels only - shown as spans on each GPU', phase: 'idle' });
+  }
+  steps.push({
+    time: duration,
+    description: `Trace ends: ${trace.kernels.length} NCCL kernels, ${collectives.length} collectives of which ${modelled} are drawn with modelled transfers.`,
+    phase: 'done'
+  });
+
+  if (incomplete) warnings.push(`${incomplete} collective(s) are missing some ranks' kernels: shown as spans only`);
+  if (overBudget) warnings.push(`${overBudget} collective(s) exceed the ${MAX_DRAWN_TRANSFERS} drawn-event budget: shown as spans only`);
+
+  return {
+    timeline: {
+      duration,
+      events,
+      steps,
+      bufferSnapshots: [],
+      bandwidthSamples,
+      trees: null,
+      chunking: null,
+      protocol: null,
+      nodeCount: gpuCount
+    },
+    summary: { collectives: collectives.length, modelled },
+    warnings
+  };
+};
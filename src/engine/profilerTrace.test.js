@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadChromeTraces, buildTraceTimeline } from './profilerTrace.js';
+
+test('replays a trace with more kernels than the call stack takes arguments', () => {
+  const kernels = 200000;
+  const traceEvents = Array.from({ length: kernels }, (_, i) => ({
+    ph: 'X', name: 'ncclDevKernel_AllReduce_Sum_f32_RING_LL(ncclDevComm*, unsigned long, ncclWork*)',
+    pid: 0, tid: 7, ts: i * 10, dur: 5, args: { device: 0, stream: 7 }
+  }));
+  const { trace, errors } = loadChromeTraces([{ name: 'rank0.json', text: JSON.stringify({ traceEvents }) }]);
+  assert.deepEqual(errors, []);
+  assert.equal(trace.kernels.length, kernels);
+
+  const { timeline } = buildTraceTimeline(trace, trace.topology);
+  assert.equal(timeline.duration, (kernels - 1) * 10 + 5);
+  assert.equal(timeline.events.length, kernels);
+});
@@ -0,0 +1,250 @@
+import { Operation, Algorithm, ReduceOp, DataType, MIN_GPUS_PER_NODE, MAX_GPUS_PER_NODE, MIN_NODE_COUNT, MAX_NODE_COUNT, makeTopology, getGpuCount, getTopologyLabel, Protocol, getCompatibleProtocols, needsSharpFallback, getCompatibleAlgorithms, SWITCH_EVENT_TYPES, TREE_COLORS, MAX_MESSAGE_SIZE, MAX_CHANNELS } from './constants.js';
+import { MAX_REPORTED_PROBLEMS, isPlainObject, loadTopology } from './cluster.js';
+
+// === SCENARIO FILES ===
+// A scenario file keeps a timeline with the cluster it ran on, so it can be shared and
+// reopened as-is. Format version 1:
+//   {
+//     "format": "hopper-visualizer-scenario",
+//     "version": 1,
+//     "topology": { "gpusPerNode", "nodeCount" } for a parametric cluster, or a cluster
+//                 description as written by Topology > Export JSON,
+//     "scenario": { "operation", "algorithm", "protocol", "messageSize" } the timeline was
+//                 generated for, or null for a profiler trace replay,
+//     "timeline": {
+//       "duration": µs, "nodeCount": GPUs in the topology,
+//       "hold": µs playback lingers on the closing caption after "duration", optional,
+//       "events": [{ "type", "startTime", "duration", GPU indices per EVENT_GPU_FIELDS, ... }],
+//       "steps": [{ "time", "description", "phase" }] sorted by time,
+//       "bufferSnapshots": [{ "time", "state": { "<gpu>": [{ "chunkId", "state", "reductionCount", "values"? }] } }] sorted by time,
+//       "bandwidthSamples": [{ "time", "endTime", "linkId", "from", "to", "utilization" }],
+//       "trees": [{ "id", "edges": [{ "parent", "child" }] }] or null,
+//       "chunking": { "loops", "chunksPerLoop", "chunkBytes", "slices", "waves", ... } or null,
+//       "protocol": a Protocol name or null,
+//       "verification": numeric mode's [{ "gpu", "passed", "maxError", "expected", "actual" }] or null
+//     }
+//   }
+// Times are µs from the collective's launch; GPUs are indices into the topology's GPU list.
+const SCENARIO_FORMAT = 'hopper-visualizer-scenario';
+const SCENARIO_VERSION = 1;
+
+// Event fields naming GPUs; switch event types not listed here carry none
+export const EVENT_GPU_FIELDS = {
+  transfer: ['from', 'to'],
+  link: ['from', 'to'],
+  compute: ['nodeId'],
+  'to-switch': ['from'],
+  'from-switch': ['destinations'],
+  'from-switch-single': ['destination'],
+  'switch-reduce': ['sources'],
+  'switch-broadcast': ['destinations']
+};
+
+// Fields holding a list of GPUs rather than one
+const EVENT_GPU_LISTS = ['destinations', 'sources'];
+
+const CHUNKING_FIELDS = ['loops', 'chunksPerLoop', 'chunkBytes', 'slices', 'waves'];
+
+const isTime = (value) => Number.isFinite(value) && value >= 0;
+
+export const serializeScenario = (timeline, topo, scenario) => ({
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  topology: topo.custom ? topo.custom.description : { gpusPerNode: topo.gpusPerNode, nodeCount: topo.nodeCount },
+  scenario,
+  timeline
+});
+
+// Checks every item of a timeline list, keeping the first few problems of each list
+const validateTimelineList = (errors, list, name, validateItem) => {
+  if (!Array.isArray(list)) {
+    errors.push(`timeline.${name} must be an array`);
+    return;
+  }
+  const problems = [];
+  list.forEach((item, i) => {
+    const where = `timeline.${name}[${i}]`;
+    if (!isPlainObject(item)) problems.push(`${where}: must be an object`);
+    else validateItem(item, i).forEach(problem => problems.push(`${where}: ${problem}`));
+  });
+  errors.push(...problems.slice(0, MAX_REPORTED_PROBLEMS));
+  if (problems.length > MAX_REPORTED_PROBLEMS) {
+    errors.push(`…and ${problems.length - MAX_REPORTED_PROBLEMS} more problems in timeline.${name}`);
+  }
+};
+
+const validateTimeline = (timeline, gpuCount) => {
+  if (!isPlainObject(timeline)) return ['"timeline" must be an object'];
+  const errors = [];
+  const { duration, nodeCount } = timeline;
+  if (!isTime(duration)) errors.push('timeline.duration must be a non-negative number of µs');
+  if (timeline.hold !== undefined && !isTime(timeline.hold)) errors.push('timeline.hold must be a non-negative number of µs');
+  if (nodeCount !== gpuCount) errors.push(`timeline.nodeCount must be ${gpuCount}, the topology's GPU count (found ${JSON.stringify(nodeCount)})`);
+  if (errors.length) return errors;
+
+  const isGpu = (value) => Number.isInteger(value) && value >= 0 && value < gpuCount;
+  const gpuProblem = (field) => `"${field}" must be ${EVENT_GPU_LISTS.includes(field) ? 'a list of GPU indices' : 'a GPU index'} from 0 to ${gpuCount - 1}`;
+  // Timelines end when their last event does; allow for rounding in hand-edited files
+  const endsInside = (time) => time <= duration + 1e-6 * Math.max(1, duration);
+
+  validateTimelineList(errors, timeline.events, 'events', (evt) => {
+    const problems = [];
+    const known = EVENT_GPU_FIELDS[evt.type] || (SWITCH_EVENT_TYPES.includes(evt.type) ? [] : null);
+    if (!known) problems.push(`unknown event type ${JSON.stringify(evt.type)}`);
+    if (!isTime(evt.startTime)) problems.push('"startTime" must be a non-negative number of µs');
+    if (!isTime(evt.duration)) problems.push('"duration" must be a non-negative number of µs');
+    else if (isTime(evt.startTime) && !endsInside(evt.startTime + evt.duration)) {
+      problems.push(`ends at ${evt.startTime + evt.duration} µs, after the timeline's ${duration} µs`);
+    }
+    (known || []).forEach(field => {
+      const value = evt[field];
+      const valid = EVENT_GPU_LISTS.includes(field) ? Array.isArray(value) && value.length > 0 && value.every(isGpu) : isGpu(value);
+      if (!valid) problems.push(gpuProblem(field));
+    });
+    if (evt.channel !== undefined && !(Number.isInteger(evt.channel) && evt.channel >= 0 && evt.channel < MAX_CHANNELS)) {
+      problems.push(`"channel" must be a channel index from 0 to ${MAX_CHANNELS - 1}`);
+    }
+    return problems;
+  });
+
+  validateTimelineList(errors, timeline.steps, 'steps', (step, i) => {
+    const problems = [];
+    if (!isTime(step.time) || !endsInside(step.time)) problems.push(`"time" must be a number of µs from 0 to ${duration}`);
+    else if (i > 0 && step.time < timeline.steps[i - 1]?.time) problems.push('steps must be sorted by "time"');
+    if (typeof step.description !== 'string') problems.push('"description" must be a string');
+    if (step.phase !== undefined && typeof step.phase !== 'string') problems.push('"phase" must be a string');
+    return problems;
+  });
+
+  validateTimelineList(errors, timeline.bufferSnapshots, 'bufferSnapshots', (snapshot, i) => {
+    const problems = [];
+    if (!isTime(snapshot.time)) problems.push('"time" must be a non-negative number of µs');
+    else if (i > 0 && snapshot.time < timeline.bufferSnapshots[i - 1]?.time) problems.push('snapshots must be sorted by "time"');
+    if (!isPlainObject(snapshot.state)) return [...problems, '"state" must map GPU indices to chunk lists'];
+    Object.entries(snapshot.state).forEach(([gpu, chunks]) => {
+      if (!isGpu(Number(gpu))) problems.push(`state: "${gpu}" is not a GPU index from 0 to ${gpuCount - 1}`);
+      else if (!Array.isArray(chunks) || !chunks.every(chunk => isPlainObject(chunk) && typeof chunk.state === 'string'
+        && (chunk.values === undefined || Array.isArray(chunk.values)))) {
+        problems.push(`state["${gpu}"] must be a list of chunks, each with a "state" string (and optional "values" list)`);
+      }
+    });
+    return problems;
+  });
+
+  validateTimelineList(errors, timeline.bandwidthSamples, 'bandwidthSamples', (sample) => {
+    const problems = [];
+    if (!isTime(sample.time) || !Number.isFinite(sample.endTime) || sample.endTime < sample.time) {
+      problems.push('"time" and "endTime" must be µs with endTime ≥ time');
+    }
+    if (sample.utilization !== undefined && !isTime(sample.utilization)) problems.push('"utilization" must be a non-negative number');
+    return problems;
+  });
+
+  if (timeline.trees !== undefined && timeline.trees !== null) {
+    validateTimelineList(errors, timeline.trees, 'trees', (tree) => {
+      const problems = [];
+      if (!Number.isInteger(tree.id) || tree.id < 0 || tree.id >= TREE_COLORS.length) problems.push(`"id" must be 0 to ${TREE_COLORS.length - 1}`);
+      if (!Array.isArray(tree.edges) || !tree.edges.every(edge => isPlainObject(edge) && isGpu(edge.parent) && isGpu(edge.child))) {
+        problems.push('"edges" must list { "parent", "child" } GPU index pairs');
+      }
+      return problems;
+    });
+  }
+  if (timeline.chunking !== undefined && timeline.chunking !== null) {
+    if (!isPlainObject(timeline.chunking)) errors.push('timeline.chunking must be an object or null');
+    else {
+      CHUNKING_FIELDS.filter(field => !(Number.isFinite(timeline.chunking[field]) && timeline.chunking[field] > 0))
+        .forEach(field => errors.push(`timeline.chunking.${field} must be a positive number`));
+    }
+  }
+  if (timeline.root !== undefined && timeline.root !== null && !isGpu(timeline.root)) errors.push(`timeline.root must be a GPU index from 0 to ${gpuCount - 1}`);
+  if (timeline.verification !== undefined && timeline.verification !== null) {
+    validateTimelineList(errors, timeline.verification, 'verification', (rank) => {
+      const problems = [];
+      if (!isGpu(rank.gpu)) problems.push(`"gpu" must be a GPU index from 0 to ${gpuCount - 1}`);
+      if (rank.passed !== null && typeof rank.passed !== 'boolean') problems.push('"passed" must be true, false or null');
+      else if (rank.passed !== null && !(Array.isArray(rank.expected) && Array.isArray(rank.actual))) {
+        problems.push('"expected" and "actual" must be lists of values');
+      }
+      return problems;
+    });
+  }
+  if (timeline.protocol !== undefined && timeline.protocol !== null && !Object.values(Protocol).includes(timeline.protocol)) {
+    errors.push(`timeline.protocol: unknown protocol ${JSON.stringify(timeline.protocol)} (expected ${Object.values(Protocol).join(', ')})`);
+  }
+  return errors;
+};
+
+const validateScenarioSettings = (scenario) => {
+  if (scenario === null) return [];
+  if (!isPlainObject(scenario)) return ['"scenario" must be an object or null'];
+  const errors = [];
+  [['operation', Operation], ['algorithm', Algorithm], ['protocol', Protocol]].forEach(([field, values]) => {
+    if (!Object.values(values).includes(scenario[field])) {
+      errors.push(`scenario.${field}: unknown value ${JSON.stringify(scenario[field])} (expected ${Object.values(values).join(', ')})`);
+    }
+  });
+  if (!Number.isFinite(scenario.messageSize) || scenario.messageSize < 1 || scenario.messageSize > MAX_MESSAGE_SIZE) {
+    errors.push(`scenario.messageSize must be a number of bytes from 1 to ${MAX_MESSAGE_SIZE}`);
+  }
+  // Files saved before reductions were picked summed fp32
+  [['redop', ReduceOp], ['dataType', DataType]].forEach(([field, values]) => {
+    if (scenario[field] !== undefined && !Object.values(values).includes(scenario[field])) {
+      errors.push(`scenario.${field}: unknown value ${JSON.stringify(scenario[field])} (expected ${Object.values(values).join(', ')})`);
+    }
+  });
+  if (scenario.root !== undefined && !(Number.isInteger(scenario.root) && scenario.root >= 0)) {
+    errors.push('scenario.root must be a GPU index');
+  }
+  // Files saved before channels existed ran one
+  if (scenario.channels !== undefined && !(Number.isInteger(scenario.channels) && scenario.channels >= 1 && scenario.channels <= MAX_CHANNELS)) {
+    errors.push(`scenario.channels must be a whole number from 1 to ${MAX_CHANNELS}`);
+  }
+  return errors;
+};
+
+// Returns { scenario: { topology, settings, timeline }, errors }
+export const parseScenarioJson = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { errors: [`Invalid JSON: ${e.message}`] };
+  }
+  if (!isPlainObject(file) || file.format !== SCENARIO_FORMAT) {
+    return { errors: [`Not a scenario file: "format" must be "${SCENARIO_FORMAT}"`] };
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) return { errors: ['"version" must be a positive integer'] };
+  if (file.version > SCENARIO_VERSION) {
+    return { errors: [`Scenario format version ${file.version} is newer than this app reads (${SCENARIO_VERSION})`] };
+  }
+
+  let topology = null;
+  const { gpusPerNode, nodeCount } = isPlainObject(file.topology) ? file.topology : {};
+  if (gpusPerNode !== undefined || nodeCount !== undefined) {
+    if (!Number.isInteger(gpusPerNode) || gpusPerNode < MIN_GPUS_PER_NODE || gpusPerNode > MAX_GPUS_PER_NODE
+      || !Number.isInteger(nodeCount) || nodeCount < MIN_NODE_COUNT || nodeCount > MAX_NODE_COUNT) {
+      return { errors: [`topology: "gpusPerNode" must be ${MIN_GPUS_PER_NODE}-${MAX_GPUS_PER_NODE} and "nodeCount" ${MIN_NODE_COUNT}-${MAX_NODE_COUNT}`] };
+    }
+    topology = makeTopology(gpusPerNode, nodeCount);
+  } else {
+    const loaded = loadTopology(file.topology);
+    if (!loaded.topology) return { errors: loaded.errors.map(error => `topology: ${error}`) };
+    topology = loaded.topology;
+  }
+
+  const settings = file.scenario ?? null;
+  const errors = [...validateScenarioSettings(settings), ...validateTimeline(file.timeline, getGpuCount(topology))];
+  // The app would swap an algorithm or protocol that cannot run for another on load
+  if (!errors.length && settings && !getCompatibleAlgorithms(settings.operation, topology, settings).includes(settings.algorithm)) {
+    errors.push(`scenario.algorithm: ${settings.algorithm} cannot run ${settings.operation}${needsSharpFallback(settings.operation, settings.algorithm, settings) ? ` with ${settings.redop} on ${settings.dataType}` : ''} on ${getTopologyLabel(topology)}`);
+  }
+  if (!errors.length && settings && !getCompatibleProtocols(settings.algorithm).includes(settings.protocol)) {
+    errors.push(`scenario.protocol: ${settings.algorithm} does not run ${settings.protocol}`);
+  }
+  if (!errors.length && settings?.root !== undefined && settings.root >= getGpuCount(topology)) {
+    errors.push(`scenario.root: GPU ${settings.root} is not in the ${getGpuCount(topology)}-GPU cluster`);
+  }
+  if (errors.length) return { errors };
+  return { scenario: { topology, settings, timeline: file.timeline }, errors: [] };
+};
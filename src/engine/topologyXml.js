@@ -0,0 +1,194 @@
+import { GB_PER_S, DEFAULT_HARDWARE } from './hardware.js';
+import { LinkType, SwitchType, DEVICE_SECTIONS, PCIE_LATENCY_SHARE, loadTopology } from './cluster.js';
+import { VIEW_WIDTH } from './layout.js';
+
+// === NCCL TOPOLOGY XML ===
+// NCCL_TOPO_DUMP_FILE writes the machine NCCL detected: <cpu> NUMA domains holding nested <pci>
+// bridges, <gpu> elements with their <nvlink> targets and <nic>/<net> ports. The dump is plain
+// attribute-only XML, so a tokenizer is enough and the importer also runs outside a browser.
+const XML_NAME = String.raw`[\w:.-]+`;
+const XML_TOKEN = new RegExp(String.raw`<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)(${XML_NAME})((?:\s+${XML_NAME}\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>`, 'g');
+const XML_ATTRIBUTE = new RegExp(String.raw`(${XML_NAME})\s*=\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Element tree of { name, attrs, children }; throws on anything that is not well formed
+const parseXml = (text) => {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const match of text.matchAll(XML_TOKEN)) {
+    if (text.slice(last, match.index).includes('<')) throw new Error(`Malformed markup near offset ${last}`);
+    last = match.index + match[0].length;
+    const [, closing, name, attrText, selfClosing] = match;
+    if (!name) continue;
+    const parent = stack[stack.length - 1];
+    if (closing) {
+      if (parent.name !== name) throw new Error(`Unexpected </${name}> (expected </${parent.name}>)`);
+      stack.pop();
+      continue;
+    }
+    const attrs = {};
+    for (const [, key, double, single] of (attrText || '').matchAll(XML_ATTRIBUTE)) {
+      attrs[key] = (double ?? single).replace(/&(\w+);/g, (entity, code) => XML_ENTITIES[code] ?? entity);
+    }
+    const element = { name, attrs, children: [] };
+    parent.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+  if (text.slice(last).includes('<')) throw new Error(`Malformed markup near offset ${last}`);
+  if (stack.length > 1) throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  return root;
+};
+
+// PCI class codes NCCL records: 0x0604 bridges are PCIe switches, 0x068000 NVSwitches
+const PCI_BRIDGE_CLASS = '0x0604';
+const NVSWITCH_CLASS = '0x068000';
+
+// CPU-to-CPU bandwidth NCCL assumes per architecture (GB/s, from its topo.h)
+const NCCL_SMP_BANDWIDTH = { intel: 10, amd: 16, ppc: 32, arm: 6 };
+
+const getSmpBandwidth = (cpu) => {
+  const { arch = '', vendor = '' } = cpu.attrs;
+  if (arch.startsWith('ppc')) return NCCL_SMP_BANDWIDTH.ppc;
+  if (arch.startsWith('arm') || arch.startsWith('aarch')) return NCCL_SMP_BANDWIDTH.arm;
+  return vendor.includes('AMD') ? NCCL_SMP_BANDWIDTH.amd : NCCL_SMP_BANDWIDTH.intel;
+};
+
+// "32.0 GT/s PCIe" × 16 lanes: Gen3 and later lose 2 bits in 130 to encoding, Gen1-2 2 in 10.
+// Links NCCL could not read default to Gen4 x16.
+const getPcieLink = (pci) => {
+  const speed = parseFloat(pci.attrs.link_speed) || 16;
+  const width = parseInt(pci.attrs.link_width, 10) || 16;
+  const encoding = speed >= 8 ? 128 / 130 : 8 / 10;
+  const generation = { 2.5: 1, 5: 2, 8: 3, 16: 4, 32: 5, 64: 6 }[speed];
+  return {
+    bandwidth: (speed * width * encoding) / 8,
+    label: `${generation ? `Gen${generation} ` : ''}x${width}`
+  };
+};
+
+// Single-machine description with view coordinates: CPUs on top, PCIe switches by depth,
+// then GPUs and NICs in tree order, and the merged NVSwitch underneath
+export const parseNcclTopologyXml = (text, { name = 'NCCL topology dump', hardware = DEFAULT_HARDWARE } = {}) => {
+  let doc;
+  try {
+    doc = parseXml(text);
+  } catch (err) {
+    return { errors: [`Not valid XML: ${err.message}`] };
+  }
+  const system = doc.children.find(el => el.name === 'system');
+  if (!system) return { errors: ['No <system> element: expected a file written by NCCL_TOPO_DUMP_FILE'] };
+
+  const desc = { name, gpus: [], cpus: [], switches: [], nics: [], links: [] };
+  const errors = [];
+  const busIds = {};
+  const leaves = [];
+  const depths = {};
+  const pcieLatency = hardware.nic.latency * PCIE_LATENCY_SHARE;
+  const nvlinkBandwidth = hardware.nvlink.bandwidth / hardware.nvlink.links / GB_PER_S;
+  const pendingNvlinks = [];
+
+  const addLink = (from, to, type, bandwidth, latency, label) => {
+    desc.links.push({ from, to, type, bandwidth, latency, ...(label ? { label } : {}) });
+  };
+
+  // Walks one <pci> subtree; `parent` is the CPU or PCIe switch it hangs off
+  const visitPci = (pci, parent, depth, cpu) => {
+    const busId = (pci.attrs.busid || '').toLowerCase();
+    const uplink = getPcieLink(pci);
+    const gpu = pci.children.find(el => el.name === 'gpu');
+    const nic = pci.children.find(el => el.name === 'nic');
+    if (gpu) {
+      const id = `gpu-${busId}`;
+      const rank = parseInt(gpu.attrs.rank ?? gpu.attrs.dev, 10);
+      desc.gpus.push({ id, label: `GPU ${Number.isFinite(rank) ? rank : desc.gpus.length}`, rank });
+      busIds[busId] = id;
+      leaves.push(id);
+      addLink(parent, id, LinkType.PCIe, uplink.bandwidth, pcieLatency, uplink.label);
+      gpu.children.filter(el => el.name === 'nvlink').forEach(nvlink => pendingNvlinks.push({ gpu: id, busId, cpu, nvlink }));
+    } else if (nic) {
+      visitNic(nic, parent, uplink);
+    } else if (pci.attrs.class?.startsWith(PCI_BRIDGE_CLASS) || pci.children.some(el => el.name === 'pci')) {
+      const id = `pcie-${busId}`;
+      desc.switches.push({ id, type: SwitchType.PCIe, label: `PCIe ${busId.slice(5, 10)}` });
+      depths[id] = depth;
+      addLink(parent, id, LinkType.PCIe, uplink.bandwidth, pcieLatency, uplink.label);
+      pci.children.filter(el => el.name === 'pci').forEach(child => visitPci(child, id, depth + 1, cpu));
+    }
+  };
+
+  // Each <net> port of a NIC becomes its own NIC element (speed is in Mb/s)
+  const visitNic = (nic, parent, uplink) => {
+    nic.children.filter(el => el.name === 'net').forEach(net => {
+      const id = `nic-${net.attrs.name || desc.nics.length}`;
+      const speed = parseFloat(net.attrs.speed);
+      desc.nics.push({ id, label: net.attrs.name || id });
+      leaves.push(id);
+      const bandwidth = Math.min(uplink?.bandwidth ?? Infinity, speed > 0 ? speed / 8000 : Infinity);
+      addLink(parent, id, LinkType.PCIe, Number.isFinite(bandwidth) ? bandwidth : getPcieLink({ attrs: {} }).bandwidth, pcieLatency, uplink?.label);
+    });
+  };
+
+  const cpus = system.children.filter(el => el.name === 'cpu');
+  cpus.forEach((cpu, i) => {
+    const id = `cpu-${cpu.attrs.numaid ?? i}`;
+    desc.cpus.push({ id, label: `CPU ${cpu.attrs.numaid ?? i}` });
+    cpu.children.forEach(child => {
+      if (child.name === 'pci') visitPci(child, id, 1, id);
+      if (child.name === 'nic') visitNic(child, id, null);
+    });
+    // NCCL connects every pair of NUMA domains through the SMP interconnect
+    cpus.slice(0, i).forEach((other, j) => {
+      addLink(`cpu-${other.attrs.numaid ?? j}`, id, LinkType.SMP, getSmpBandwidth(cpu), pcieLatency, 'SMP');
+    });
+  });
+
+  // NVLinks to NVSwitches are merged into one switch, as NCCL does; GPU pairs appear twice.
+  // Other bridge targets are the CPU itself (POWER9, Grace).
+  const nvswitch = 'nvswitch';
+  const nvlinkPairs = new Set();
+  pendingNvlinks.forEach(({ gpu, busId, cpu, nvlink }) => {
+    const target = (nvlink.attrs.target || '').toLowerCase();
+    const count = parseInt(nvlink.attrs.count, 10) || 1;
+    const bandwidth = count * nvlinkBandwidth;
+    if (nvlink.attrs.tclass === NVSWITCH_CLASS) {
+      if (!desc.switches.some(sw => sw.id === nvswitch)) desc.switches.push({ id: nvswitch, type: SwitchType.NVSwitch, label: 'NVSwitch' });
+      addLink(gpu, nvswitch, LinkType.NVLink, bandwidth, hardware.nvlink.latency / 2, `NVLink ×${count}`);
+    } else if (busIds[target]) {
+      const pair = [busId, target].sort().join('|');
+      if (nvlinkPairs.has(pair)) return;
+      nvlinkPairs.add(pair);
+      addLink(gpu, busIds[target], LinkType.NVLink, bandwidth, hardware.nvlink.latency, `NVLink ×${count}`);
+    } else if (nvlink.attrs.tclass?.startsWith('0x06') && cpu) {
+      addLink(gpu, cpu, LinkType.NVLink, bandwidth, hardware.nvlink.latency, `NVLink ×${count}`);
+    } else {
+      errors.push(`${gpu}: NVLink target ${target || '(none)'} is neither a GPU in the dump nor an NVSwitch`);
+    }
+  });
+  if (errors.length) return { errors };
+
+  // NCCL numbers GPUs by rank; keep that order so G0 is rank 0 (no rank sorts as 0)
+  const rankOf = (gpu) => (Number.isFinite(gpu.rank) ? gpu.rank : 0);
+  desc.gpus.sort((a, b) => rankOf(a) - rankOf(b));
+  desc.gpus.forEach(gpu => { delete gpu.rank; });
+
+  const maxDepth = Math.max(0, ...Object.values(depths));
+  const rowOf = (depth) => 70 + (depth / (maxDepth + 1)) * 260;
+  const slot = (VIEW_WIDTH - 60) / Math.max(1, leaves.length);
+  const place = (item, x, y) => Object.assign(item, { x: Math.round(x), y: Math.round(y) });
+  const byId = Object.fromEntries(DEVICE_SECTIONS.flatMap(section => desc[section].map(item => [item.id, item])));
+  leaves.forEach((id, i) => place(byId[id], 30 + slot * (i + 0.5), 330));
+
+  // Switches and CPUs sit above the middle of the leaves below them
+  const childrenOf = (id) => desc.links.filter(link => link.from === id && link.type === LinkType.PCIe).map(link => link.to);
+  const centre = (id) => {
+    const xs = childrenOf(id).map(child => (byId[child].x === undefined ? centre(child) : byId[child].x)).filter(Number.isFinite);
+    return xs.length ? (Math.min(...xs) + Math.max(...xs)) / 2 : undefined;
+  };
+  desc.switches.filter(sw => sw.type === SwitchType.PCIe).forEach(sw => place(sw, centre(sw.id) ?? VIEW_WIDTH / 2, rowOf(depths[sw.id])));
+  desc.cpus.forEach((cpu, i) => place(cpu, centre(cpu.id) ?? (VIEW_WIDTH * (i + 1)) / (desc.cpus.length + 1), rowOf(0)));
+  const nvswitchItem = desc.switches.find(sw => sw.id === nvswitch);
+  if (nvswitchItem) place(nvswitchItem, VIEW_WIDTH / 2, 460);
+
+  return loadTopology(desc);
+};
@@ -0,0 +1,85 @@
+// === TREE SHAPES ===
+// NCCL's binary tree (ncclGetBtree): rank r hangs below the rank obtained by flipping its
+// lowest set bit and setting the next one, which yields a balanced in-order tree.
+const getBtreeNode = (count, rank) => {
+  let bit = 1;
+  while (bit < count && !(bit & rank)) bit <<= 1;
+
+  if (rank === 0) {
+    return { parent: -1, children: count > 1 ? [bit >> 1] : [] };
+  }
+
+  let parent = (rank ^ bit) | (bit << 1);
+  if (parent >= count) parent = rank ^ bit;
+
+  const children = [];
+  let lowbit = bit >> 1;
+  if (lowbit) {
+    children.push(rank - lowbit);
+    while (lowbit && rank + lowbit >= count) lowbit >>= 1;
+    if (lowbit) children.push(rank + lowbit);
+  }
+  return { parent, children };
+};
+
+// NCCL's double binary tree (ncclGetDtree): the second tree mirrors the first for an even
+// count and shifts it by one for an odd count, so every leaf of one tree is an inner node
+// of the other and both halves of the buffer keep all links busy.
+const getDtreeRankMap = (count) => {
+  const mirror = count % 2 === 0;
+  return {
+    mapRank: (r) => (mirror ? count - 1 - r : (r - 1 + count) % count),
+    unmapRank: (r) => (r === -1 ? -1 : (mirror ? count - 1 - r : (r + 1) % count))
+  };
+};
+
+export const getDoubleBinaryTree = (count) => {
+  const { mapRank, unmapRank } = getDtreeRankMap(count);
+
+  const tree0 = { root: 0, parent: [], children: [] };
+  const tree1 = { root: unmapRank(0), parent: [], children: [] };
+  for (let r = 0; r < count; r++) {
+    const first = getBtreeNode(count, r);
+    tree0.parent[r] = first.parent;
+    tree0.children[r] = first.children;
+
+    const second = getBtreeNode(count, mapRank(r));
+    tree1.parent[r] = unmapRank(second.parent);
+    tree1.children[r] = second.children.map(unmapRank);
+  }
+  return [tree0, tree1];
+};
+
+// The second tree for a given first one (say the only tree a log holds), by the same rank map
+export const getSecondTree = (tree) => {
+  const { mapRank, unmapRank } = getDtreeRankMap(tree.parent.length);
+  return {
+    root: unmapRank(tree.root),
+    parent: tree.parent.map((_, r) => unmapRank(tree.parent[mapRank(r)])),
+    children: tree.children.map((_, r) => tree.children[mapRank(r)].map(unmapRank))
+  };
+};
+
+// Single node: double binary tree over the GPUs. Multi node (as NCCL does): double binary
+// tree over the nodes, with a chain through the local GPUs hanging off each node's head.
+// Tree 1 enters every node from the opposite end of the chain so both ends carry traffic.
+// nodeGpus lists each node's GPU indices.
+export const buildTreeShapes = (nodeGpus) => {
+  const nodeCount = nodeGpus.length;
+  if (nodeCount === 1) return getDoubleBinaryTree(nodeGpus[0].length);
+
+  return getDoubleBinaryTree(nodeCount).map((nodeTree, t) => {
+    const chainOf = (n) => (t === 0 ? nodeGpus[n] : [...nodeGpus[n]].reverse());
+    const shape = { root: chainOf(nodeTree.root)[0], parent: [], children: [] };
+    for (let n = 0; n < nodeCount; n++) {
+      const chain = chainOf(n);
+      chain.forEach((gpu, i) => {
+        const parentNode = nodeTree.parent[n];
+        shape.parent[gpu] = i > 0 ? chain[i - 1] : (parentNode === -1 ? -1 : chainOf(parentNode)[0]);
+        shape.children[gpu] = i < chain.length - 1 ? [chain[i + 1]] : [];
+      });
+      shape.children[chain[0]].push(...nodeTree.children[n].map(child => chainOf(child)[0]));
+    }
+    return shape;
+  });
+};
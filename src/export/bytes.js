@@ -0,0 +1,15 @@
+// === BYTE HELPERS ===
+// Shared by the GIF, WebM and zip writers, which assemble their files as Uint8Arrays
+export const concatBytes = (parts) => {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+export const littleEndian = (value, length) => Uint8Array.from({ length }, (_, i) => Math.floor(value / 2 ** (8 * i)) % 256);
+export const bigEndian = (value, length) => littleEndian(value, length).reverse();
+export const asciiBytes = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
@@ -0,0 +1,124 @@
+// === FRAME CAPTURE ===
+// Frames are captured as one standalone SVG: the main view and the side panels are cloned
+// into foreignObjects with their computed styles inline, since neither Tailwind nor the
+// page's fonts apply once the markup leaves the page.
+const FRAME_BACKGROUND = '#020617';
+const FRAME_GAP = 12;
+
+const defaultStyleCache = new Map();
+const getDefaultStyle = (element) => {
+  const key = `${element.namespaceURI} ${element.localName}`;
+  if (!defaultStyleCache.has(key)) {
+    const sandbox = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    sandbox.style.position = 'absolute';
+    sandbox.style.visibility = 'hidden';
+    document.body.appendChild(sandbox);
+    const host = element.namespaceURI === sandbox.namespaceURI ? sandbox : sandbox.appendChild(document.createElementNS(sandbox.namespaceURI, 'foreignObject'));
+    const bare = host.appendChild(document.createElementNS(element.namespaceURI, element.localName));
+    const style = getComputedStyle(bare);
+    defaultStyleCache.set(key, new Map(Array.from(style).map(name => [name, style.getPropertyValue(name)])));
+    sandbox.remove();
+  }
+  return defaultStyleCache.get(key);
+};
+
+// Writes the values that differ from a bare element of the same tag or from the parent's
+// (which the clone would otherwise inherit); the root gets every value. Classes are
+// dropped, so the result renders the same without the stylesheet.
+const inlineStyles = (source, clone, parentStyle = null) => {
+  const style = getComputedStyle(source);
+  const defaults = getDefaultStyle(source);
+  const declarations = Array.from(style)
+    .filter(name => {
+      const value = style.getPropertyValue(name);
+      return !parentStyle || value !== defaults.get(name) || value !== parentStyle.getPropertyValue(name);
+    })
+    .map(name => `${name}:${style.getPropertyValue(name)}`);
+  if (!parentStyle) declarations.push('margin:0');
+  clone.setAttribute('style', declarations.join(';'));
+  clone.removeAttribute('class');
+  [...source.children].forEach((child, i) => inlineStyles(child, clone.children[i], style));
+};
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Main view on the left, the panels stacked to its right. The size is rounded up to even
+// pixels, which video encoders need.
+export const layoutFrame = (main, panels) => {
+  const even = (value) => Math.ceil(value / 2) * 2;
+  const view = main.getBoundingClientRect();
+  const placed = [{ element: main, x: 0, y: 0, width: view.width, height: view.height }];
+  let y = FRAME_GAP;
+  panels.forEach(panel => {
+    const { width, height } = panel.getBoundingClientRect();
+    placed.push({ element: panel, x: view.width + FRAME_GAP, y, width, height });
+    y += height + FRAME_GAP;
+  });
+  const panelWidth = Math.max(0, ...placed.slice(1).map(panel => panel.width));
+  return {
+    placed,
+    width: even(view.width + (panels.length ? panelWidth + 2 * FRAME_GAP : 0)),
+    height: even(Math.max(view.height, panels.length ? y : 0))
+  };
+};
+
+// Returns { svg, width, height }
+export const composeFrameSvg = (main, panels, title) => {
+  const { placed, width, height } = layoutFrame(main, panels);
+  const serializer = new XMLSerializer();
+  const objects = placed.map(({ element, x, y: top, width: w, height: h }) => {
+    const clone = element.cloneNode(true);
+    inlineStyles(element, clone);
+    return `<foreignObject x="${x}" y="${top}" width="${w}" height="${h}">${serializer.serializeToString(clone)}</foreignObject>`;
+  });
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    title ? `<title>${escapeXml(title)}</title>` : '',
+    `<rect width="100%" height="100%" fill="${FRAME_BACKGROUND}"/>`,
+    ...objects,
+    '</svg>'
+  ].join('');
+  return { svg, width, height };
+};
+
+const svgToImage = async (svg) => {
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+  return image;
+};
+
+export const drawFrame = async (canvas, main, panels) => {
+  const { svg, width, height } = composeFrameSvg(main, panels);
+  const image = await svgToImage(svg);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = FRAME_BACKGROUND;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, width, height);
+};
+
+export const canvasToPngBlob = (canvas) => new Promise((resolve, reject) => canvas.toBlob(
+  blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode a PNG'))),
+  'image/png'
+));
+
+// Browsers that treat foreignObject images as cross-origin refuse to read the canvas back
+export const readableCanvasError = (err) => (err?.name === 'SecurityError'
+  ? new Error('This browser does not allow reading back rendered HTML; try Chromium or Firefox')
+  : err);
+
+// Renders at the screen's pixel density so pasted snapshots stay sharp
+export const svgToPng = async (svg, width, height, scale = window.devicePixelRatio || 1) => {
+  const image = await svgToImage(svg);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.drawImage(image, 0, 0, width, height);
+  try {
+    return await canvasToPngBlob(canvas);
+  } catch (err) {
+    throw readableCanvasError(err);
+  }
+};
@@ -0,0 +1,163 @@
+import { littleEndian, asciiBytes } from './bytes.js';
+
+// === GIF ENCODER ===
+// Each frame gets its own 256-colour table, cut from the frame's colours at 5 bits per
+// channel by median cut: the box spanning the widest channel range is split at its median
+// pixel, so small but distinct colours (packets, highlights) keep an entry of their own.
+const channelOfBin = (bin, c) => (bin >> (10 - 5 * c)) & 31;
+
+const makeColorBox = (bins) => {
+  let channel = 0;
+  let range = -1;
+  [0, 1, 2].forEach(c => {
+    let min = 31, max = 0;
+    bins.forEach(bin => {
+      min = Math.min(min, channelOfBin(bin, c));
+      max = Math.max(max, channelOfBin(bin, c));
+    });
+    if (max - min > range) {
+      channel = c;
+      range = max - min;
+    }
+  });
+  return { bins, channel, range };
+};
+
+const quantizeFrame = (rgba) => {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const bins = new Uint16Array(rgba.length / 4);
+  for (let p = 0; p < bins.length; p++) {
+    const r = rgba[p * 4], g = rgba[p * 4 + 1], b = rgba[p * 4 + 2];
+    const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    bins[p] = bin;
+    counts[bin]++;
+    sums[bin * 3] += r;
+    sums[bin * 3 + 1] += g;
+    sums[bin * 3 + 2] += b;
+  }
+  const used = [];
+  counts.forEach((count, bin) => { if (count) used.push(bin); });
+
+  const boxes = [makeColorBox(used)];
+  while (boxes.length < 256) {
+    const widest = boxes.reduce((best, box, i) => (box.range > boxes[best].range ? i : best), 0);
+    const { bins: boxBins, channel, range } = boxes[widest];
+    if (range <= 0) break;
+    boxBins.sort((a, b) => channelOfBin(a, channel) - channelOfBin(b, channel));
+    const half = boxBins.reduce((sum, bin) => sum + counts[bin], 0) / 2;
+    let split = 1;
+    for (let seen = counts[boxBins[0]]; split < boxBins.length - 1 && seen + counts[boxBins[split]] <= half; split++) seen += counts[boxBins[split]];
+    boxes.splice(widest, 1, makeColorBox(boxBins.slice(0, split)), makeColorBox(boxBins.slice(split)));
+  }
+  const palette = boxes.map(({ bins: boxBins }) => {
+    const total = boxBins.reduce((sum, bin) => sum + counts[bin], 0);
+    return [0, 1, 2].map(c => Math.round(boxBins.reduce((sum, bin) => sum + sums[bin * 3 + c], 0) / total));
+  });
+  const lookup = new Int16Array(32768).fill(-1);
+  const nearest = (bin) => {
+    const r = sums[bin * 3] / counts[bin], g = sums[bin * 3 + 1] / counts[bin], b = sums[bin * 3 + 2] / counts[bin];
+    let best = 0;
+    let bestDistance = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+      const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+  const indices = new Uint8Array(bins.length);
+  for (let p = 0; p < bins.length; p++) {
+    if (lookup[bins[p]] < 0) lookup[bins[p]] = nearest(bins[p]);
+    indices[p] = lookup[bins[p]];
+  }
+  const table = new Uint8Array(768);
+  palette.forEach((color, i) => table.set(color, i * 3));
+  return { table, indices };
+};
+
+// Variable-width LZW as GIF specifies it: codes grow from 9 to 12 bits, and a full table
+// is reset with a clear code. Returns the data as length-prefixed sub-blocks.
+export const encodeGifLzw = (indices) => {
+  const MIN_CODE_SIZE = 8;
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const out = [];
+  let block = [];
+  let bits = 0;
+  let bitCount = 0;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  const codes = new Map();
+
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        out.push(255, ...block);
+        block = [];
+      }
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = codes.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      codes.clear();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = endCode + 1;
+    } else {
+      // The decoder widens its codes one entry later than the encoder adds them
+      if (nextCode >= 1 << codeSize) codeSize++;
+      codes.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bits & 0xff);
+  if (block.length) out.push(block.length, ...block);
+  out.push(0);
+  return Uint8Array.from(out);
+};
+
+// Looping GIF89a; frame delays are rounded to centiseconds without drifting from the rate
+export const createGifEncoder = (width, height, fps) => {
+  const parts = [
+    asciiBytes('GIF89a'),
+    Uint8Array.from([...littleEndian(width, 2), ...littleEndian(height, 2), 0, 0, 0]),
+    Uint8Array.from([0x21, 0xff, 11, ...asciiBytes('NETSCAPE2.0'), 3, 1, 0, 0, 0])
+  ];
+  let frameCount = 0;
+  return {
+    addFrame: (imageData) => {
+      const delay = Math.round((frameCount + 1) * 100 / fps) - Math.round(frameCount * 100 / fps);
+      const { table, indices } = quantizeFrame(imageData.data);
+      parts.push(
+        Uint8Array.from([0x21, 0xf9, 4, 0x04, ...littleEndian(delay, 2), 0, 0]),
+        Uint8Array.from([0x2c, 0, 0, 0, 0, ...littleEndian(width, 2), ...littleEndian(height, 2), 0x87]),
+        table,
+        Uint8Array.from([8]),
+        encodeGifLzw(indices)
+      );
+      frameCount++;
+    },
+    finish: () => new Blob([...parts, Uint8Array.from([0x3b])], { type: 'image/gif' }),
+    cancel: () => { parts.length = 0; }
+  };
+};
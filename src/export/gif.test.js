@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGifLzw, createGifEncoder } from './gif.js';
+
+// Reference GIF decoder: joins the sub-blocks, then reads codes that widen once the table
+// fills the current width, up to 12 bits, and restart at every clear code
+const decodeGifLzw = (data, minCodeSize = 8) => {
+  const bytes = [];
+  let offset = 0;
+  while (data[offset] !== 0) {
+    bytes.push(...data.subarray(offset + 1, offset + 1 + data[offset]));
+    offset += data[offset] + 1;
+  }
+  assert.equal(offset, data.length - 1, 'data ends with the block terminator');
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let bitPos = 0;
+  let codeSize;
+  let table;
+  let prev;
+  const reset = () => {
+    table = [...Array.from({ length: clearCode }, (_, i) => [i]), null, null];
+    codeSize = minCodeSize + 1;
+    prev = null;
+  };
+  const read = () => {
+    let code = 0;
+    for (let bit = 0; bit < codeSize; bit++, bitPos++) code |= ((bytes[bitPos >> 3] >> (bitPos & 7)) & 1) << bit;
+    return code;
+  };
+
+  const out = [];
+  reset();
+  for (;;) {
+    const code = read();
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    assert.ok(code <= table.length, `code ${code} is past the table (${table.length} entries)`);
+    const entry = code < table.length ? table[code] : [...table[prev], table[prev][0]];
+    entry.forEach(index => out.push(index));
+    if (prev !== null && table.length < 4096) {
+      table.push([...table[prev], entry[0]]);
+      if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    prev = code;
+  }
+  return out;
+};
+
+// Deterministic pseudo-random indices, so a failure reproduces
+const randomIndices = (length, colours, seed = 1) => Uint8Array.from({ length }, () => {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31;
+  return seed % colours;
+});
+
+test('LZW round-trips a single pixel', () => {
+  assert.deepEqual(decodeGifLzw(encodeGifLzw(Uint8Array.of(7))), [7]);
+});
+
+test('LZW round-trips long runs of one colour', () => {
+  const indices = new Uint8Array(100000).fill(3);
+  assert.deepEqual(decodeGifLzw(encodeGifLzw(indices)), [...indices]);
+});
+
+test('LZW round-trips noisy frames past a full 4096-entry table', () => {
+  [4, 64, 256].forEach(colours => {
+    const indices = randomIndices(60000, colours, colours);
+    assert.deepEqual(decodeGifLzw(encodeGifLzw(indices)), [...indices], `${colours} colours`);
+  });
+});
+
+test('LZW splits its output into sub-blocks of at most 255 bytes', () => {
+  const data = encodeGifLzw(randomIndices(20000, 256));
+  let offset = 0;
+  while (data[offset] !== 0) {
+    assert.ok(data[offset] <= 255);
+    offset += data[offset] + 1;
+  }
+  assert.equal(offset, data.length - 1);
+});
+
+test('a recorded frame decodes back to its colours', async () => {
+  const pixels = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 255]];
+  const encoder = createGifEncoder(2, 2, 24);
+  encoder.addFrame({ data: Uint8ClampedArray.from(pixels.flatMap(rgb => [...rgb, 255])) });
+  const gif = new Uint8Array(await encoder.finish().arrayBuffer());
+
+  assert.equal(String.fromCharCode(...gif.subarray(0, 6)), 'GIF89a');
+  assert.equal(gif[gif.length - 1], 0x3b);
+  // Header, logical screen and looping extension, then the frame's graphic control extension
+  const descriptor = 6 + 7 + 19 + 8;
+  assert.equal(gif[descriptor], 0x2c);
+  const table = gif.subarray(descriptor + 10, descriptor + 10 + 768);
+  assert.equal(gif[descriptor + 10 + 768], 8);
+  const indices = decodeGifLzw(gif.subarray(descriptor + 10 + 768 + 1, gif.length - 1));
+  assert.deepEqual(indices.map(i => [...table.subarray(i * 3, i * 3 + 3)]), pixels);
+});
@@ -0,0 +1,11 @@
+// === PUBLIC API ===
+// Image and video export for the app. frame.js and recording.js draw the page through the
+// DOM and canvas; the GIF, WebM and zip writers only assemble bytes, so Node can test them.
+
+export { layoutFrame, composeFrameSvg, drawFrame, canvasToPngBlob, readableCanvasError, svgToPng } from './frame.js';
+export {
+  RecordingFormat, RECORDING_FRAME_RATES, DEFAULT_RECORDING_FPS, getRecordingFrameCount, recordAnimation
+} from './recording.js';
+export { encodeGifLzw, createGifEncoder } from './gif.js';
+export { muxWebm, createWebmEncoder } from './webm.js';
+export { crc32, zipFiles } from './zip.js';
@@ -0,0 +1,56 @@
+import { getPlaybackSeconds } from '../engine/constants.js';
+import { layoutFrame, drawFrame, canvasToPngBlob, readableCanvasError } from './frame.js';
+import { createGifEncoder } from './gif.js';
+import { createWebmEncoder } from './webm.js';
+import { zipFiles } from './zip.js';
+
+// === RECORDING ===
+// Recordings step progress from 0 to 1 in fixed increments instead of sampling the live
+// animation, so every export of the same settings has the same frames and timing.
+export const RecordingFormat = {
+  WebM: 'WebM',
+  GIF: 'GIF'
+};
+export const RECORDING_FRAME_RATES = [12, 24, 30];
+export const DEFAULT_RECORDING_FPS = 24;
+
+// One frame per tick of the playback the app would show at this speed, both ends included
+export const getRecordingFrameCount = (duration, speed, fps) => Math.max(2, Math.round(getPlaybackSeconds(duration) / speed * fps) + 1);
+
+// Shows frame i of frameCount through showFrame (which must render synchronously), then
+// captures getElements(): [main view, ...side panels]. Returns { video, frames } blobs,
+// or null when cancelled.
+export const recordAnimation = async ({ frameCount, fps, format, pngFrames, showFrame, getElements, onFrame, isCancelled }) => {
+  // Every frame is drawn at the first frame's size; panels that grow later are clipped
+  const [main, ...panels] = getElements();
+  const canvas = document.createElement('canvas');
+  ({ width: canvas.width, height: canvas.height } = layoutFrame(main, panels));
+
+  const encoder = format === RecordingFormat.WebM
+    ? await createWebmEncoder(canvas.width, canvas.height, fps)
+    : createGifEncoder(canvas.width, canvas.height, fps);
+  const pngs = [];
+  const digits = Math.max(4, String(frameCount).length);
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (isCancelled()) {
+        encoder.cancel();
+        return null;
+      }
+      showFrame(i / (frameCount - 1));
+      const [frameMain, ...framePanels] = getElements();
+      await drawFrame(canvas, frameMain, framePanels);
+      if (format === RecordingFormat.WebM) encoder.addFrame(canvas);
+      else encoder.addFrame(canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height));
+      if (pngFrames) {
+        const png = await canvasToPngBlob(canvas);
+        pngs.push({ name: `frame-${String(i).padStart(digits, '0')}.png`, data: new Uint8Array(await png.arrayBuffer()) });
+      }
+      onFrame(i + 1);
+    }
+  } catch (err) {
+    encoder.cancel();
+    throw readableCanvasError(err);
+  }
+  return { video: await encoder.finish(), frames: pngFrames ? zipFiles(pngs) : null };
+};
@@ -0,0 +1,106 @@
+import { concatBytes, bigEndian, asciiBytes } from './bytes.js';
+
+// === WEBM ENCODER ===
+// Minimal Matroska writer: one video track, a cluster per keyframe, sizes written up front
+// because every block is known before the file is assembled.
+
+// A keyframe every two seconds keeps seeking in the exported video cheap
+const WEBM_KEYFRAME_SECONDS = 2;
+const WEBM_BITS_PER_PIXEL = 4;
+// WebCodecs name, then the Matroska codec id the muxer writes for it
+const WEBM_CODECS = [['vp09.00.10.08', 'V_VP9'], ['vp8', 'V_VP8']];
+
+const ebmlLength = (length) => Uint8Array.from([0x01, ...bigEndian(length, 7)]);
+
+const ebml = (id, value) => {
+  let body;
+  if (typeof value === 'number') body = bigEndian(value, Math.max(1, Math.ceil(Math.log2(value + 1) / 8)));
+  else if (typeof value === 'string') body = asciiBytes(value);
+  else if (Array.isArray(value)) body = concatBytes(value);
+  else body = value;
+  return concatBytes([bigEndian(id, Math.ceil(Math.log2(id + 1) / 8)), ebmlLength(body.length), body]);
+};
+
+const ebmlFloat = (value) => {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+};
+
+// chunks: [{ data, key, time }] with time in ms
+export const muxWebm = (chunks, { codecId, width, height, duration }) => {
+  const clusters = [];
+  chunks.forEach(chunk => {
+    const cluster = clusters[clusters.length - 1];
+    // Block times are 16-bit offsets from their cluster's
+    if (!cluster || chunk.key || chunk.time - cluster.time > 30000) clusters.push({ time: chunk.time, blocks: [chunk] });
+    else cluster.blocks.push(chunk);
+  });
+  const header = ebml(0x1a45dfa3, [
+    ebml(0x4286, 1), ebml(0x42f7, 1), ebml(0x42f2, 4), ebml(0x42f3, 8),
+    ebml(0x4282, 'webm'), ebml(0x4287, 2), ebml(0x4285, 2)
+  ]);
+  const segment = ebml(0x18538067, [
+    ebml(0x1549a966, [ebml(0x2ad7b1, 1e6), ebml(0x4d80, 'hopper-visualizer'), ebml(0x5741, 'hopper-visualizer'), ebml(0x4489, ebmlFloat(duration))]),
+    ebml(0x1654ae6b, [ebml(0xae, [
+      ebml(0xd7, 1), ebml(0x73c5, 1), ebml(0x83, 1), ebml(0x86, codecId),
+      ebml(0xe0, [ebml(0xb0, width), ebml(0xba, height)])
+    ])]),
+    ...clusters.map(cluster => ebml(0x1f43b675, [
+      ebml(0xe7, cluster.time),
+      ...cluster.blocks.map(block => ebml(0xa3, [
+        Uint8Array.from([0x81, ...bigEndian(block.time - cluster.time, 2), block.key ? 0x80 : 0]),
+        block.data
+      ]))
+    ]))
+  ]);
+  return new Blob([header, segment], { type: 'video/webm' });
+};
+
+// WebCodecs encodes each frame at its exact timestamp, so slow rasterizing never shows as
+// dropped or stretched frames the way a real-time MediaRecorder capture would
+export const createWebmEncoder = async (width, height, fps) => {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('This browser cannot encode video (no WebCodecs); record a GIF instead');
+  }
+  const base = { width, height, framerate: fps, bitrate: Math.round(width * height * fps * WEBM_BITS_PER_PIXEL / 10) };
+  let codec = null;
+  for (const [name, codecId] of WEBM_CODECS) {
+    const { supported } = await VideoEncoder.isConfigSupported({ ...base, codec: name });
+    if (supported) {
+      codec = { name, codecId };
+      break;
+    }
+  }
+  if (!codec) throw new Error('This browser cannot encode VP9 or VP8 video; record a GIF instead');
+
+  const chunks = [];
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, key: chunk.type === 'key', time: Math.round(chunk.timestamp / 1000) });
+    },
+    error: (err) => { failure = err; }
+  });
+  encoder.configure({ ...base, codec: codec.name });
+  let frameCount = 0;
+  return {
+    addFrame: (canvas) => {
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(frameCount * 1e6 / fps), duration: Math.round(1e6 / fps) });
+      encoder.encode(frame, { keyFrame: frameCount % (fps * WEBM_KEYFRAME_SECONDS) === 0 });
+      frame.close();
+      frameCount++;
+    },
+    finish: async () => {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      return muxWebm(chunks, { codecId: codec.codecId, width, height, duration: frameCount * 1000 / fps });
+    },
+    cancel: () => {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+  };
+};
@@ -0,0 +1,46 @@
+import { littleEndian, asciiBytes } from './bytes.js';
+
+// === ZIP WRITER ===
+// Bundles the PNG frames of a recording into one download
+let crcTable = null;
+export const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = Uint32Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c;
+    });
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Uncompressed ("stored") zip: PNGs are already deflated
+export const zipFiles = (files) => {
+  const DOS_DATE = (1 << 5) | 1;
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const fields = [
+      ...littleEndian(20, 2), ...littleEndian(0, 2), ...littleEndian(0, 2), ...littleEndian(0, 2), ...littleEndian(DOS_DATE, 2),
+      ...littleEndian(crc32(data), 4), ...littleEndian(data.length, 4), ...littleEndian(data.length, 4),
+      ...littleEndian(name.length, 2), ...littleEndian(0, 2)
+    ];
+    const local = Uint8Array.from([...littleEndian(0x04034b50, 4), ...fields, ...asciiBytes(name)]);
+    parts.push(local, data);
+    directory.push(Uint8Array.from([
+      ...littleEndian(0x02014b50, 4), ...littleEndian(20, 2), ...fields,
+      ...littleEndian(0, 2), ...littleEndian(0, 2), ...littleEndian(0, 2), ...littleEndian(0, 4), ...littleEndian(offset, 4),
+      ...asciiBytes(name)
+    ]));
+    offset += local.length + data.length;
+  });
+  const directorySize = directory.reduce((sum, entry) => sum + entry.length, 0);
+  const end = Uint8Array.from([
+    ...littleEndian(0x06054b50, 4), ...littleEndian(0, 4), ...littleEndian(files.length, 2), ...littleEndian(files.length, 2),
+    ...littleEndian(directorySize, 4), ...littleEndian(offset, 4), ...littleEndian(0, 2)
+  ]);
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+};
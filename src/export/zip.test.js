@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, zipFiles } from './zip.js';
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(bytesOf('123456789')), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('zipFiles writes a stored archive whose directory points at every file', async () => {
+  const files = [
+    { name: 'frame-0000.png', data: bytesOf('first frame') },
+    { name: 'frame-0001.png', data: Uint8Array.from({ length: 1000 }, (_, i) => i % 256) }
+  ];
+  const blob = zipFiles(files);
+  assert.equal(blob.type, 'application/zip');
+  const zip = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(zip.buffer);
+  const name = (offset, length) => String.fromCharCode(...zip.subarray(offset, offset + length));
+
+  // End of central directory: the last 22 bytes, as there is no comment
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), files.length);
+  let entry = view.getUint32(end + 16, true);
+  assert.equal(entry + view.getUint32(end + 12, true), end);
+
+  files.forEach(file => {
+    assert.equal(view.getUint32(entry, true), 0x02014b50);
+    assert.equal(view.getUint16(entry + 10, true), 0, 'stored, not deflated');
+    assert.equal(view.getUint32(entry + 16, true), crc32(file.data));
+    assert.equal(view.getUint32(entry + 20, true), file.data.length);
+    const nameLength = view.getUint16(entry + 28, true);
+    assert.equal(name(entry + 46, nameLength), file.name);
+
+    const local = view.getUint32(entry + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    assert.equal(view.getUint32(local + 14, true), crc32(file.data));
+    assert.equal(name(local + 30, view.getUint16(local + 26, true)), file.name);
+    const start = local + 30 + nameLength + view.getUint16(local + 28, true);
+    assert.deepEqual(zip.subarray(start, start + file.data.length), file.data);
+    entry += 46 + nameLength;
+  });
+});